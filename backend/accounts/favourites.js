@@ -0,0 +1,44 @@
+// backend/accounts/favourites.js
+// Favourite airports, offered as quick picks in the search form.
+
+const { all, get } = require("../db");
+
+const MAX_FAVOURITES = 20;
+
+async function listFavourites(userId) {
+  const rows = await all(
+    `SELECT code, label, created_at FROM favourite_airports
+     WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return rows.map((r) => ({ code: r.code, label: r.label, createdAt: r.created_at }));
+}
+
+/** Add (or relabel) a favourite; null when the list is full */
+async function addFavourite(userId, { code, label }) {
+  const row = await get(
+    `INSERT INTO favourite_airports (user_id, code, label)
+     SELECT $1, $2::varchar, $3::text
+     WHERE EXISTS (SELECT 1 FROM favourite_airports WHERE user_id = $1 AND code = $2::varchar)
+        OR (SELECT COUNT(*) FROM favourite_airports WHERE user_id = $1) < $4
+     ON CONFLICT (user_id, code) DO UPDATE SET label = COALESCE(EXCLUDED.label, favourite_airports.label)
+     RETURNING code, label, created_at`,
+    [userId, code, label || null, MAX_FAVOURITES]
+  );
+  return row ? { code: row.code, label: row.label, createdAt: row.created_at } : null;
+}
+
+async function removeFavourite(userId, code) {
+  const row = await get(
+    `DELETE FROM favourite_airports WHERE user_id = $1 AND code = $2 RETURNING code`,
+    [userId, code]
+  );
+  return !!row;
+}
+
+module.exports = {
+  listFavourites,
+  addFavourite,
+  removeFavourite,
+  MAX_FAVOURITES,
+};
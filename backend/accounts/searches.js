@@ -0,0 +1,244 @@
+// backend/accounts/searches.js
+// Saved searches and recently searched routes.
+//
+// Both store search params in the shape the search form sends to
+// POST /api/flights, so the frontend can put them straight back in the form:
+//   { tripType, originCode, destinationCode, originLabel, destinationLabel,
+//     departureDate, returnDate, legs, passengers, cabin, currency,
+//     flexibleDates, nearbyAirports }
+// Dates are not required to be in the future — an old saved search is
+// re-run with new dates.
+
+const { run, all, get } = require("../db");
+const { parsePassengers } = require("../passengers");
+const {
+  CABINS,
+  TRIP_TYPES,
+  MIN_LEGS,
+  MAX_LEGS,
+  fieldError,
+  isDate,
+} = require("../../shared/validation");
+
+const MAX_SAVED_SEARCHES = Number(process.env.MAX_SAVED_SEARCHES) || 50;
+const RECENT_SEARCHES_KEPT = 20;
+
+const isCode = (v) => /^[A-Z]{3}$/.test(v || "");
+const label = (v) => (typeof v === "string" && v.trim() ? v.trim().slice(0, 200) : null);
+
+/** Returns { errors, params } with unknown fields dropped; errors are field errors */
+function normalizeSearchParams(input = {}) {
+  const errors = [];
+  const tripType = input.tripType || "oneway";
+  if (!TRIP_TYPES.includes(tripType)) {
+    errors.push(fieldError("tripType", "invalid_value", "Unknown trip type."));
+  }
+
+  const params = { tripType };
+
+  if (tripType === "multi") {
+    const legs = Array.isArray(input.legs) ? input.legs : [];
+    if (legs.length < MIN_LEGS || legs.length > MAX_LEGS) {
+      errors.push(
+        fieldError("legs", "out_of_range", `A multi-city search needs ${MIN_LEGS} to ${MAX_LEGS} flights.`)
+      );
+    }
+    legs.forEach((l, i) => {
+      if (!isCode(l?.originCode) || !isCode(l?.destinationCode) || !isDate(l?.departureDate || "")) {
+        errors.push(fieldError(`legs[${i}]`, "invalid_format", "Each flight needs origin, destination and date."));
+      }
+    });
+    params.legs = legs.map((l) => ({
+      originCode: l?.originCode,
+      destinationCode: l?.destinationCode,
+      originLabel: label(l?.originLabel),
+      destinationLabel: label(l?.destinationLabel),
+      departureDate: l?.departureDate,
+    }));
+    params.originCode = params.legs[0]?.originCode;
+    params.destinationCode = params.legs[params.legs.length - 1]?.destinationCode;
+  } else {
+    for (const [field, name] of [
+      ["originCode", "Origin"],
+      ["destinationCode", "Destination"],
+    ]) {
+      if (!isCode(input[field])) {
+        errors.push(fieldError(field, "invalid_format", `${name} must be a 3-letter code.`));
+      }
+    }
+    params.originCode = input.originCode;
+    params.destinationCode = input.destinationCode;
+    params.originLabel = label(input.originLabel);
+    params.destinationLabel = label(input.destinationLabel);
+
+    if (input.departureDate && !isDate(input.departureDate)) {
+      errors.push(fieldError("departureDate", "invalid_format", "Invalid departure date."));
+    }
+    params.departureDate = input.departureDate || null;
+    if (tripType === "round") {
+      if (input.returnDate && !isDate(input.returnDate)) {
+        errors.push(fieldError("returnDate", "invalid_format", "Invalid return date."));
+      }
+      params.returnDate = input.returnDate || null;
+    }
+  }
+
+  const { passengers, errors: passengerErrors } = parsePassengers(input.passengers || {}, {
+    fallbackAdults: parseInt(input.travelers, 10) || 1,
+  });
+  errors.push(...passengerErrors);
+  params.passengers = passengers;
+
+  if (input.cabin !== undefined && input.cabin !== null) {
+    if (!CABINS.includes(input.cabin)) errors.push(fieldError("cabin", "invalid_value", "Unknown cabin."));
+    else params.cabin = input.cabin;
+  }
+  if (input.currency !== undefined && input.currency !== null) {
+    if (!isCode(input.currency)) {
+      errors.push(fieldError("currency", "invalid_format", "Currency must be a 3-letter code."));
+    }
+    else params.currency = input.currency;
+  }
+  params.flexibleDates = tripType !== "multi" && !!input.flexibleDates;
+  params.nearbyAirports = tripType !== "multi" && !!input.nearbyAirports;
+
+  return { errors, params };
+}
+
+/* ----------------------------------------------------------
+   Saved searches
+---------------------------------------------------------- */
+function savedToApi(row) {
+  return {
+    id: Number(row.id),
+    name: row.name,
+    params: row.params,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function validateName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed) return { error: fieldError("name", "required", "Give the search a name.") };
+  if (trimmed.length > 80) {
+    return { error: fieldError("name", "out_of_range", "Name must be at most 80 characters.") };
+  }
+  return { name: trimmed };
+}
+
+async function listSavedSearches(userId) {
+  const rows = await all(
+    `SELECT id, name, params, created_at, updated_at
+     FROM saved_searches WHERE user_id = $1
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows.map(savedToApi);
+}
+
+/** Saved search, or null when the user already has MAX_SAVED_SEARCHES */
+async function createSavedSearch(userId, { name, params }) {
+  const row = await get(
+    `INSERT INTO saved_searches (user_id, name, params)
+     SELECT $1, $2, $3::jsonb
+     WHERE (SELECT COUNT(*) FROM saved_searches WHERE user_id = $1) < $4
+     RETURNING id, name, params, created_at, updated_at`,
+    [userId, name, JSON.stringify(params), MAX_SAVED_SEARCHES]
+  );
+  return row ? savedToApi(row) : null;
+}
+
+async function updateSavedSearch(id, userId, { name, params }) {
+  const row = await get(
+    `UPDATE saved_searches
+     SET name       = COALESCE($3, name),
+         params     = COALESCE($4::jsonb, params),
+         updated_at = NOW()
+     WHERE id = $1 AND user_id = $2
+     RETURNING id, name, params, created_at, updated_at`,
+    [id, userId, name ?? null, params ? JSON.stringify(params) : null]
+  );
+  return row ? savedToApi(row) : null;
+}
+
+async function deleteSavedSearch(id, userId) {
+  const row = await get(
+    `DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id`,
+    [id, userId]
+  );
+  return !!row;
+}
+
+/* ----------------------------------------------------------
+   Recent routes (recorded by POST /api/flights)
+---------------------------------------------------------- */
+async function recordRecentSearch(userId, params) {
+  await run(
+    `INSERT INTO recent_searches
+       (user_id, origin, destination, origin_label, destination_label, params)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+     ON CONFLICT (user_id, origin, destination)
+     DO UPDATE SET
+       origin_label      = COALESCE(EXCLUDED.origin_label, recent_searches.origin_label),
+       destination_label = COALESCE(EXCLUDED.destination_label, recent_searches.destination_label),
+       params            = EXCLUDED.params,
+       search_count      = recent_searches.search_count + 1,
+       searched_at       = NOW()`,
+    [
+      userId,
+      params.originCode,
+      params.destinationCode,
+      params.originLabel || null,
+      params.destinationLabel || null,
+      JSON.stringify(params),
+    ]
+  );
+
+  await run(
+    `DELETE FROM recent_searches
+     WHERE user_id = $1
+       AND id NOT IN (
+         SELECT id FROM recent_searches WHERE user_id = $1
+         ORDER BY searched_at DESC LIMIT $2
+       )`,
+    [userId, RECENT_SEARCHES_KEPT]
+  );
+}
+
+async function listRecentSearches(userId, limit = 10) {
+  const rows = await all(
+    `SELECT origin, destination, origin_label, destination_label, params,
+            search_count, searched_at
+     FROM recent_searches WHERE user_id = $1
+     ORDER BY searched_at DESC
+     LIMIT $2`,
+    [userId, Math.min(limit, RECENT_SEARCHES_KEPT)]
+  );
+  return rows.map((r) => ({
+    origin: r.origin,
+    destination: r.destination,
+    originLabel: r.origin_label,
+    destinationLabel: r.destination_label,
+    params: r.params,
+    searchCount: r.search_count,
+    searchedAt: r.searched_at,
+  }));
+}
+
+async function clearRecentSearches(userId) {
+  await run(`DELETE FROM recent_searches WHERE user_id = $1`, [userId]);
+}
+
+module.exports = {
+  normalizeSearchParams,
+  validateName,
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  recordRecentSearch,
+  listRecentSearches,
+  clearRecentSearches,
+  MAX_SAVED_SEARCHES,
+};
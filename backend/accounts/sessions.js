@@ -0,0 +1,87 @@
+// backend/accounts/sessions.js
+// Bearer-token sessions. The browser keeps the token and sends
+// "Authorization: Bearer <token>"; only its sha256 is stored.
+
+const crypto = require("crypto");
+const { run, get } = require("../db");
+const { sendError } = require("../errors");
+const log = require("../logger");
+
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/** { token, expiresAt } for a fresh session */
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  // Good moment to drop this user's expired sessions
+  await run(`DELETE FROM user_sessions WHERE user_id = $1 AND expires_at <= NOW()`, [userId]);
+  await run(
+    `INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)`,
+    [hashToken(token), userId, expiresAt]
+  );
+  return { token, expiresAt };
+}
+
+/** Signed-in user for a token (and marks the session as seen), or null */
+async function getSessionUser(token) {
+  const row = await get(
+    `UPDATE user_sessions s
+     SET last_seen_at = NOW()
+     FROM users u
+     WHERE s.token_hash = $1
+       AND s.expires_at > NOW()
+       AND u.id = s.user_id
+     RETURNING u.id, u.email, u.preferences, u.created_at`,
+    [hashToken(token)]
+  );
+  return row
+    ? { id: Number(row.id), email: row.email, preferences: row.preferences || {}, createdAt: row.created_at }
+    : null;
+}
+
+async function deleteSession(token) {
+  await run(`DELETE FROM user_sessions WHERE token_hash = $1`, [hashToken(token)]);
+}
+
+/* ----------------------------------------------------------
+   Middleware
+---------------------------------------------------------- */
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+}
+
+/** Sets req.user / req.sessionToken when a valid session is sent; never rejects */
+async function attachUser(req, res, next) {
+  const token = bearerToken(req);
+  if (!token || !process.env.DATABASE_URL) return next();
+
+  try {
+    req.user = await getSessionUser(token);
+    if (req.user) req.sessionToken = token;
+  } catch (err) {
+    log.error("Session lookup failed", { err });
+  }
+  next();
+}
+
+/** 401 unless signed in (use after attachUser) */
+function requireUser(req, res, next) {
+  if (!process.env.DATABASE_URL) {
+    return sendError(res, 503, "Accounts need a database (DATABASE_URL).");
+  }
+  if (!req.user) return sendError(res, 401, "Sign in first.");
+  next();
+}
+
+module.exports = {
+  createSession,
+  getSessionUser,
+  deleteSession,
+  attachUser,
+  requireUser,
+  SESSION_TTL_DAYS,
+};
@@ -0,0 +1,136 @@
+// backend/accounts/users.js
+// users table: registration, login and per-user form defaults.
+
+const { get } = require("../db");
+const { hashPassword, verifyPassword } = require("./passwords");
+const { parsePassengers } = require("../passengers");
+const { CABINS, fieldError } = require("../../shared/validation");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const USER_COLUMNS = "id, email, preferences, created_at";
+
+/** DB row → API shape */
+function toApi(row) {
+  return {
+    id: Number(row.id),
+    email: row.email,
+    preferences: row.preferences || {},
+    createdAt: row.created_at,
+  };
+}
+
+/** Returns { errors, email }; errors are field errors */
+function validateCredentials({ email, password } = {}) {
+  const errors = [];
+  const normalized = String(email || "").trim().toLowerCase();
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) || normalized.length > 254) {
+    errors.push(fieldError("email", "invalid_format", "Enter a valid e-mail address."));
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(
+      fieldError("password", "out_of_range", `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`)
+    );
+  } else if (password.length > 200) {
+    errors.push(fieldError("password", "out_of_range", "Password is too long."));
+  }
+  return { errors, email: normalized };
+}
+
+/** New user, or null when the e-mail is taken */
+async function createUser({ email, password }) {
+  const row = await get(
+    `INSERT INTO users (email, password_hash)
+     VALUES ($1, $2)
+     ON CONFLICT (email) DO NOTHING
+     RETURNING ${USER_COLUMNS}`,
+    [email, await hashPassword(password)]
+  );
+  return row ? toApi(row) : null;
+}
+
+// Compared against when the e-mail is unknown, so both cases take as long
+let dummyHash = null;
+
+/** User for valid credentials, otherwise null */
+async function authenticate({ email, password }) {
+  const row = await get(
+    `SELECT ${USER_COLUMNS}, password_hash FROM users WHERE email = $1`,
+    [String(email || "").trim().toLowerCase()]
+  );
+
+  if (!row) {
+    dummyHash = dummyHash || (await hashPassword("not-a-real-password"));
+    await verifyPassword(String(password || ""), dummyHash);
+    return null;
+  }
+  return (await verifyPassword(String(password || ""), row.password_hash)) ? toApi(row) : null;
+}
+
+async function getUser(id) {
+  const row = await get(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+  return row ? toApi(row) : null;
+}
+
+/* ----------------------------------------------------------
+   Preferences: defaults the search form starts from
+---------------------------------------------------------- */
+
+/**
+ * Validate { currency, cabin, passengers }; null clears a field.
+ * Returns { errors, values } with only the fields that were sent; errors are
+ * field errors.
+ */
+function validatePreferences(input = {}) {
+  const errors = [];
+  const values = {};
+  const has = (k) => input[k] !== undefined;
+
+  if (has("currency")) {
+    if (input.currency === null) values.currency = null;
+    else if (!/^[A-Z]{3}$/.test(input.currency || "")) {
+      errors.push(fieldError("currency", "invalid_format", "Currency must be a 3-letter code."));
+    }
+    else values.currency = input.currency;
+  }
+  if (has("cabin")) {
+    if (input.cabin === null) values.cabin = null;
+    else if (!CABINS.includes(input.cabin)) errors.push(fieldError("cabin", "invalid_value", "Unknown cabin."));
+    else values.cabin = input.cabin;
+  }
+  if (has("passengers")) {
+    if (input.passengers === null) values.passengers = null;
+    else {
+      const { passengers, errors: passengerErrors } = parsePassengers(input.passengers || {});
+      if (passengerErrors.length) errors.push(...passengerErrors);
+      else values.passengers = passengers;
+    }
+  }
+  return { errors, values };
+}
+
+/** Merge into the stored preferences; null fields are removed */
+async function updatePreferences(userId, values) {
+  const set = Object.fromEntries(Object.entries(values).filter(([, v]) => v !== null));
+  const cleared = Object.keys(values).filter((k) => values[k] === null);
+
+  const row = await get(
+    `UPDATE users
+     SET preferences = (preferences || $2::jsonb) - $3::text[],
+         updated_at  = NOW()
+     WHERE id = $1
+     RETURNING ${USER_COLUMNS}`,
+    [userId, JSON.stringify(set), cleared]
+  );
+  return row ? toApi(row) : null;
+}
+
+module.exports = {
+  validateCredentials,
+  createUser,
+  authenticate,
+  getUser,
+  validatePreferences,
+  updatePreferences,
+};
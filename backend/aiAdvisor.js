@@ -1,8 +1,7 @@
 // backend/aiAdvisor.js
-// Heuristic + Seasonal AI logic (lightweight DB usage)
+// Heuristic advice + price forecast blend (see forecast.js)
 
-// Only import db helpers — db does NOT import us → NO circular deps
-const { all, run } = require("./db");
+const { forecastPrices } = require("./forecast");
 
 /* Airline code → full name */
 const AIRLINE_MAP = {
@@ -169,139 +168,6 @@ function heuristicAdvice({ daysUntilDeparture, minPrice, avgPrice, maxPrice }) {
   };
 }
 
-/* -------------------------------------
-   UPDATE SEASONAL STATS
--------------------------------------- */
-async function updateSeasonalStats({
-  origin,
-  destination,
-  departureDate,
-  daysUntilDeparture,
-  avgPrice,
-}) {
-  try {
-    const month = new Date(departureDate).getMonth() + 1;
-    const isFar = daysUntilDeparture >= 30;
-    const isNear = daysUntilDeparture <= 7;
-
-    // Only learn from "far" and "near" points; ignore mid-range
-    if (!isFar && !isNear) return;
-
-    const price = avgPrice;
-
-    await run(
-      `
-      INSERT INTO seasonal_stats (origin, destination, month,
-                                  total_points,
-                                  far_sum, far_count,
-                                  near_sum, near_count,
-                                  last_updated)
-      VALUES ($1, $2, $3,
-              1,
-              $4, $5,
-              $6, $7,
-              NOW())
-      ON CONFLICT (origin, destination, month)
-      DO UPDATE SET
-        total_points = seasonal_stats.total_points + 1,
-        far_sum      = seasonal_stats.far_sum  + EXCLUDED.far_sum,
-        far_count    = seasonal_stats.far_count + EXCLUDED.far_count,
-        near_sum     = seasonal_stats.near_sum + EXCLUDED.near_sum,
-        near_count   = seasonal_stats.near_count + EXCLUDED.near_count,
-        last_updated = NOW();
-    `,
-      [
-        origin,
-        destination,
-        month,
-        isFar ? price : 0,
-        isFar ? 1 : 0,
-        isNear ? price : 0,
-        isNear ? 1 : 0,
-      ]
-    );
-  } catch (err) {
-    console.error("Seasonal stats update failed:", err.message);
-  }
-}
-
-/* -------------------------------------
-   LEARNING ADVICE (SEASONAL)
--------------------------------------- */
-async function learningAdvice({ origin, destination, departureDate }) {
-  try {
-    const month = new Date(departureDate).getMonth() + 1;
-
-    const rows = await all(
-      `
-        SELECT *
-        FROM seasonal_stats
-        WHERE origin = $1
-          AND destination = $2
-          AND month = $3
-          AND last_updated >= NOW() - INTERVAL '180 days'
-      `,
-      [origin, destination, month]
-    );
-
-    if (!rows.length) {
-      return {
-        action: "NO_SIGNAL",
-        reason: "We don’t have enough recent seasonal data for this route and month yet.",
-        confidence: 0,
-      };
-    }
-
-    const stats = rows[0];
-
-    if (stats.far_count < 2 || stats.near_count < 2) {
-      return {
-        action: "NO_SIGNAL",
-        reason: "We’ve seen this route, but not often enough to trust a trend yet.",
-        confidence: 0,
-      };
-    }
-
-    const farAvg = stats.far_sum / stats.far_count;
-    const nearAvg = stats.near_sum / stats.near_count;
-    const change = (nearAvg - farAvg) / farAvg;
-
-    // No strong trend
-    if (Math.abs(change) < 0.05) {
-      return {
-        action: "NO_SIGNAL",
-        reason: "Seasonal price changes for this route look small, so there’s no strong pattern.",
-        confidence: 40,
-      };
-    }
-
-    if (change > 0.08) {
-      // Prices rise near departure
-      return {
-        action: "BOOK",
-        confidence: 75,
-        reason:
-          "Historically, prices for this route have risen as departure approaches, especially in this month.",
-      };
-    }
-
-    // Prices drop near departure
-    return {
-      action: "WAIT",
-      confidence: 70,
-      reason:
-        "Historically, prices for this route have tended to be lower closer to departure in this month.",
-    };
-  } catch (e) {
-    console.error("learningAdvice failed:", e.message);
-    return {
-      action: "NO_SIGNAL",
-      reason: "We couldn’t load seasonal data, so we’re skipping that signal.",
-      confidence: 0,
-    };
-  }
-}
-
 /* -------------------------------------
    BLENDED ADVICE
 -------------------------------------- */
@@ -326,57 +192,50 @@ async function blendedAdvice({
     maxPrice,
   });
 
-  const seasonal = await learningAdvice({ origin, destination, departureDate });
-
-  let action = "NO_SIGNAL";
-  let confidence = 40;
-  let explanation = "";
+  const forecast = await forecastPrices({
+    origin,
+    destination,
+    departureDate,
+    currentPrice: minPrice,
+    currency: bestFlight?.currency,
+    asOf: todayStr,
+  });
 
-  // If both agree and both have a signal
-  if (
-    seasonal.action !== "NO_SIGNAL" &&
-    heuristic.action !== "NO_SIGNAL" &&
-    seasonal.action === heuristic.action
-  ) {
-    action = heuristic.action;
-    confidence = Math.min(95, Math.max(heuristic.confidence, seasonal.confidence) + 5);
+  let action;
+  let confidence;
+  let explanation;
+
+  // Forecast available → it decides; its confidence is the probability
+  // behind the call, not a tuned constant
+  if (forecast.action !== "NO_SIGNAL") {
+    action = forecast.action;
+    confidence = forecast.confidence;
+    const agrees =
+      (action === "BOOK" && heuristic.pricePosition.label === "CHEAP") ||
+      (action === "WAIT" && heuristic.pricePosition.label === "EXPENSIVE");
     explanation =
-      action === "BOOK"
-        ? "Both today’s prices and recent seasonal trends suggest it’s a good time to book."
-        : "Both today’s prices and recent seasonal trends suggest it’s reasonable to wait a bit if your dates are flexible.";
+      (action === "BOOK"
+        ? "Our price forecast for this route doesn’t expect fares to drop in the coming days, so booking now looks sensible."
+        : "Our price forecast for this route expects a lower fare in the coming days, so it may be worth waiting if your dates are flexible.") +
+      (agrees ? " Today’s prices within this search point the same way." : "");
   }
-  // If seasonal has signal and heuristic does not
-  else if (seasonal.action !== "NO_SIGNAL" && heuristic.action === "NO_SIGNAL") {
-    action = seasonal.action;
-    confidence = seasonal.confidence || 60;
-    explanation =
-      action === "BOOK"
-        ? "Based on historical price patterns for this route and month, it’s safer to book now."
-        : "Based on historical price patterns for this route and month, it may be worth waiting a bit.";
-  }
-  // If heuristic has signal but seasonal does not
-  else if (heuristic.action !== "NO_SIGNAL" && seasonal.action === "NO_SIGNAL") {
+  // Not enough history yet → fall back to the rule of thumb, capped so it
+  // never looks as sure as a fitted forecast
+  else {
     action = heuristic.action;
-    confidence = heuristic.confidence || 60;
+    confidence = Math.min(heuristic.confidence, 60);
     explanation =
       action === "BOOK"
         ? "Given how today’s prices compare within this search and how close you are to departure, it makes sense to book."
         : "Given today’s price spread and days until departure, there’s some room to wait if you’re flexible.";
   }
-  // If both weak or conflicting
-  else {
-    action = "NO_SIGNAL";
-    confidence = 40;
-    explanation =
-      "We don’t see a strong pattern from today’s prices or seasonal trends, so there’s no strong AI signal either way.";
-  }
 
   return {
     action,
     confidence,
     explanation,
     heuristic,
-    learning: seasonal,
+    forecast,
     bestDeal: bestFlight,
   };
 }
@@ -385,5 +244,4 @@ module.exports = {
   airlineNameFromCode,
   formatDuration,
   blendedAdvice,
-  updateSeasonalStats,
 };
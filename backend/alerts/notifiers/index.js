@@ -0,0 +1,47 @@
+// backend/alerts/notifiers/index.js
+// Notification channels for price alerts.
+//
+// Every notifier is a plain object:
+//   name              channel id stored in price_watches.notify_channel
+//   isConfigured()    → boolean
+//   validateTarget(t) → error message or null (email, URL, …)
+//   send(message)     → resolves when delivered, throws on failure
+//
+// `log` is the local stand-in: it needs no configuration and just records
+// the alert, so the whole flow can be exercised offline.
+
+const log = require("./log");
+const webhook = require("./webhook");
+const smtp = require("./smtp");
+
+const notifiers = new Map([log, webhook, smtp].map((n) => [n.name, n]));
+
+function getNotifier(name) {
+  return notifiers.get(name) || null;
+}
+
+/** Channels the frontend may offer (configured ones only) */
+function availableChannels() {
+  return Array.from(notifiers.values())
+    .filter((n) => n.isConfigured())
+    .map((n) => n.name);
+}
+
+/**
+ * Check a channel + target pair before saving a watch.
+ * Returns an error message or null.
+ */
+function validateChannel(channel, target) {
+  const notifier = getNotifier(channel);
+  if (!notifier) return `Unknown notification channel "${channel}".`;
+  if (!notifier.isConfigured()) {
+    return `Notification channel "${channel}" is not configured on this server.`;
+  }
+  return notifier.validateTarget(target);
+}
+
+module.exports = {
+  getNotifier,
+  availableChannels,
+  validateChannel,
+};
@@ -0,0 +1,35 @@
+// backend/alerts/notifiers/log.js
+// Local stand-in: log the alert and optionally append it to a JSONL outbox
+
+const fs = require("fs");
+const log = require("../../logger");
+
+const OUTBOX = process.env.ALERTS_OUTBOX_FILE;
+
+module.exports = {
+  name: "log",
+
+  isConfigured() {
+    return true;
+  },
+
+  validateTarget() {
+    return null;
+  },
+
+  async send(message) {
+    log.info("Price alert", {
+      subject: message.subject,
+      price: message.price,
+      currency: message.currency,
+      rule: message.rule,
+    });
+
+    if (OUTBOX) {
+      await fs.promises.appendFile(
+        OUTBOX,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+      );
+    }
+  },
+};
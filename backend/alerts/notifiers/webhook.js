@@ -0,0 +1,76 @@
+// backend/alerts/notifiers/webhook.js
+// POST the alert as JSON to ALERTS_WEBHOOK_URL, or to the watch's own URL
+// when its host is in ALERTS_WEBHOOK_HOSTS.
+//
+// Watches are anonymous, so a per-watch URL is never trusted on its own:
+// without the allowlist the server would POST wherever a stranger asked
+// (localhost, cloud metadata, the private network). Targets are checked
+// again at send time, so narrowing the allowlist also stops existing
+// watches.
+
+const axios = require("axios");
+
+const DEFAULT_URL = process.env.ALERTS_WEBHOOK_URL;
+// e.g. "hooks.slack.com,example.com" (exact host names)
+const ALLOWED_HOSTS = new Set(
+  (process.env.ALERTS_WEBHOOK_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+function parseHttpUrl(str) {
+  try {
+    const u = new URL(str);
+    return u.protocol === "https:" || u.protocol === "http:" ? u : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Error message for a per-watch URL, or null */
+function checkTarget(target) {
+  const url = parseHttpUrl(target);
+  if (!url) return "Webhook target must be an http(s) URL.";
+  if (target === DEFAULT_URL) return null;
+  if (!ALLOWED_HOSTS.has(url.hostname.toLowerCase())) {
+    return ALLOWED_HOSTS.size
+      ? `Webhook host must be one of: ${[...ALLOWED_HOSTS].join(", ")}.`
+      : "This server only sends webhooks to its configured URL; leave the target empty.";
+  }
+  return null;
+}
+
+module.exports = {
+  name: "webhook",
+
+  isConfigured() {
+    return !!DEFAULT_URL || ALLOWED_HOSTS.size > 0;
+  },
+
+  validateTarget(target) {
+    if (!target) return DEFAULT_URL ? null : "Webhook target is required.";
+    return checkTarget(target);
+  },
+
+  async send(message) {
+    const url = message.target || DEFAULT_URL;
+    const error = message.target ? checkTarget(message.target) : url ? null : "No webhook URL.";
+    if (error) throw new Error(error);
+
+    await axios.post(
+      url,
+      {
+        type: "price_alert",
+        subject: message.subject,
+        text: message.text,
+        watch: message.watch,
+        price: message.price,
+        currency: message.currency,
+        rule: message.rule,
+      },
+      // No redirects: an allowed host could otherwise bounce us anywhere
+      { timeout: 10000, maxRedirects: 0 }
+    );
+  },
+};
@@ -0,0 +1,40 @@
+// backend/alerts/rules.js
+// Decide whether a fresh price should trigger a watch's alert
+
+/**
+ * evaluateWatch(watch, price)
+ * watch: API-shaped watch (see watches.js toApi)
+ * Returns { rule, reason } when an alert should fire, else null.
+ *
+ * A watch never alerts twice for the same price level: after an alert,
+ * only a price below the last alerted price can fire again.
+ */
+function evaluateWatch(watch, price) {
+  if (typeof price !== "number" || !isFinite(price) || price <= 0) return null;
+
+  if (watch.lastNotifiedPrice !== null && price >= watch.lastNotifiedPrice) {
+    return null;
+  }
+
+  if (watch.targetPrice !== null && price <= watch.targetPrice) {
+    return {
+      rule: "target",
+      reason: `at or below your target of ${watch.targetPrice} ${watch.currency}`,
+    };
+  }
+
+  if (watch.dropPercent !== null && watch.baselinePrice !== null) {
+    const threshold = watch.baselinePrice * (1 - watch.dropPercent / 100);
+    if (price <= threshold) {
+      const drop = ((watch.baselinePrice - price) / watch.baselinePrice) * 100;
+      return {
+        rule: "drop",
+        reason: `down ${drop.toFixed(1)}% from ${watch.baselinePrice} ${watch.currency} when you started watching`,
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = { evaluateWatch };
@@ -0,0 +1,165 @@
+// backend/alerts/scheduler.js
+// Background re-search of saved watches + alert delivery
+
+const { runFlightSearch } = require("../searchService");
+const { evaluateWatch } = require("./rules");
+const { getNotifier } = require("./notifiers");
+const {
+  dueWatches,
+  deactivateExpiredWatches,
+  recordCheck,
+  recordNotification,
+} = require("./watches");
+const log = require("../logger");
+
+// How often each watch is re-searched
+const INTERVAL_MINUTES = Number(process.env.ALERTS_INTERVAL_MINUTES) || 360;
+// How often the scheduler wakes up to look for due watches
+const TICK_SECONDS = Number(process.env.ALERTS_TICK_SECONDS) || 60;
+// Max watches re-searched per tick (each one costs provider calls)
+const BATCH_SIZE = Number(process.env.ALERTS_BATCH_SIZE) || 10;
+
+let timer = null;
+let running = false;
+
+function buildMessage(watch, price, match, result) {
+  const route = `${watch.origin} → ${watch.destination}`;
+  const dates = watch.returnDate
+    ? `${watch.departureDate} – ${watch.returnDate}`
+    : watch.departureDate;
+  const best = result.model?.bestDeal;
+  const advice = result.model?.action;
+
+  const lines = [
+    `${route} on ${dates} is now ${price} ${watch.currency} — ${match.reason}.`,
+  ];
+  if (best) lines.push(`Cheapest: ${best.airline} ${best.flightNumber}.`);
+  if (advice && advice !== "NO_SIGNAL") {
+    lines.push(`AI advisor: ${advice === "BOOK" ? "book now" : "wait"} (${result.model.confidence}% confidence).`);
+  }
+  if (best?.bookingUrl) lines.push(best.bookingUrl);
+
+  return {
+    subject: `${route}: ${price} ${watch.currency} (${
+      match.rule === "drop" ? "price drop" : "target reached"
+    })`,
+    text: lines.join("\n"),
+    target: watch.notifyTarget,
+    watch: {
+      id: watch.id,
+      origin: watch.origin,
+      destination: watch.destination,
+      departureDate: watch.departureDate,
+      returnDate: watch.returnDate,
+    },
+    price,
+    currency: watch.currency,
+    rule: match.rule,
+  };
+}
+
+/**
+ * Re-run the search pipeline for one watch, store the price and send an
+ * alert if a rule matches. Returns { price, alert } for the API.
+ */
+async function checkWatch(watch) {
+  const result = await runFlightSearch({
+    originCode: watch.origin,
+    destinationCode: watch.destination,
+    departureDate: watch.departureDate,
+    returnDate: watch.returnDate,
+    tripType: watch.returnDate ? "round" : "oneway",
+    adults: watch.adults,
+    children: watch.children,
+    infantsInSeat: watch.infantsInSeat,
+    infantsOnLap: watch.infantsOnLap,
+    cabin: watch.cabin,
+    currency: watch.currency,
+    flexibleDates: false,
+  });
+
+  if (!result.flights.length) {
+    return { price: null, alert: null };
+  }
+
+  const price = Math.min(...result.flights.map((f) => f.price));
+  await recordCheck(watch.id, price);
+
+  // First check sets the baseline used by "drop by X%"
+  const evaluated = {
+    ...watch,
+    baselinePrice: watch.baselinePrice ?? price,
+  };
+  const match = evaluateWatch(evaluated, price);
+  if (!match) return { price, alert: null };
+
+  const notifier = getNotifier(watch.notifyChannel);
+  const message = buildMessage(watch, price, match, result);
+
+  try {
+    if (!notifier || !notifier.isConfigured()) {
+      throw new Error(`Channel "${watch.notifyChannel}" unavailable`);
+    }
+    await notifier.send(message);
+    await recordNotification({ watch, price, rule: match.rule, status: "sent" });
+    return { price, alert: { rule: match.rule, status: "sent" } };
+  } catch (err) {
+    log.error("Alert delivery failed", { watchId: watch.id, err });
+    await recordNotification({
+      watch,
+      price,
+      rule: match.rule,
+      status: "failed",
+      error: err.message,
+    });
+    return { price, alert: { rule: match.rule, status: "failed" } };
+  }
+}
+
+async function tick() {
+  if (running) return; // previous tick still searching
+  running = true;
+  try {
+    await deactivateExpiredWatches();
+    const watches = await dueWatches({
+      intervalMinutes: INTERVAL_MINUTES,
+      limit: BATCH_SIZE,
+    });
+
+    // One at a time: each watch already fans out to every provider
+    for (const watch of watches) {
+      try {
+        await checkWatch(watch);
+      } catch (err) {
+        log.error("Watch check failed", { watchId: watch.id, err });
+      }
+    }
+  } catch (err) {
+    log.error("Alert scheduler tick failed", { err });
+  } finally {
+    running = false;
+  }
+}
+
+function startAlertScheduler() {
+  if (!process.env.DATABASE_URL || process.env.ALERTS_ENABLED === "false") {
+    return false;
+  }
+  if (timer) return true;
+
+  timer = setInterval(tick, TICK_SECONDS * 1000);
+  timer.unref(); // never keep the process alive just for alerts
+  log.info("Price alert scheduler started", { intervalMinutes: INTERVAL_MINUTES });
+  return true;
+}
+
+function stopAlertScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  checkWatch,
+  startAlertScheduler,
+  stopAlertScheduler,
+};
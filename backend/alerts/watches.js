@@ -0,0 +1,318 @@
+// backend/alerts/watches.js
+// Price watch storage (price_watches + watch_notifications)
+
+const { run, all, get } = require("../db");
+const { validateChannel, getNotifier } = require("./notifiers");
+const { parsePassengers } = require("../passengers");
+const { CABINS, fieldError, validate, schemas } = require("../../shared/validation");
+
+// DATE columns come back as JS Dates in server-local time; keep them as strings
+const WATCH_COLUMNS = `
+  id, owner_key, origin, destination,
+  to_char(departure_date, 'YYYY-MM-DD') AS departure_date,
+  to_char(return_date, 'YYYY-MM-DD')    AS return_date,
+  adults, children, infants_in_seat, infants_on_lap, cabin, currency,
+  target_price, drop_percent, baseline_price, last_price, last_notified_price,
+  notify_channel, notify_target, active,
+  last_checked_at, last_notified_at, created_at, updated_at
+`;
+
+const numOrNull = (v) => (v === null || v === undefined ? null : Number(v));
+
+/** DB row → API shape */
+function toApi(row) {
+  return {
+    id: Number(row.id),
+    origin: row.origin,
+    destination: row.destination,
+    departureDate: row.departure_date,
+    returnDate: row.return_date,
+    adults: row.adults,
+    children: row.children,
+    infantsInSeat: row.infants_in_seat,
+    infantsOnLap: row.infants_on_lap,
+    cabin: row.cabin,
+    currency: row.currency,
+    targetPrice: numOrNull(row.target_price),
+    dropPercent: numOrNull(row.drop_percent),
+    baselinePrice: numOrNull(row.baseline_price),
+    lastPrice: numOrNull(row.last_price),
+    lastNotifiedPrice: numOrNull(row.last_notified_price),
+    notifyChannel: row.notify_channel,
+    notifyTarget: row.notify_target,
+    active: row.active,
+    lastCheckedAt: row.last_checked_at,
+    lastNotifiedAt: row.last_notified_at,
+    createdAt: row.created_at,
+  };
+}
+
+/** WATCH_ROUTE field → price_watches column */
+const ROUTE_COLUMNS = {
+  originCode: "origin",
+  destinationCode: "destination",
+  departureDate: "departure_date",
+  returnDate: "return_date",
+  cabin: "cabin",
+  currency: "currency",
+};
+
+/**
+ * Route, dates, cabin and currency through the shared WATCH_ROUTE schema.
+ * On update only the sent fields are parsed, and the cross-field checks
+ * (same airport, return before departure) run on the stored watch with the
+ * update applied.
+ */
+function validateWatchRoute(input, current, errors, values) {
+  const add = (field, code, message) => errors.push(fieldError(field, code, message));
+  let parsed;
+
+  if (!current) {
+    parsed = validate(schemas.WATCH_ROUTE, input);
+  } else {
+    const sent = Object.entries(schemas.WATCH_ROUTE.fields)
+      .filter(([name]) => input[name] !== undefined)
+      .map(([name, spec]) => [name, { ...spec, required: false }]);
+    parsed = validate({ fields: Object.fromEntries(sent) }, input);
+    const merged = {
+      originCode: current.origin,
+      destinationCode: current.destination,
+      departureDate: current.departureDate,
+      returnDate: current.returnDate,
+      ...parsed.values,
+    };
+    if (!parsed.errors.length) schemas.WATCH_ROUTE.checks.forEach((check) => check(merged, add));
+  }
+
+  errors.push(...parsed.errors);
+  for (const [field, column] of Object.entries(ROUTE_COLUMNS)) {
+    if (parsed.values[field] !== undefined) values[column] = parsed.values[field];
+  }
+
+  // Prices seen for the old trip mean nothing for the new one: drop them so
+  // the next check takes a fresh baseline (unless the update sets one)
+  if (current && routeChanged(current, parsed.values)) {
+    values.baseline_price = null;
+    values.last_price = null;
+    values.last_notified_price = null;
+  }
+}
+
+/** Whether parsed WATCH_ROUTE values differ from the stored watch */
+function routeChanged(current, parsed) {
+  const stored = {
+    ...current,
+    originCode: current.origin,
+    destinationCode: current.destination,
+  };
+  return Object.keys(ROUTE_COLUMNS).some(
+    (field) => parsed[field] !== undefined && (parsed[field] ?? null) !== (stored[field] ?? null)
+  );
+}
+
+/**
+ * Validate create/update input. `current` is the stored watch (API shape)
+ * when updating.
+ * Returns { errors, values } — errors are field errors, values only holds
+ * fields that were sent.
+ */
+function validateWatchInput(input, { current = null } = {}) {
+  const errors = [];
+  const values = {};
+  const has = (k) => input[k] !== undefined;
+  const partial = !!current;
+
+  validateWatchRoute(input, current, errors, values);
+
+  // The passenger rules span all four counts, so any one of them being
+  // sent validates and stores the whole mix (unsent counts → 1 adult / 0)
+  if (["adults", "children", "infantsInSeat", "infantsOnLap"].some(has)) {
+    const { passengers, errors: passengerErrors } = parsePassengers(input, { prefix: "" });
+    if (passengerErrors.length) errors.push(...passengerErrors);
+    else {
+      values.adults = passengers.adults;
+      values.children = passengers.children;
+      values.infants_in_seat = passengers.infantsInSeat;
+      values.infants_on_lap = passengers.infantsOnLap;
+    }
+  }
+  if (has("targetPrice")) {
+    const v = input.targetPrice === null || input.targetPrice === "" ? null : Number(input.targetPrice);
+    if (v !== null && !(v > 0)) {
+      errors.push(fieldError("targetPrice", "out_of_range", "Target price must be a positive number."));
+    } else values.target_price = v;
+  }
+  if (has("dropPercent")) {
+    const v = input.dropPercent === null || input.dropPercent === "" ? null : Number(input.dropPercent);
+    if (v !== null && !(v > 0 && v < 100)) {
+      errors.push(fieldError("dropPercent", "out_of_range", "Drop % must be between 0 and 100."));
+    } else values.drop_percent = v;
+  }
+  if (has("baselinePrice")) {
+    const v =
+      input.baselinePrice === null || input.baselinePrice === "" ? null : Number(input.baselinePrice);
+    if (v !== null && !(v > 0)) {
+      errors.push(fieldError("baselinePrice", "out_of_range", "Baseline price must be a positive number."));
+    } else values.baseline_price = v;
+  }
+
+  // The watch needs a rule once the update is applied, not just on create
+  const stored = (column, field) => (column in values ? values[column] : current?.[field] ?? null);
+  if (stored("target_price", "targetPrice") == null && stored("drop_percent", "dropPercent") == null) {
+    errors.push(fieldError("targetPrice", "required", "Set a target price or a drop percentage."));
+  }
+
+  // On update an unsent channel or target keeps the stored one
+  if (!partial || has("notifyChannel") || has("notifyTarget")) {
+    const channel = input.notifyChannel || current?.notifyChannel || "log";
+    const target = has("notifyTarget") ? input.notifyTarget : current?.notifyTarget;
+    const channelError = validateChannel(channel, target);
+    if (channelError) {
+      // An unknown or unconfigured channel is the channel's fault, else the target's
+      const field = getNotifier(channel)?.isConfigured() ? "notifyTarget" : "notifyChannel";
+      errors.push(fieldError(field, "invalid_value", channelError));
+    }
+    else {
+      values.notify_channel = channel;
+      values.notify_target = target || null;
+    }
+  }
+  if (has("active")) values.active = !!input.active;
+
+  return { errors, values };
+}
+
+async function listWatches(ownerKey) {
+  const rows = await all(
+    `SELECT ${WATCH_COLUMNS} FROM price_watches
+     WHERE owner_key = $1
+     ORDER BY created_at DESC`,
+    [ownerKey]
+  );
+  return rows.map(toApi);
+}
+
+async function getWatch(id, ownerKey) {
+  const row = await get(
+    `SELECT ${WATCH_COLUMNS} FROM price_watches WHERE id = $1 AND owner_key = $2`,
+    [id, ownerKey]
+  );
+  return row ? toApi(row) : null;
+}
+
+async function createWatch(ownerKey, values) {
+  const cols = ["owner_key", ...Object.keys(values)];
+  const params = [ownerKey, ...Object.values(values)];
+  const row = await get(
+    `INSERT INTO price_watches (${cols.join(", ")})
+     VALUES (${cols.map((_, i) => `$${i + 1}`).join(", ")})
+     RETURNING ${WATCH_COLUMNS}`,
+    params
+  );
+  return toApi(row);
+}
+
+async function updateWatch(id, ownerKey, values) {
+  const keys = Object.keys(values);
+  if (!keys.length) return getWatch(id, ownerKey);
+
+  const sets = keys.map((k, i) => `${k} = $${i + 3}`);
+  const row = await get(
+    `UPDATE price_watches
+     SET ${sets.join(", ")}, updated_at = NOW()
+     WHERE id = $1 AND owner_key = $2
+     RETURNING ${WATCH_COLUMNS}`,
+    [id, ownerKey, ...Object.values(values)]
+  );
+  return row ? toApi(row) : null;
+}
+
+async function deleteWatch(id, ownerKey) {
+  const row = await get(
+    `DELETE FROM price_watches WHERE id = $1 AND owner_key = $2 RETURNING id`,
+    [id, ownerKey]
+  );
+  return !!row;
+}
+
+async function listNotifications(watchId, limit = 20) {
+  const rows = await all(
+    `SELECT price, currency, rule, channel, status, error, created_at
+     FROM watch_notifications
+     WHERE watch_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [watchId, limit]
+  );
+  return rows.map((r) => ({ ...r, price: Number(r.price) }));
+}
+
+/* ----------------------------------------------------------
+   Scheduler helpers
+---------------------------------------------------------- */
+
+/** Active watches not checked within `intervalMinutes`, stalest first */
+async function dueWatches({ intervalMinutes, limit }) {
+  const rows = await all(
+    `SELECT ${WATCH_COLUMNS} FROM price_watches
+     WHERE active
+       AND departure_date >= CURRENT_DATE
+       AND (last_checked_at IS NULL
+            OR last_checked_at < NOW() - make_interval(mins => $1))
+     ORDER BY last_checked_at ASC NULLS FIRST
+     LIMIT $2`,
+    [intervalMinutes, limit]
+  );
+  return rows.map(toApi);
+}
+
+/** Watches whose departure date has passed can't fire any more */
+async function deactivateExpiredWatches() {
+  await run(
+    `UPDATE price_watches SET active = FALSE, updated_at = NOW()
+     WHERE active AND departure_date < CURRENT_DATE`
+  );
+}
+
+async function recordCheck(id, price) {
+  await run(
+    `UPDATE price_watches
+     SET last_price = $2,
+         baseline_price = COALESCE(baseline_price, $2),
+         last_checked_at = NOW()
+     WHERE id = $1`,
+    [id, price]
+  );
+}
+
+async function recordNotification({ watch, price, rule, status, error }) {
+  await run(
+    `INSERT INTO watch_notifications (watch_id, price, currency, rule, channel, status, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [watch.id, price, watch.currency, rule, watch.notifyChannel, status, error || null]
+  );
+
+  if (status === "sent") {
+    await run(
+      `UPDATE price_watches
+       SET last_notified_price = $2, last_notified_at = NOW()
+       WHERE id = $1`,
+      [watch.id, price]
+    );
+  }
+}
+
+module.exports = {
+  CABINS,
+  validateWatchInput,
+  listWatches,
+  getWatch,
+  createWatch,
+  updateWatch,
+  deleteWatch,
+  listNotifications,
+  dueWatches,
+  deactivateExpiredWatches,
+  recordCheck,
+  recordNotification,
+};
@@ -1,20 +1,41 @@
 // backend/amadeusClient.js
 
 require('dotenv').config();
-const axios = require('axios');
+const {
+  isoDurationToMinutes,
+  buildSegment,
+  buildItinerary,
+  buildFlight,
+  buildPriceBreakdown,
+} = require('./itinerary');
+const { buildFare, bagAllowance } = require('./fares');
+const log = require('./logger');
+const { createHttpClient } = require('./httpClient');
 
 const AMA_ID = process.env.AMADEUS_CLIENT_ID;
 const AMA_SECRET = process.env.AMADEUS_CLIENT_SECRET;
 
 const AMA_BASE = "https://test.api.amadeus.com"; 
 
+const http = createHttpClient({
+  name: 'amadeus',
+  timeoutMs: Number(process.env.AMADEUS_TIMEOUT_MS) || 10000,
+});
+
+// Autocomplete runs on every keystroke: its own budget and circuit, so
+// typing can't spend the search budget or trip the search breaker
+const lookupHttp = createHttpClient({
+  name: 'amadeus-locations',
+  timeoutMs: Number(process.env.AMADEUS_TIMEOUT_MS) || 10000,
+});
+
 let token = null;
 let tokenExpires = 0;
 
-async function auth() {
+async function auth(client = http) {
   if (token && Date.now() < tokenExpires) return token;
 
-  const res = await axios.post(
+  const res = await client.post(
   `${AMA_BASE}/v1/security/oauth2/token`,
   new URLSearchParams({
     grant_type: "client_credentials",
@@ -32,13 +53,13 @@ async function auth() {
 
 /** Autocomplete: city / airport search */
 async function searchLocations(query) {
-  const t = await auth();
+  const t = await auth(lookupHttp);
   const url =
   `${AMA_BASE}/v1/reference-data/locations?subType=CITY,AIRPORT&keyword=` +
   encodeURIComponent(query);
 
 
-  const res = await axios.get(url, {
+  const res = await lookupHttp.get(url, {
     headers: { Authorization: `Bearer ${t}` },
   });
 
@@ -59,6 +80,11 @@ return data.map((d) => {
 
 }
 
+/** Our request id as Amadeus' correlation header, so their logs line up with ours */
+function clientRef({ requestId } = {}) {
+  return requestId ? { 'ama-client-ref': requestId } : {};
+}
+
 /** Flight search */
 async function searchFlights({
   originCode,
@@ -66,9 +92,33 @@ async function searchFlights({
   departureDate,
   returnDate,
   adults,
+  children = 0,
+  infantsInSeat = 0,
+  infantsOnLap = 0,
   cabin,
   currency,
-}) {
+}, context = {}) {
+  // The GET form only knows lap infants; seated infants need the POST body
+  if (infantsInSeat > 0) {
+    const legs = [{ originCode, destinationCode, departureDate }];
+    if (returnDate) {
+      legs.push({
+        originCode: destinationCode,
+        destinationCode: originCode,
+        departureDate: returnDate,
+      });
+    }
+    return searchMultiCityFlights({
+      legs,
+      adults,
+      children,
+      infantsInSeat,
+      infantsOnLap,
+      cabin,
+      currency,
+    }, context);
+  }
+
   const t = await auth();
 
   const params = {
@@ -82,19 +132,216 @@ async function searchFlights({
   };
 
   if (returnDate) params.returnDate = returnDate;
+  if (children > 0) params.children = children;
+  if (infantsOnLap > 0) params.infants = infantsOnLap;
 
   const url = `${AMA_BASE}/v2/shopping/flight-offers`;
 
 
-  const res = await axios.get(url, {
+  const res = await http.get(url, {
     params,
-    headers: { Authorization: `Bearer ${t}` },
+    headers: { Authorization: `Bearer ${t}`, ...clientRef(context) },
+    signal: context.signal,
   });
 
   return res.data;
 }
 
+/**
+ * POST travelers list. Every lap infant is attached to an adult
+ * (associatedAdultId), which is why there can't be more of them than adults.
+ */
+function travelersFor({ adults = 1, children = 0, infantsInSeat = 0, infantsOnLap = 0 }) {
+  const list = [];
+  const add = (travelerType, extra = {}) =>
+    list.push({ id: String(list.length + 1), travelerType, ...extra });
+
+  for (let i = 0; i < adults; i++) add('ADULT');
+  for (let i = 0; i < children; i++) add('CHILD');
+  for (let i = 0; i < infantsInSeat; i++) add('SEATED_INFANT');
+  for (let i = 0; i < infantsOnLap; i++) {
+    add('HELD_INFANT', { associatedAdultId: String(i + 1) });
+  }
+  return list;
+}
+
+/**
+ * Multi-city search: POST flight-offers with one originDestination per leg
+ * legs: [{ originCode, destinationCode, departureDate }]
+ */
+async function searchMultiCityFlights({
+  legs,
+  adults,
+  children,
+  infantsInSeat,
+  infantsOnLap,
+  cabin,
+  currency,
+}, context = {}) {
+  const t = await auth();
+
+  const originDestinations = legs.map((leg, i) => ({
+    id: String(i + 1),
+    originLocationCode: leg.originCode,
+    destinationLocationCode: leg.destinationCode,
+    departureDateTimeRange: { date: leg.departureDate },
+  }));
+
+  const travelers = travelersFor({ adults, children, infantsInSeat, infantsOnLap });
+
+  const body = {
+    currencyCode: currency,
+    originDestinations,
+    travelers,
+    sources: ['GDS'],
+    searchCriteria: {
+      maxFlightOffers: 50,
+      flightFilters: {
+        cabinRestrictions: [
+          {
+            cabin,
+            coverage: 'MOST_SEGMENTS',
+            originDestinationIds: originDestinations.map((od) => od.id),
+          },
+        ],
+      },
+    },
+  };
+
+  const url = `${AMA_BASE}/v2/shopping/flight-offers`;
+
+  const res = await http.post(url, body, {
+    headers: {
+      Authorization: `Bearer ${t}`,
+      'X-HTTP-Method-Override': 'GET',
+      ...clientRef(context),
+    },
+    signal: context.signal,
+  });
+
+  return res.data;
+}
+
+/**
+ * Normalize one Amadeus flight-offer into the shared flight shape.
+ * Keeps every itinerary (outbound + return, or every multi-city leg)
+ * and every segment.
+ */
+function normalizeAmadeusOffer(
+  offer,
+  { dictionaries, currency, bookingUrl, multiCity = false } = {}
+) {
+  try {
+    const carriers = dictionaries?.carriers || {};
+    const aircraft = dictionaries?.aircraft || {};
+
+    const itineraries = (offer.itineraries || []).map((itin, idx) =>
+      buildItinerary({
+        direction: multiCity ? 'leg' : idx === 0 ? 'outbound' : 'return',
+        legIndex: idx,
+        durationMinutes: isoDurationToMinutes(itin.duration),
+        segments: (itin.segments || []).map((s) =>
+          buildSegment({
+            carrierCode: s.carrierCode,
+            number: s.number,
+            operatingCarrierCode: s.operating?.carrierCode,
+            from: s.departure?.iataCode,
+            to: s.arrival?.iataCode,
+            fromTerminal: s.departure?.terminal,
+            toTerminal: s.arrival?.terminal,
+            departTime: s.departure?.at,
+            arrivalTime: s.arrival?.at,
+            durationMinutes: isoDurationToMinutes(s.duration),
+            aircraft: aircraft[s.aircraft?.code] || s.aircraft?.code,
+            airline: carriers[s.carrierCode]
+              ? titleCase(carriers[s.carrierCode])
+              : undefined,
+          })
+        ),
+      })
+    );
+
+    return buildFlight({
+      itineraries,
+      price: parseFloat(offer.price?.grandTotal || offer.price?.total || 0),
+      currency: offer.price?.currency || currency,
+      bookingUrl,
+      source: 'amadeus',
+      fare: amadeusFare(offer, currency),
+      priceBreakdown: buildPriceBreakdown(
+        (offer.travelerPricings || []).map((tp) => ({
+          travelerType: tp.travelerType,
+          total: tp.price?.total,
+        }))
+      ),
+    });
+  } catch (err) {
+    log.error('Normalize Amadeus failed', { err });
+    return null;
+  }
+}
+
+/**
+ * Fare details from price + the first traveler's fareDetailsBySegment
+ * (segment fare rules are the same for every traveler on an offer)
+ */
+function amadeusFare(offer, currency) {
+  const segments = (offer.itineraries || []).flatMap((it) => it.segments || []);
+  const bySegment = new Map(
+    (offer.travelerPricings?.[0]?.fareDetailsBySegment || []).map((d) => [
+      String(d.segmentId),
+      d,
+    ])
+  );
+
+  const details = segments.map((s) => {
+    const d = bySegment.get(String(s.id)) || {};
+    return {
+      flightNumber: s.carrierCode && s.number ? `${s.carrierCode} ${s.number}` : null,
+      from: s.departure?.iataCode,
+      to: s.arrival?.iataCode,
+      cabin: d.cabin,
+      bookingClass: d.class,
+      fareBasis: d.fareBasis,
+      brand: d.brandedFareLabel || d.brandedFare,
+      checkedBags: bagAllowance(d.includedCheckedBags),
+      cabinBags: bagAllowance(d.includedCabinBags),
+      amenities: d.amenities || [],
+    };
+  });
+
+  return buildFare({
+    currency: offer.price?.currency || currency,
+    total: offer.price?.grandTotal || offer.price?.total,
+    base: offer.price?.base,
+    segments: details,
+    amenities: details.flatMap((d) =>
+      d.amenities.map((a) => ({
+        description: a.description ? titleCase(a.description) : null,
+        chargeable: !!a.isChargeable,
+        type: a.amenityType || null,
+      }))
+    ),
+  });
+}
+
+/** "EMIRATES" → "Emirates" (Amadeus dictionaries are upper-case) */
+function titleCase(str) {
+  return String(str)
+    .toLowerCase()
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+/** True when both Amadeus credentials are set */
+function isConfigured() {
+  return !!(AMA_ID && AMA_SECRET);
+}
+
 module.exports = {
+  auth,
+  isConfigured,
   searchLocations,
   searchFlights,
+  searchMultiCityFlights,
+  normalizeAmadeusOffer,
 };
@@ -0,0 +1,281 @@
+// backend/backtest.js
+// Backtest the book-or-wait advisor against stored price_history.
+//
+// Snapshots (one per trip and search day, canonical currency) are replayed in
+// chronological order. At each one the advisor is asked what to do, seeing
+// only history from before that day (forecast `asOf`). Each call is then
+// checked against what the trip's fare actually did next:
+//
+//   hit     BOOK and no cheaper fare was observed within the forecast
+//           horizon, or WAIT and one was
+//   saved   following the advice from that point (wait until the advisor
+//           says BOOK, or the last snapshot before departure) vs booking
+//           right away; BOOK saves 0 by definition, NO_SIGNAL counts as BOOK
+//
+// Calibration groups decisions by confidence (50–59, 60–69, …) and compares
+// the stated confidence with the observed hit rate; `brier` is the mean
+// squared gap between confidence/100 and the 0/1 outcome.
+//
+// Every snapshot is one forecast query, so a run can be paged: `limit` caps
+// the snapshots (whole search days, oldest first) and the report's
+// `page.nextFrom` is the `from` of the next page. Decisions near the end of
+// a page have fewer later snapshots to be scored against.
+//
+// CLI: node backend/backtest.js [--origin DEL --destination DXB]
+//        [--from 2026-01-01] [--to 2026-06-30] [--limit 5000] [--json]
+
+require("dotenv").config();
+
+const { all } = require("./db");
+const { blendedAdvice } = require("./aiAdvisor");
+const { HORIZON_DAYS } = require("./forecast");
+const { CANONICAL_CURRENCY } = require("./rates");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* ----------------------------------------------------------
+   Data
+---------------------------------------------------------- */
+
+/**
+ * Snapshots grouped by trip, each trip's snapshots oldest first, and the
+ * search date the next page starts at (null on the last page)
+ */
+async function loadTrips({ origin, destination, from, to, limit }) {
+  const rows = await all(
+    `
+    SELECT origin, destination,
+           to_char(departure_date, 'YYYY-MM-DD') AS departure_date,
+           to_char(search_date, 'YYYY-MM-DD')    AS search_date,
+           MIN(min_price_canonical) AS min_price,
+           AVG(avg_price_canonical) AS avg_price,
+           MAX(max_price_canonical) AS max_price
+    FROM price_history
+    WHERE canonical_currency IS NOT NULL
+      AND ($1::text IS NULL OR origin = $1)
+      AND ($2::text IS NULL OR destination = $2)
+      AND ($3::date IS NULL OR search_date >= $3)
+      AND ($4::date IS NULL OR search_date <= $4)
+      AND search_date <= departure_date
+    GROUP BY origin, destination, departure_date, search_date
+    ORDER BY search_date, origin, destination, departure_date
+    LIMIT $5
+  `,
+    [origin || null, destination || null, from || null, to || null, limit ? limit + 1 : null]
+  );
+
+  // One row over the limit → cut before its search day, so a page never
+  // holds half a day (unless one day alone is over the limit)
+  let page = rows;
+  let nextFrom = null;
+  if (limit && rows.length > limit) {
+    nextFrom = rows[limit].search_date;
+    page = rows.filter((r) => r.search_date < nextFrom);
+    if (!page.length) {
+      page = rows.slice(0, limit);
+      nextFrom = null;
+    }
+  }
+
+  const trips = new Map();
+  for (const r of page) {
+    const key = `${r.origin}-${r.destination}-${r.departure_date}`;
+    if (!trips.has(key)) trips.set(key, []);
+    trips.get(key).push({
+      origin: r.origin,
+      destination: r.destination,
+      departureDate: r.departure_date,
+      searchDate: r.search_date,
+      minPrice: Number(r.min_price),
+      avgPrice: Number(r.avg_price),
+      maxPrice: Number(r.max_price),
+    });
+  }
+  return { trips, snapshots: page.length, nextFrom };
+}
+
+/* ----------------------------------------------------------
+   Scoring
+---------------------------------------------------------- */
+const daysBetween = (a, b) =>
+  Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / DAY_MS);
+
+/** Mutates each decision: { resolved, hit, saved } */
+function scoreTrip(decisions) {
+  decisions.forEach((d, i) => {
+    const later = decisions
+      .slice(i + 1)
+      .filter((l) => daysBetween(d.searchDate, l.searchDate) <= HORIZON_DAYS);
+
+    d.resolved = later.length > 0;
+    if (!d.resolved) return;
+
+    if (d.action !== "NO_SIGNAL") {
+      const cheaperLater = Math.min(...later.map((l) => l.minPrice)) < d.minPrice;
+      d.hit = d.action === "WAIT" ? cheaperLater : !cheaperLater;
+    }
+
+    // Follow the advice: book at the first non-WAIT from here on
+    const booked =
+      decisions.slice(i).find((l) => l.action !== "WAIT") || decisions[decisions.length - 1];
+    d.saved = Math.round((d.minPrice - booked.minPrice) * 100) / 100;
+  });
+}
+
+const BUCKETS = [50, 60, 70, 80, 90];
+
+function summarize(decisions) {
+  const signals = decisions.filter((d) => d.action !== "NO_SIGNAL");
+  const scored = signals.filter((d) => d.resolved);
+  const resolved = decisions.filter((d) => d.resolved);
+  const hits = scored.filter((d) => d.hit).length;
+  const totalSaved = resolved.reduce((s, d) => s + d.saved, 0);
+  const rate = (n, of) => (of ? Math.round((n / of) * 1000) / 1000 : null);
+
+  const calibration = BUCKETS.map((lo, i) => {
+    const hi = BUCKETS[i + 1] ?? 101;
+    const inBucket = scored.filter((d) => d.confidence >= lo && d.confidence < hi);
+    return {
+      bucket: `${lo}–${Math.min(hi - 1, 100)}`,
+      decisions: inBucket.length,
+      avgConfidence: inBucket.length
+        ? Math.round(inBucket.reduce((s, d) => s + d.confidence, 0) / inBucket.length)
+        : null,
+      hitRate: rate(inBucket.filter((d) => d.hit).length, inBucket.length),
+    };
+  }).filter((b) => b.decisions);
+
+  return {
+    decisions: decisions.length,
+    book: decisions.filter((d) => d.action === "BOOK").length,
+    wait: decisions.filter((d) => d.action === "WAIT").length,
+    noSignal: decisions.length - signals.length,
+    evaluated: scored.length,
+    hits,
+    hitRate: rate(hits, scored.length),
+    avgSaved: resolved.length ? Math.round((totalSaved / resolved.length) * 100) / 100 : null,
+    totalSaved: Math.round(totalSaved * 100) / 100,
+    currency: CANONICAL_CURRENCY,
+    calibration,
+    brier: scored.length
+      ? Math.round(
+          (scored.reduce((s, d) => s + (d.confidence / 100 - (d.hit ? 1 : 0)) ** 2, 0) /
+            scored.length) *
+            1000
+        ) / 1000
+      : null,
+  };
+}
+
+/* ----------------------------------------------------------
+   Run
+---------------------------------------------------------- */
+
+/**
+ * Replay the advisor over stored history.
+ * Options (all optional): origin, destination, from, to (search dates),
+ * limit (snapshots per page).
+ * Returns { generatedAt, options, horizonDays, page, overall, routes[] }.
+ */
+async function runBacktest(options = {}) {
+  if (!process.env.DATABASE_URL) throw new Error("Backtesting needs DATABASE_URL.");
+
+  const { trips, snapshots, nextFrom } = await loadTrips(options);
+  const decisions = [];
+
+  for (const tripSnapshots of trips.values()) {
+    const tripDecisions = [];
+    for (const s of tripSnapshots) {
+      const model = await blendedAdvice({
+        origin: s.origin,
+        destination: s.destination,
+        departureDate: s.departureDate,
+        todayStr: s.searchDate,
+        minPrice: s.minPrice,
+        avgPrice: s.avgPrice,
+        maxPrice: s.maxPrice,
+        bestFlight: { price: s.minPrice, currency: CANONICAL_CURRENCY },
+      });
+      tripDecisions.push({ ...s, action: model.action, confidence: model.confidence });
+    }
+    scoreTrip(tripDecisions);
+    decisions.push(...tripDecisions);
+  }
+
+  const byRoute = new Map();
+  for (const d of decisions) {
+    const key = `${d.origin}-${d.destination}`;
+    if (!byRoute.has(key)) byRoute.set(key, []);
+    byRoute.get(key).push(d);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    options,
+    horizonDays: HORIZON_DAYS,
+    page: { limit: options.limit || null, snapshots, nextFrom },
+    overall: summarize(decisions),
+    routes: [...byRoute.entries()].map(([key, list]) => {
+      const [origin, destination] = key.split("-");
+      return { origin, destination, ...summarize(list) };
+    }),
+  };
+}
+
+/* ----------------------------------------------------------
+   CLI
+---------------------------------------------------------- */
+function argValue(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 ? process.argv[i + 1] : undefined;
+}
+
+function printSummary(label, s) {
+  const pct = (v) => (v === null ? "–" : `${Math.round(v * 100)}%`);
+  console.log(
+    `${label.padEnd(10)} decisions ${String(s.decisions).padStart(5)}` +
+      `  book/wait/none ${s.book}/${s.wait}/${s.noSignal}` +
+      `  hit rate ${pct(s.hitRate)} (${s.hits}/${s.evaluated})` +
+      `  avg saved ${s.avgSaved ?? "–"} ${s.currency}` +
+      `  brier ${s.brier ?? "–"}`
+  );
+}
+
+if (require.main === module) {
+  const options = {
+    origin: argValue("origin")?.toUpperCase(),
+    destination: argValue("destination")?.toUpperCase(),
+    from: argValue("from"),
+    to: argValue("to"),
+    limit: Number(argValue("limit")) || undefined,
+  };
+
+  runBacktest(options)
+    .then((report) => {
+      if (process.argv.includes("--json")) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        printSummary("overall", report.overall);
+        report.routes.forEach((r) => printSummary(`${r.origin}-${r.destination}`, r));
+        if (report.page.nextFrom) {
+          console.log(`\n${report.page.snapshots} snapshots; continue with --from ${report.page.nextFrom}`);
+        }
+        console.log("\ncalibration (overall)");
+        report.overall.calibration.forEach((b) =>
+          console.log(
+            `  ${b.bucket.padEnd(7)} n=${String(b.decisions).padStart(4)}` +
+              `  stated ${b.avgConfidence}%  observed ${Math.round(b.hitRate * 100)}%`
+          )
+        );
+      }
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runBacktest,
+};
@@ -0,0 +1,120 @@
+// backend/cache/index.js
+// Search result cache: normalized flights keyed by normalized search params.
+//
+// SEARCH_CACHE_BACKEND = memory | postgres | none
+//   (default: postgres when DATABASE_URL is set, else memory)
+// SEARCH_CACHE_TTL_SECONDS = how long a result stays fresh (default 900)
+
+require("dotenv").config();
+
+const { createMemoryCache } = require("./memoryCache");
+const { createPostgresCache } = require("./postgresCache");
+const log = require("../logger");
+
+const TTL_SECONDS = Number(process.env.SEARCH_CACHE_TTL_SECONDS) || 900;
+
+function createCache() {
+  const backend =
+    process.env.SEARCH_CACHE_BACKEND ||
+    (process.env.DATABASE_URL ? "postgres" : "memory");
+
+  if (backend === "none") return null;
+  if (backend === "postgres") return createPostgresCache();
+  return createMemoryCache({
+    maxEntries: Number(process.env.SEARCH_CACHE_MAX_ENTRIES) || 500,
+  });
+}
+
+const cache = createCache();
+
+/**
+ * Cache key from the params that change provider results.
+ * Codes are upper-cased and a missing return date is "-", so
+ * equivalent searches share one entry. Multi-city searches append
+ * every leg; one-way and round-trip keys are unchanged.
+ */
+function searchCacheKey({
+  originCode,
+  destinationCode,
+  departureDate,
+  returnDate,
+  adults,
+  children = 0,
+  infantsInSeat = 0,
+  infantsOnLap = 0,
+  cabin,
+  currency,
+  legs,
+  providers = [],
+}) {
+  // "2" for adults only, "2+1c+0s+1l" once children or infants come along
+  const others = [children, infantsInSeat, infantsOnLap].map((n) => Number(n) || 0);
+  const party = others.some((n) => n > 0)
+    ? `${Number(adults) || 1}+${others[0]}c+${others[1]}s+${others[2]}l`
+    : Number(adults) || 1;
+
+  const parts = [
+    "flights:v1",
+    String(originCode || "").toUpperCase(),
+    String(destinationCode || "").toUpperCase(),
+    departureDate || "-",
+    returnDate || "-",
+    party,
+    String(cabin || "ECONOMY").toUpperCase(),
+    String(currency || "").toUpperCase(),
+    [...providers].sort().join("+") || "-",
+  ];
+
+  if (legs?.length) {
+    parts.push(
+      legs
+        .map((l) =>
+          [l.originCode, l.destinationCode]
+            .map((c) => String(c || "").toUpperCase())
+            .concat(l.departureDate || "-")
+            .join("-")
+        )
+        .join("/")
+    );
+  }
+
+  return parts.join(":");
+}
+
+/**
+ * Cached value or null. Cache errors are logged and treated as a miss —
+ * a broken cache must never break a search.
+ */
+async function getCached(key) {
+  if (!cache) return null;
+  try {
+    return await cache.get(key);
+  } catch (err) {
+    log.warn("Search cache read failed", { err });
+    return null;
+  }
+}
+
+/** Store a value; returns { storedAt, expiresAt } or null when disabled */
+async function setCached(key, value, ttlSeconds = TTL_SECONDS) {
+  if (!cache) return null;
+  try {
+    await cache.set(key, value, ttlSeconds);
+    const storedAt = new Date();
+    return {
+      storedAt,
+      expiresAt: new Date(storedAt.getTime() + ttlSeconds * 1000),
+    };
+  } catch (err) {
+    log.warn("Search cache write failed", { err });
+    return null;
+  }
+}
+
+module.exports = {
+  searchCacheKey,
+  getCached,
+  setCached,
+  cacheBackend: cache ? cache.name : "none",
+  CACHE_TTL_SECONDS: TTL_SECONDS,
+};
@@ -0,0 +1,41 @@
+// backend/cache/memoryCache.js
+// In-process cache backend (per instance, lost on restart)
+
+function createMemoryCache({ maxEntries = 500 } = {}) {
+  // Map keeps insertion order → oldest entry is first
+  const entries = new Map();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return {
+        value: entry.value,
+        storedAt: new Date(entry.storedAt),
+        expiresAt: new Date(entry.expiresAt),
+      };
+    },
+
+    async set(key, value, ttlSeconds) {
+      const storedAt = Date.now();
+      entries.delete(key); // re-insert at the end
+      entries.set(key, { value, storedAt, expiresAt: storedAt + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+module.exports = { createMemoryCache };
@@ -0,0 +1,40 @@
+// backend/cache/postgresCache.js
+// Shared cache backend in Postgres (search_cache table, see migrations/003).
+// Expired rows are never served; the retention job deletes them.
+
+const { run, get } = require("../db");
+
+function createPostgresCache() {
+  return {
+    name: "postgres",
+
+    async get(key) {
+      const row = await get(
+        `SELECT value, stored_at, expires_at
+         FROM search_cache
+         WHERE key = $1 AND expires_at > NOW()`,
+        [key]
+      );
+      if (!row) return null;
+      return { value: row.value, storedAt: row.stored_at, expiresAt: row.expires_at };
+    },
+
+    async set(key, value, ttlSeconds) {
+      await run(
+        `INSERT INTO search_cache (key, value, stored_at, expires_at)
+         VALUES ($1, $2, NOW(), NOW() + make_interval(secs => $3))
+         ON CONFLICT (key) DO UPDATE SET
+           value      = EXCLUDED.value,
+           stored_at  = EXCLUDED.stored_at,
+           expires_at = EXCLUDED.expires_at`,
+        [key, JSON.stringify(value), ttlSeconds]
+      );
+    },
+
+    async delete(key) {
+      await run(`DELETE FROM search_cache WHERE key = $1`, [key]);
+    },
+  };
+}
+
+module.exports = { createPostgresCache };
@@ -0,0 +1,134 @@
+// backend/cachedSearch.js
+// Provider fan-out + dedupe, served from the result cache when fresh
+
+const { searchAllProviders, getEnabledProviders, providerSummary } = require("./providers");
+const { searchCacheKey, getCached, setCached } = require("./cache");
+const { flightKey } = require("./itinerary");
+const { cacheRequests } = require("./metrics");
+const { hasBudget } = require("./quota/budgets");
+
+/* ----------------------------------------------------------
+   Merge + dedupe
+---------------------------------------------------------- */
+function dedupeFlights(flights) {
+  const map = new Map();
+  for (const f of flights) {
+    if (!f) continue; // skip invalid entries
+
+    const key = flightKey(f);
+    if (!map.has(key) || f.price < map.get(key).price) {
+      map.set(key, f);
+    }
+  }
+  return Array.from(map.values());
+}
+
+/** Dedupe, then prefer SerpApi's Google Flights URL as every bookingUrl */
+function mergeFlights(flights) {
+  const merged = dedupeFlights(flights);
+  const serpUrl = merged.find((f) => f.source === "serpapi")?.bookingUrl;
+  if (serpUrl) {
+    merged.forEach((f) => (f.bookingUrl = serpUrl));
+  }
+  return merged;
+}
+
+/* ----------------------------------------------------------
+   Provider results, served from cache when fresh
+---------------------------------------------------------- */
+
+/**
+ * { flights, providers, partial, cache }. `providers` is the per-provider
+ * status of the run that produced the flights — on a cache hit, the original
+ * run's. `partial` means some provider missed the search deadline.
+ *
+ * `onProgress({ provider, flights })` is called as each provider finishes
+ * with that provider's summary and the merged flights so far. A cache hit
+ * or a limited search calls it once per enabled provider straight away, so
+ * a caller counting answers isn't left waiting.
+ *
+ * `deadlineMs` shortens the provider deadline. `takeSearch()`, when given,
+ * is asked before a cache miss goes upstream; false → no flights and
+ * `limited: true`.
+ */
+async function searchFlightsCached(
+  params,
+  { refresh = false, onProgress, deadlineMs, takeSearch } = {}
+) {
+  const providerNames = getEnabledProviders().map((p) => p.name);
+  const key = searchCacheKey({ ...params, providers: providerNames });
+
+  // Every provider's daily budget spent → cache only, even on refresh
+  const cacheOnly = !providerNames.some(hasBudget);
+
+  if (!refresh || cacheOnly) {
+    const cached = await getCached(key);
+    cacheRequests.inc({ result: cached ? "hit" : "miss" });
+    if (cached) {
+      const providers = cached.value.providers || [];
+      if (onProgress) {
+        for (const name of providerNames) {
+          const summary = providers.find((p) => p.name === name) || { name, status: "ok", count: 0 };
+          onProgress({ provider: summary, flights: cached.value.flights });
+        }
+      }
+      return {
+        flights: cached.value.flights,
+        providers,
+        partial: false,
+        cache: {
+          hit: true,
+          storedAt: cached.storedAt,
+          expiresAt: cached.expiresAt,
+        },
+      };
+    }
+  }
+
+  if (takeSearch && !takeSearch()) {
+    if (onProgress) {
+      for (const name of providerNames) {
+        onProgress({
+          provider: { name, status: "skipped", reason: "search_quota", count: 0, ms: 0 },
+          flights: [],
+        });
+      }
+    }
+    return { flights: [], providers: [], partial: false, limited: true, cache: { hit: false } };
+  }
+
+  /** Fan out to every enabled provider in parallel */
+  const arrived = [];
+  const { flights: providerFlights, providers, partial } = await searchAllProviders(params, {
+    deadlineMs,
+    onResult: onProgress
+      ? (result) => {
+          arrived.push(...result.flights);
+          onProgress({ provider: providerSummary(result), flights: mergeFlights(arrived) });
+        }
+      : undefined,
+  });
+  const flights = mergeFlights(providerFlights);
+
+  // Empty results usually mean a provider outage, and partial ones a slow
+  // provider; don't pin either in cache
+  const stored =
+    flights.length && !partial ? await setCached(key, { flights, providers }) : null;
+
+  return {
+    flights,
+    providers,
+    partial,
+    cache: {
+      hit: false,
+      refreshed: !!refresh,
+      storedAt: stored?.storedAt || null,
+      expiresAt: stored?.expiresAt || null,
+    },
+  };
+}
+
+module.exports = {
+  dedupeFlights,
+  searchFlightsCached,
+};
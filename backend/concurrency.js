@@ -0,0 +1,29 @@
+// backend/concurrency.js
+// Small async helpers for bounded parallel work
+
+/**
+ * mapLimit(items, limit, fn)
+ * Like Promise.all(items.map(fn)) but with at most `limit` calls in flight.
+ * Results keep the input order. A rejected call rejects the whole map,
+ * so callers that want partial results should catch inside fn.
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapLimit };
@@ -3,12 +3,33 @@
 
 require('dotenv').config();
 const { Pool } = require('pg');
+const { dbDuration, dbErrors } = require('./metrics');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: { rejectUnauthorized: false },
 });
 
+/** SELECT / INSERT / … — the label for query metrics */
+function operationOf(sql) {
+  const m = /^\s*([A-Za-z]+)/.exec(sql);
+  return m ? m[1].toUpperCase() : 'OTHER';
+}
+
+/** Run one query on `client`, recording its latency and failures */
+async function timedQuery(client, sql, params) {
+  const operation = operationOf(sql);
+  const started = process.hrtime.bigint();
+  try {
+    return await client.query(sql, params);
+  } catch (err) {
+    dbErrors.inc({ operation });
+    throw err;
+  } finally {
+    dbDuration.observe({ operation }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
 /**
  * run(sql, params)
  * INSERT / UPDATE / DELETE / CREATE — no return rows
@@ -16,7 +37,7 @@ const pool = new Pool({
 async function run(sql, params = []) {
   const client = await pool.connect();
   try {
-    await client.query(sql, params);
+    await timedQuery(client, sql, params);
   } finally {
     client.release();
   }
@@ -29,7 +50,7 @@ async function run(sql, params = []) {
 async function all(sql, params = []) {
   const client = await pool.connect();
   try {
-    const res = await client.query(sql, params);
+    const res = await timedQuery(client, sql, params);
     return res.rows;
   } finally {
     client.release();
@@ -45,8 +66,29 @@ async function get(sql, params = []) {
   return rows[0] || null;
 }
 
+/**
+ * transaction(fn)
+ * Run fn(client) inside BEGIN/COMMIT on one connection; ROLLBACK on error
+ */
+async function transaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
+  pool,
   run,
   all,
   get,
+  transaction,
 };
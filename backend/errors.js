@@ -0,0 +1,83 @@
+// backend/errors.js
+// One error shape for every API response:
+//
+//   { error: "Return date must be after the departure date.",
+//     code: "validation_failed",
+//     fields: [{ field: "returnDate", code: "before_departure", message }] }
+//
+// `error` is for people, `code` for programs; `fields` only comes with
+// validation errors (see shared/validation.js for the field codes).
+
+const log = require("./logger");
+
+/** Default machine-readable code per HTTP status */
+const STATUS_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "rate_limited",
+  500: "internal_error",
+  503: "unavailable",
+};
+
+/** The envelope; `extra` adds fields such as retryAfterSeconds */
+function errorBody(status, message, { code, fields, ...extra } = {}) {
+  return {
+    error: message,
+    code: code || STATUS_CODES[status] || (status >= 500 ? "internal_error" : "invalid_request"),
+    ...(fields?.length ? { fields } : {}),
+    ...extra,
+  };
+}
+
+function sendError(res, status, message, options) {
+  return res.status(status).json(errorBody(status, message, options));
+}
+
+/** 400 for a list of field errors ({ field, code, message }) */
+function validationBody(fields) {
+  return errorBody(400, fields.map((f) => f.message).join(" "), {
+    code: "validation_failed",
+    fields,
+  });
+}
+
+function sendValidationError(res, fields) {
+  return res.status(400).json(validationBody(fields));
+}
+
+/* ----------------------------------------------------------
+   Express handlers (mounted last in server.js)
+---------------------------------------------------------- */
+
+/** Unknown /api route */
+function apiNotFound(req, res) {
+  sendError(res, 404, `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+/** Malformed JSON bodies and anything a route let escape */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "Request body is not valid JSON.", { code: "invalid_json" });
+  }
+  if (err.type === "entity.too.large") {
+    return sendError(res, 413, "Request body is too large.");
+  }
+
+  log.error("Unhandled request error", { err });
+  sendError(res, 500, "Something went wrong.");
+}
+
+module.exports = {
+  errorBody,
+  sendError,
+  validationBody,
+  sendValidationError,
+  apiNotFound,
+  errorHandler,
+};
@@ -0,0 +1,156 @@
+// backend/fares.js
+// Fare details on normalized flights: price split, cabin / brand / fare
+// basis per segment, included bags, amenities and emissions.
+//
+// flight.fare = {
+//   currency, total, base, taxes,
+//   cabin, brand, fareBasis,          first segment's values
+//   checkedBags, cabinBags,           least generous segment ({ quantity } or
+//                                     { weight, weightUnit }); null = unknown
+//   amenities: [{ description, chargeable, type }],
+//   emissions: { grams, typicalGrams, differencePercent } | null,
+//   segments: [{ flightNumber, from, to, cabin, bookingClass, fareBasis,
+//                brand, checkedBags, cabinBags, legroom, extensions }],
+// }
+//
+// Bag estimate: fares without an included checked bag get an estimated bag
+// fee per seated traveler per itinerary (BAG_FEE_ESTIMATES, per currency) so
+// "include bags" comparisons don't rank a bare fare above one with luggage.
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function numOrNull(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Amadeus includedCheckedBags / includedCabinBags → { quantity } | { weight, weightUnit } */
+function bagAllowance(bags) {
+  if (!bags) return null;
+  if (typeof bags.quantity === "number") return { quantity: bags.quantity };
+  if (typeof bags.weight === "number") {
+    return { quantity: bags.weight > 0 ? 1 : 0, weight: bags.weight, weightUnit: bags.weightUnit || "KG" };
+  }
+  return null;
+}
+
+/** Fewest bags across segments; unknown on any segment → unknown */
+function leastBags(list) {
+  if (!list.length || list.some((b) => !b)) return null;
+  return list.reduce((min, b) => (b.quantity < min.quantity ? b : min));
+}
+
+/**
+ * Build the fare object. `segments` are per-segment fare details in
+ * itinerary order; everything is optional so partial provider data still
+ * gives a usable shape.
+ */
+function buildFare({
+  currency,
+  total,
+  base,
+  taxes,
+  segments = [],
+  amenities = [],
+  emissions = null,
+}) {
+  const t = numOrNull(total);
+  const b = numOrNull(base);
+  const tax = numOrNull(taxes) ?? (t !== null && b !== null ? round2(t - b) : null);
+  const first = segments[0] || {};
+
+  // Same amenity repeats on every segment — keep one
+  const seen = new Set();
+  const uniqueAmenities = amenities.filter((a) => {
+    const key = `${a.description}|${a.chargeable}`;
+    if (!a.description || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return {
+    currency: currency || null,
+    total: t,
+    base: b,
+    taxes: tax,
+    cabin: first.cabin || null,
+    brand: first.brand || null,
+    fareBasis: first.fareBasis || null,
+    checkedBags: leastBags(segments.map((s) => s.checkedBags || null)),
+    cabinBags: leastBags(segments.map((s) => s.cabinBags || null)),
+    amenities: uniqueAmenities,
+    emissions,
+    segments: segments.map((s) => ({
+      flightNumber: s.flightNumber || null,
+      from: s.from || null,
+      to: s.to || null,
+      cabin: s.cabin || null,
+      bookingClass: s.bookingClass || null,
+      fareBasis: s.fareBasis || null,
+      brand: s.brand || null,
+      checkedBags: s.checkedBags || null,
+      cabinBags: s.cabinBags || null,
+      legroom: s.legroom || null,
+      extensions: s.extensions || [],
+    })),
+  };
+}
+
+/* ----------------------------------------------------------
+   Bag estimate ("include bags" comparison)
+---------------------------------------------------------- */
+
+/** "USD:35,INR:2500" → { USD: 35, INR: 2500 } */
+function parseFeeTable(str) {
+  return Object.fromEntries(
+    String(str || "")
+      .split(",")
+      .map((pair) => pair.split(":").map((p) => p.trim()))
+      .filter(([cur, fee]) => /^[A-Z]{3}$/i.test(cur || "") && Number(fee) > 0)
+      .map(([cur, fee]) => [cur.toUpperCase(), Number(fee)])
+  );
+}
+
+const BAG_FEES = parseFeeTable(
+  process.env.BAG_FEE_ESTIMATES || "USD:35,EUR:35,GBP:30,INR:2500,AED:150"
+);
+
+/**
+ * Estimated price with one checked bag per seated traveler.
+ * { includedBags, missingBags, fee, priceWithBags, estimated }; fee is null
+ * when bag allowance is unknown or there's no estimate for the currency.
+ */
+function bagEstimate(flight, { travelers = 1 } = {}) {
+  const bags = flight.fare?.checkedBags;
+  const legs = flight.itineraries?.length || 1;
+  const perBag = BAG_FEES[String(flight.currency || "").toUpperCase()];
+
+  if (!bags || perBag === undefined) {
+    return {
+      includedBags: bags ? bags.quantity : null,
+      missingBags: null,
+      fee: null,
+      priceWithBags: flight.price,
+      estimated: false,
+    };
+  }
+
+  const missingBags = bags.quantity > 0 ? 0 : travelers * legs;
+  const fee = missingBags * perBag;
+
+  return {
+    includedBags: bags.quantity,
+    missingBags,
+    fee,
+    priceWithBags: round2(flight.price + fee),
+    estimated: fee > 0,
+  };
+}
+
+module.exports = {
+  buildFare,
+  bagAllowance,
+  bagEstimate,
+  numOrNull,
+};
@@ -0,0 +1,246 @@
+// backend/flexDates.js
+// Flexible dates: live price matrix around the requested dates.
+//
+// One-way  → departure ±FLEX_DAYS strip
+// Round    → departure ±FLEX_ROUND_DAYS × return ±FLEX_ROUND_DAYS grid
+//
+// Every neighbouring date is searched through the cached provider pipeline
+// with at most FLEX_CONCURRENCY searches in flight. One-way cells that come
+// back empty fall back to the cheapest fare in price_history (adult-only
+// searches; recordHistory is false for families).
+//
+// The whole grid gets FLEX_DEADLINE_MS: each cell's provider deadline is cut
+// to what is left, and cells not started in time are skipped. Cells that go
+// upstream also take from the caller's search quota (`takeSearch`). Skipped
+// cells carry `skipped: "deadline" | "quota"` and the matrix `partial`.
+
+const { all } = require("./db");
+const { searchFlightsCached } = require("./cachedSearch");
+const { saveHistory } = require("./history");
+const { saveOffers } = require("./offers");
+const { mapLimit } = require("./concurrency");
+const { getConverter } = require("./rates");
+const log = require("./logger");
+
+const FLEX_DAYS = Number(process.env.FLEX_DAYS) || 3;
+const FLEX_ROUND_DAYS = Number(process.env.FLEX_ROUND_DAYS) || 2;
+const FLEX_CONCURRENCY = Number(process.env.FLEX_CONCURRENCY) || 3;
+const FLEX_DEADLINE_MS = Number(process.env.FLEX_DEADLINE_MS) || 30000;
+// Less time left than this and a cell isn't worth starting
+const MIN_CELL_MS = 2000;
+
+/** "2026-12-01" + 2 → "2026-12-03" (UTC, no DST surprises) */
+function shiftDate(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function offsetsAround(radius) {
+  const list = [];
+  for (let o = -radius; o <= radius; o++) list.push(o);
+  return list;
+}
+
+/**
+ * Cheapest stored fare per departure date, in one query. Reads the canonical
+ * prices so searches made in any currency count, converted to `currency`.
+ */
+async function historyMinPrices({ origin, destination, dates, currency }) {
+  if (!process.env.DATABASE_URL || !dates.length || !currency) return new Map();
+
+  try {
+    const rows = await all(
+      `
+      SELECT to_char(departure_date, 'YYYY-MM-DD') AS date,
+             canonical_currency,
+             MIN(min_price_canonical) AS min_price
+      FROM price_history
+      WHERE origin = $1
+        AND destination = $2
+        AND departure_date = ANY($3::date[])
+        AND canonical_currency IS NOT NULL
+      GROUP BY departure_date, canonical_currency
+    `,
+      [origin, destination, dates]
+    );
+
+    const conv = await getConverter();
+    const byDate = new Map();
+    for (const r of rows) {
+      const price = conv.convert(Number(r.min_price), r.canonical_currency, currency);
+      if (price === null) continue;
+      if (!byDate.has(r.date) || price < byDate.get(r.date)) byDate.set(r.date, price);
+    }
+    return byDate;
+  } catch (err) {
+    log.error("Flexible dates history lookup failed", { err });
+    return new Map();
+  }
+}
+
+/** Search one cell; fills minPrice/source/skipped in place, never throws */
+async function searchCell(cell, params, { recordHistory, deadlineAt, takeSearch }) {
+  const remaining = deadlineAt - Date.now();
+  if (remaining < MIN_CELL_MS) {
+    cell.skipped = "deadline";
+    return;
+  }
+
+  try {
+    const { flights, cache, partial, limited } = await searchFlightsCached(
+      {
+        ...params,
+        departureDate: cell.departureDate,
+        returnDate: cell.returnDate || undefined,
+      },
+      { deadlineMs: remaining, takeSearch }
+    );
+    if (limited) cell.skipped = "quota";
+    else if (partial && !flights.length) cell.skipped = "deadline";
+    if (!flights.length) return;
+
+    cell.minPrice = Math.min(...flights.map((f) => f.price));
+    cell.source = cache.hit ? "cache" : "live";
+
+    // Fresh one-way neighbours are real observations: keep them.
+    // price_history has no return-date column, so a round-trip grid
+    // would store several unrelated fares under one departure date.
+    if (recordHistory && !cache.hit && !cell.returnDate) {
+      await saveHistory({
+        origin: params.originCode,
+        destination: params.destinationCode,
+        departureDate: cell.departureDate,
+        currency: params.currency,
+        flights,
+      });
+    }
+    // Offers carry their return date and passengers, so every fresh cell counts
+    if (!cache.hit) {
+      const { adults, children, infantsInSeat, infantsOnLap } = params;
+      await saveOffers({
+        ...params,
+        departureDate: cell.departureDate,
+        returnDate: cell.returnDate,
+        passengers: { adults, children, infantsInSeat, infantsOnLap },
+        partial,
+        flights,
+      });
+    }
+  } catch (err) {
+    log.warn("Flexible date failed", { departureDate: cell.departureDate, err });
+  }
+}
+
+/**
+ * Build the flexible-date matrix.
+ * baseMinPrice is the cheapest fare of the main search (already known).
+ * takeSearch() → false stops further upstream cells (see searchAllowance).
+ */
+async function buildFlexMatrix({
+  originCode,
+  destinationCode,
+  departureDate,
+  returnDate,
+  tripType,
+  adults,
+  children = 0,
+  infantsInSeat = 0,
+  infantsOnLap = 0,
+  cabin,
+  currency,
+  baseMinPrice,
+  recordHistory = true,
+  takeSearch,
+}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const round = tripType === "round" && !!returnDate;
+  const radius = round ? FLEX_ROUND_DAYS : FLEX_DAYS;
+  const offsets = offsetsAround(radius);
+
+  const departureDates = offsets
+    .map((o) => ({ date: shiftDate(departureDate, o), offset: o }))
+    .filter((d) => d.date >= today);
+  const returnDates = round
+    ? offsets.map((o) => ({ date: shiftDate(returnDate, o), offset: o }))
+    : [{ date: null, offset: 0 }];
+
+  const cells = [];
+  for (const dep of departureDates) {
+    for (const ret of returnDates) {
+      if (ret.date && ret.date <= dep.date) continue;
+      const isBase = dep.offset === 0 && ret.offset === 0;
+      cells.push({
+        departureDate: dep.date,
+        returnDate: ret.date,
+        departureOffset: dep.offset,
+        returnOffset: round ? ret.offset : null,
+        minPrice: isBase ? baseMinPrice : null,
+        currency,
+        source: isBase ? "search" : null,
+        isBase,
+      });
+    }
+  }
+
+  const params = {
+    originCode,
+    destinationCode,
+    adults,
+    children,
+    infantsInSeat,
+    infantsOnLap,
+    cabin,
+    currency,
+  };
+  const deadlineAt = Date.now() + FLEX_DEADLINE_MS;
+  await mapLimit(
+    cells.filter((c) => !c.isBase),
+    FLEX_CONCURRENCY,
+    (cell) => searchCell(cell, params, { recordHistory, deadlineAt, takeSearch })
+  );
+
+  // One-way gaps: fall back to what we've seen before for that date
+  if (!round && recordHistory) {
+    const missing = cells.filter((c) => c.minPrice === null);
+    const history = await historyMinPrices({
+      origin: originCode,
+      destination: destinationCode,
+      dates: missing.map((c) => c.departureDate),
+      currency,
+    });
+    missing.forEach((c) => {
+      if (history.has(c.departureDate)) {
+        c.minPrice = history.get(c.departureDate);
+        c.source = "history";
+      }
+    });
+  }
+
+  const priced = cells.filter((c) => c.minPrice !== null);
+  const cheapest = priced.length
+    ? priced.reduce((p, c) => (c.minPrice < p.minPrice ? c : p))
+    : null;
+
+  cells.forEach((c) => {
+    c.cheaperThanBase =
+      c.minPrice !== null && typeof baseMinPrice === "number" && baseMinPrice > 0
+        ? c.minPrice < baseMinPrice
+        : false;
+    c.cheapest = !!cheapest && c === cheapest;
+  });
+
+  return {
+    tripType: round ? "round" : "oneway",
+    departureDates: departureDates.map((d) => d.date),
+    returnDates: round ? returnDates.map((d) => d.date) : [],
+    currency,
+    partial: cells.some((c) => c.skipped && c.minPrice === null),
+    cells,
+  };
+}
+
+module.exports = {
+  buildFlexMatrix,
+  shiftDate,
+};
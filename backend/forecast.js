@@ -0,0 +1,307 @@
+// backend/forecast.js
+// Price forecast: how a route's cheapest fare moves as departure approaches,
+// learned from price_history.
+//
+// Model (per route + season, i.e. departure month ±1):
+//   log(min fare) = level(departure date) + b1·d + b2·d² + noise
+// where d = days until departure. The per-departure-date level absorbs how
+// expensive a given date is, so only the *shape* of the curve is shared.
+// Fitted by weighted least squares (same month weight 1, neighbours 0.5).
+//
+// The forecast anchors the curve at today's cheapest fare and looks at the
+// next FORECAST_HORIZON_DAYS. For the cheapest expected day it returns the
+// expected fare, an 80% band and the probability that waiting beats today's
+// price — that probability is the BOOK / WAIT call and its confidence.
+//
+// `asOf` cuts history off at a point in time (only searches made before it
+// are used), so a past decision can be replayed exactly.
+
+const { all } = require("./db");
+const log = require("./logger");
+
+const HORIZON_DAYS = Number(process.env.FORECAST_HORIZON_DAYS) || 14;
+const MIN_OBSERVATIONS = Number(process.env.FORECAST_MIN_OBSERVATIONS) || 12;
+const BAND_Z = 1.2816; // 80% two-sided
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCALE = 100; // days / 100 keeps d² well conditioned
+
+/* ----------------------------------------------------------
+   Data
+---------------------------------------------------------- */
+
+/** Months within ±1 of `month` (1–12), wrapping the year */
+function seasonMonths(month) {
+  return [((month + 10) % 12) + 1, month, (month % 12) + 1];
+}
+
+/**
+ * Canonical min fares for the route/season, searched before `asOf`.
+ * History past its retention period comes from the rollups (retention.js),
+ * one observation per rolled-up day or week; a rollup only counts once its
+ * whole period is before `asOf`, or a backtest would see later searches.
+ */
+async function loadObservations({ origin, destination, month, asOf }) {
+  const rows = await all(
+    `
+    SELECT to_char(departure_date, 'YYYY-MM-DD') AS departure_date,
+           EXTRACT(MONTH FROM departure_date)::int AS month,
+           days_until_departure,
+           min_price_canonical
+    FROM price_history
+    WHERE origin = $1
+      AND destination = $2
+      AND EXTRACT(MONTH FROM departure_date)::int = ANY($3::int[])
+      AND search_date < $4::date
+      AND min_price_canonical > 0
+      AND days_until_departure >= 0
+    UNION ALL
+    SELECT to_char(departure_date, 'YYYY-MM-DD'),
+           EXTRACT(MONTH FROM departure_date)::int,
+           days_until_departure,
+           min_price
+    FROM price_history_rollups
+    WHERE origin = $1
+      AND destination = $2
+      AND EXTRACT(MONTH FROM departure_date)::int = ANY($3::int[])
+      AND period_start + CASE period WHEN 'week' THEN 7 ELSE 1 END <= $4::date
+      AND canonical
+      AND min_price > 0
+      AND days_until_departure >= 0
+  `,
+    [origin, destination, seasonMonths(month), asOf]
+  );
+
+  return rows.map((r) => ({
+    group: r.departure_date,
+    days: Number(r.days_until_departure),
+    y: Math.log(Number(r.min_price_canonical)),
+    w: r.month === month ? 1 : 0.5,
+  }));
+}
+
+/* ----------------------------------------------------------
+   Fit
+---------------------------------------------------------- */
+
+/** Inverse of a symmetric 2×2 matrix [[a, b], [b, c]] (null if singular) */
+function inverse2([[a, b], [, c]]) {
+  const det = a * c - b * b;
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    [c / det, -b / det],
+    [-b / det, a / det],
+  ];
+}
+
+/**
+ * Fixed-effects WLS of y on (d, d²). Departure dates seen only once carry
+ * no shape information and are dropped.
+ * Returns { beta, cov, sigma, n, groups, minDays, maxDays } or null.
+ */
+function fitCurve(observations) {
+  const byGroup = new Map();
+  for (const o of observations) {
+    if (!byGroup.has(o.group)) byGroup.set(o.group, []);
+    byGroup.get(o.group).push(o);
+  }
+
+  // Demean within each departure date
+  const points = [];
+  for (const list of byGroup.values()) {
+    if (list.length < 2) continue;
+    const sw = list.reduce((s, o) => s + o.w, 0);
+    const mean = (f) => list.reduce((s, o) => s + o.w * f(o), 0) / sw;
+    const x1 = (o) => o.days / SCALE;
+    const x2 = (o) => (o.days / SCALE) ** 2;
+    const m1 = mean(x1);
+    const m2 = mean(x2);
+    const my = mean((o) => o.y);
+    list.forEach((o) =>
+      points.push({ x: [x1(o) - m1, x2(o) - m2], y: o.y - my, w: o.w, days: o.days })
+    );
+  }
+
+  const groups = new Set(
+    [...byGroup.entries()].filter(([, l]) => l.length >= 2).map(([g]) => g)
+  ).size;
+  const n = points.length;
+  const dof = n - groups - 2;
+  if (n < MIN_OBSERVATIONS || dof < 3) return null;
+
+  const xtx = [
+    [0, 0],
+    [0, 0],
+  ];
+  const xty = [0, 0];
+  for (const p of points) {
+    for (let i = 0; i < 2; i++) {
+      xty[i] += p.w * p.x[i] * p.y;
+      for (let j = 0; j < 2; j++) xtx[i][j] += p.w * p.x[i] * p.x[j];
+    }
+  }
+  const inv = inverse2(xtx);
+  if (!inv) return null;
+
+  const beta = [
+    inv[0][0] * xty[0] + inv[0][1] * xty[1],
+    inv[1][0] * xty[0] + inv[1][1] * xty[1],
+  ];
+
+  // Weights normalised to mean 1 so sigma is per observation
+  const meanW = points.reduce((s, p) => s + p.w, 0) / n;
+  const rss = points.reduce((s, p) => {
+    const r = p.y - (beta[0] * p.x[0] + beta[1] * p.x[1]);
+    return s + (p.w / meanW) * r * r;
+  }, 0);
+  const sigma2 = rss / dof;
+  const cov = inv.map((row) => row.map((v) => (v * sigma2) / meanW));
+
+  const days = points.map((p) => p.days);
+  return {
+    beta,
+    cov,
+    sigma: Math.sqrt(sigma2),
+    n,
+    groups,
+    minDays: Math.min(...days),
+    maxDays: Math.max(...days),
+  };
+}
+
+/**
+ * Log change from `fromDays` to `toDays` until departure:
+ * { mu, sd } — sd covers curve uncertainty plus noise on both fares.
+ */
+function logChange(fit, fromDays, toDays) {
+  const v = [
+    (toDays - fromDays) / SCALE,
+    (toDays / SCALE) ** 2 - (fromDays / SCALE) ** 2,
+  ];
+  const mu = fit.beta[0] * v[0] + fit.beta[1] * v[1];
+  const curveVar =
+    v[0] * v[0] * fit.cov[0][0] + 2 * v[0] * v[1] * fit.cov[0][1] + v[1] * v[1] * fit.cov[1][1];
+  return { mu, sd: Math.sqrt(curveVar + 2 * fit.sigma ** 2) };
+}
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26) */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly =
+    t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* ----------------------------------------------------------
+   Forecast
+---------------------------------------------------------- */
+function noSignal(reason, extra = {}) {
+  return { action: "NO_SIGNAL", confidence: 0, reason, ...extra };
+}
+
+/**
+ * Forecast for one search.
+ * `currentPrice` is today's cheapest fare in `currency` (the model works on
+ * ratios, so any currency will do); `asOf` defaults to now.
+ */
+async function forecastPrices({
+  origin,
+  destination,
+  departureDate,
+  currentPrice,
+  currency,
+  asOf = new Date(),
+}) {
+  if (!process.env.DATABASE_URL) {
+    return noSignal("Forecasts need stored price history, and no database is configured.");
+  }
+  if (!(currentPrice > 0)) return noSignal("No current fare to forecast from.");
+
+  const asOfDate = new Date(asOf).toISOString().slice(0, 10);
+  const daysUntilDeparture = Math.round(
+    (new Date(`${departureDate}T00:00:00Z`) - new Date(`${asOfDate}T00:00:00Z`)) / DAY_MS
+  );
+  const month = new Date(`${departureDate}T00:00:00Z`).getUTCMonth() + 1;
+
+  try {
+    const observations = await loadObservations({ origin, destination, month, asOf: asOfDate });
+    const fit = fitCurve(observations);
+    if (!fit) {
+      return noSignal(
+        "We don’t have enough price history for this route and season to forecast yet.",
+        { observations: observations.length }
+      );
+    }
+
+    // Only forecast inside the range of days we've actually observed
+    const from = daysUntilDeparture;
+    const last = Math.max(fit.minDays, from - HORIZON_DAYS);
+    if (from > fit.maxDays || from - 1 < last) {
+      return noSignal(
+        from > fit.maxDays
+          ? "We haven’t seen prices this far before departure on this route yet."
+          : "Departure is too close for a forecast over the coming days.",
+        { observations: fit.n }
+      );
+    }
+
+    const curve = [];
+    for (let d = from - 1; d >= last; d--) {
+      const { mu, sd } = logChange(fit, from, d);
+      curve.push({
+        daysUntilDeparture: d,
+        expected: round2(currentPrice * Math.exp(mu)),
+        low: round2(currentPrice * Math.exp(mu - BAND_Z * sd)),
+        high: round2(currentPrice * Math.exp(mu + BAND_Z * sd)),
+        waitProbability: normalCdf(-mu / sd),
+      });
+    }
+
+    const best = curve.reduce((b, c) => (c.expected < b.expected ? c : b));
+    const p = best.waitProbability;
+    const action = p > 0.5 ? "WAIT" : "BOOK";
+    const confidence = Math.round(Math.max(p, 1 - p) * 100);
+    const change = (best.expected - currentPrice) / currentPrice;
+    const money = (n) => (currency ? `${currency} ${n}` : String(n));
+
+    const reason =
+      action === "WAIT"
+        ? `Over the next ${curve.length} days the cheapest fare is expected around ${
+            best.daysUntilDeparture
+          } days before departure, about ${Math.abs(Math.round(change * 100))}% below today (80% range ${money(
+            best.low
+          )}–${money(best.high)}).`
+        : `Fares on this route aren’t expected to drop over the next ${
+            curve.length
+          } days; the best expected fare is ${money(best.expected)} (80% range ${money(
+            best.low
+          )}–${money(best.high)}).`;
+
+    return {
+      action,
+      confidence,
+      reason,
+      horizonDays: curve.length,
+      currentPrice,
+      expectedMinPrice: best.expected,
+      band: { low: best.low, high: best.high, level: 0.8 },
+      bestDaysUntilDeparture: best.daysUntilDeparture,
+      waitProbability: Math.round(p * 1000) / 1000,
+      curve: curve.map(({ waitProbability, ...c }) => c),
+      observations: fit.n,
+      departureDates: fit.groups,
+    };
+  } catch (err) {
+    log.error("Price forecast failed", { err });
+    return noSignal("We couldn’t load price history, so we’re skipping the forecast.");
+  }
+}
+
+module.exports = {
+  forecastPrices,
+  fitCurve,
+  HORIZON_DAYS,
+};
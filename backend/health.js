@@ -0,0 +1,122 @@
+// backend/health.js
+// Dependency checks behind /api/health/ready.
+//
+// Each check reports { name, status, latencyMs, detail, required }:
+//   healthy    answered within HEALTH_SLOW_MS
+//   degraded   answered, but slowly
+//   down       failed or timed out (HEALTH_TIMEOUT_MS)
+//   skipped    not configured, e.g. no DATABASE_URL
+//
+// Overall: "unhealthy" (not ready) when a required check is down — the
+// database when one is configured, the airports file, or every flight
+// provider at once; "degraded" when anything else is down or slow.
+
+const { pool } = require("./db");
+const { airportCount } = require("./localAirports");
+const { getEnabledProviders } = require("./providers");
+const { circuitStates } = require("./httpClient");
+
+const TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS) || 3000;
+const SLOW_MS = Number(process.env.HEALTH_SLOW_MS) || 1000;
+
+/** Run fn with a timeout; → { ok, detail, latencyMs } */
+async function probe(fn) {
+  const started = Date.now();
+  let timer;
+  try {
+    const detail = await Promise.race([
+      fn(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${TIMEOUT_MS} ms`)), TIMEOUT_MS);
+      }),
+    ]);
+    return { ok: true, detail, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { ok: false, detail: err.message, latencyMs: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function result(name, { ok, detail, latencyMs }, { required = false } = {}) {
+  return {
+    name,
+    status: !ok ? "down" : latencyMs > SLOW_MS ? "degraded" : "healthy",
+    latencyMs,
+    detail,
+    required,
+  };
+}
+
+/* ----------------------------------------------------------
+   Checks
+---------------------------------------------------------- */
+async function checkDatabase() {
+  if (!process.env.DATABASE_URL) {
+    return { name: "database", status: "skipped", latencyMs: 0, detail: "DATABASE_URL not set", required: false };
+  }
+  const outcome = await probe(async () => {
+    await pool.query("SELECT 1");
+    return "Postgres reachable";
+  });
+  return result("database", outcome, { required: true });
+}
+
+async function checkAirports() {
+  const outcome = await probe(async () => {
+    const count = airportCount();
+    if (!count) throw new Error("airports.json is empty");
+    return `${count} airports loaded`;
+  });
+  return result("airports", outcome, { required: true });
+}
+
+/** One check per enabled provider: its own health(), and its circuit not open */
+function checkProviders() {
+  const circuits = circuitStates();
+  return Promise.all(
+    getEnabledProviders().map(async (p) => {
+      const outcome = await probe(async () => {
+        if (circuits[p.name]?.state === "open") {
+          throw new Error(`circuit open until ${circuits[p.name].openUntil}`);
+        }
+        const { ok, detail } = await p.health();
+        if (!ok) throw new Error(detail);
+        return detail;
+      });
+      return result(`provider:${p.name}`, outcome);
+    })
+  );
+}
+
+/* ----------------------------------------------------------
+   Readiness
+---------------------------------------------------------- */
+
+/** { status, ready, checks[] } */
+async function readiness() {
+  const [database, airports, providers] = await Promise.all([
+    checkDatabase(),
+    checkAirports(),
+    checkProviders(),
+  ]);
+  const checks = [database, airports, ...providers];
+
+  const noProvider = !providers.some((c) => c.status !== "down");
+  const requiredDown = checks.some((c) => c.required && c.status === "down");
+  const ready = !requiredDown && !noProvider;
+
+  return {
+    status: !ready
+      ? "unhealthy"
+      : checks.every((c) => c.status === "healthy" || c.status === "skipped")
+      ? "healthy"
+      : "degraded",
+    ready,
+    checks,
+  };
+}
+
+module.exports = {
+  readiness,
+};
@@ -0,0 +1,130 @@
+// backend/history.js
+// price_history snapshots
+//
+// Prices are stored as observed (search currency) plus a canonical copy
+// (rates/) that history charts, flexible dates and the forecast read.
+
+const { run, all } = require("./db");
+const { getConverter } = require("./rates");
+const log = require("./logger");
+
+/* ----------------------------------------------------------
+   Postgres history
+---------------------------------------------------------- */
+async function saveHistory({
+  origin,
+  destination,
+  departureDate,
+  currency,
+  flights,
+}) {
+  try {
+    if (!process.env.DATABASE_URL) return;
+    if (!flights.length) return;
+
+    const prices = flights.map((f) => f.price);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const avg = prices.reduce((a, b) => a + b, 0) / prices.length;
+
+    const today = new Date();
+    const search_date = today.toISOString().slice(0, 10);
+
+    const diffDays = Math.round(
+      (new Date(departureDate) - today) / (1000 * 60 * 60 * 24)
+    );
+
+    // Canonical copy; unknown currency → stored as observed only
+    let canonical = null;
+    try {
+      const conv = await getConverter();
+      const toCanon = (n) => conv.convert(n, currency, conv.canonicalCurrency);
+      if (toCanon(min) !== null) {
+        canonical = {
+          currency: conv.canonicalCurrency,
+          min: toCanon(min),
+          avg: toCanon(avg),
+          max: toCanon(max),
+          rateId: conv.rateId(currency),
+        };
+      }
+    } catch (err) {
+      log.error("History currency conversion failed", { err });
+    }
+
+    // insert
+    await run(
+      `
+      INSERT INTO price_history
+        (origin, destination, departure_date, search_date,
+         days_until_departure, min_price, avg_price, max_price, currency,
+         canonical_currency, min_price_canonical, avg_price_canonical,
+         max_price_canonical, fx_rate_id)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+    `,
+      [
+        origin,
+        destination,
+        departureDate,
+        search_date,
+        diffDays,
+        min,
+        avg,
+        max,
+        currency,
+        canonical?.currency ?? null,
+        canonical?.min ?? null,
+        canonical?.avg ?? null,
+        canonical?.max ?? null,
+        canonical?.rateId ?? null,
+      ]
+    );
+
+    return { min, avg, max };
+  } catch (err) {
+    log.error("History saving failed", { err });
+  }
+}
+
+/* ----------------------------------------------------------
+   Backfill rows saved before canonical prices existed
+   (or while their currency had no rate)
+---------------------------------------------------------- */
+async function backfillCanonicalPrices() {
+  if (!process.env.DATABASE_URL) return 0;
+
+  const conv = await getConverter();
+  const pending = await all(`
+    SELECT DISTINCT currency
+    FROM price_history
+    WHERE canonical_currency IS NULL AND currency IS NOT NULL
+  `);
+
+  let currencies = 0;
+  for (const { currency } of pending) {
+    const rate = conv.rate(conv.canonicalCurrency, currency);
+    if (!rate) {
+      log.warn("No FX rate; history stays unconverted", { currency });
+      continue;
+    }
+    await run(
+      `
+      UPDATE price_history
+      SET canonical_currency  = $1,
+          min_price_canonical = ROUND(min_price / $2, 2),
+          avg_price_canonical = ROUND(avg_price / $2, 2),
+          max_price_canonical = ROUND(max_price / $2, 2),
+          fx_rate_id          = $3
+      WHERE canonical_currency IS NULL AND currency = $4
+    `,
+      [conv.canonicalCurrency, rate, conv.rateId(currency), currency]
+    );
+    currencies += 1;
+  }
+  return currencies;
+}
+
+module.exports = {
+  saveHistory,
+  backfillCanonicalPrices,
+};
@@ -0,0 +1,207 @@
+// backend/httpClient.js
+// Shared HTTP layer for flight providers: axios with a timeout, retries and a
+// circuit breaker, one client per provider.
+//
+//   const http = createHttpClient({ name: "serpapi", timeoutMs: 20000 });
+//   const res = await http.get(url, { params, signal });
+//
+// Retries: network errors, timeouts, 429 and 5xx are retried up to `retries`
+// times with jittered exponential backoff (full jitter on baseDelayMs · 2^n,
+// capped at maxDelayMs). A Retry-After header (seconds or HTTP date) wins
+// over the backoff when it is longer, up to maxRetryAfterMs — anything
+// longer fails straight away rather than stall a search.
+//
+// Circuit breaker: after `failureThreshold` consecutive failed calls (after
+// retries) the circuit opens and calls fail fast with code ECIRCUITOPEN for
+// `cooldownMs`. The next call after that is a trial: success closes the
+// circuit, failure opens it again. Client errors (other 4xx) are the
+// caller's problem and count as an answer.
+//
+// An aborted `signal` (the search deadline) stops retries and backoff sleeps.
+//
+// Every attempt is charged to the provider's daily budget (quota/budgets.js);
+// with none left, calls fail with code EBUDGET before touching the network.
+
+const axios = require("axios");
+const log = require("./logger");
+const { providerRetries, circuitOpened } = require("./metrics");
+const { assertBudget, chargeCall, hasBudget } = require("./quota/budgets");
+
+const RETRIES = Number(process.env.PROVIDER_RETRIES ?? 2);
+const FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const COOLDOWN_MS = (Number(process.env.CIRCUIT_COOLDOWN_SECONDS) || 60) * 1000;
+
+const breakers = new Map();
+
+/* ----------------------------------------------------------
+   Retry policy
+---------------------------------------------------------- */
+function isRetryable(err) {
+  if (axios.isCancel(err)) return false;
+  const status = err.response?.status;
+  if (!status) return true; // network error or timeout
+  return status === 429 || status >= 500;
+}
+
+/** Retry-After in ms, or null */
+function retryAfterMs(err) {
+  const header = err.response?.headers?.["retry-after"];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffMs(attempt, { baseDelayMs, maxDelayMs }) {
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+/** setTimeout as a promise that rejects when `signal` aborts */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason || new Error("Aborted"));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason || new Error("Aborted"));
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/* ----------------------------------------------------------
+   Circuit breaker
+---------------------------------------------------------- */
+function breakerFor(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, { failures: 0, openUntil: 0, trial: false });
+  }
+  return breakers.get(name);
+}
+
+function circuitOpenError(name, openUntil) {
+  const err = new Error(
+    `${name} circuit open after repeated failures; retrying after ${new Date(openUntil).toISOString()}`
+  );
+  err.code = "ECIRCUITOPEN";
+  return err;
+}
+
+/** { state: closed | open | half_open, failures, openUntil } per client */
+function circuitStates() {
+  const now = Date.now();
+  return Object.fromEntries(
+    [...breakers.entries()].map(([name, b]) => [
+      name,
+      {
+        state: b.openUntil > now ? "open" : b.openUntil ? "half_open" : "closed",
+        failures: b.failures,
+        openUntil: b.openUntil ? new Date(b.openUntil).toISOString() : null,
+      },
+    ])
+  );
+}
+
+/* ----------------------------------------------------------
+   Client
+---------------------------------------------------------- */
+function createHttpClient({
+  name,
+  timeoutMs = 10000,
+  retries = RETRIES,
+  baseDelayMs = 300,
+  maxDelayMs = 4000,
+  maxRetryAfterMs = 10000,
+  failureThreshold = FAILURE_THRESHOLD,
+  cooldownMs = COOLDOWN_MS,
+}) {
+  const breaker = breakerFor(name);
+
+  function admit() {
+    if (!breaker.openUntil) return;
+    if (Date.now() < breaker.openUntil || breaker.trial) {
+      throw circuitOpenError(name, breaker.openUntil);
+    }
+    breaker.trial = true; // half-open: let this one call through
+  }
+
+  function succeeded() {
+    if (breaker.openUntil) log.info("Circuit closed", { provider: name });
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    breaker.trial = false;
+  }
+
+  function failed() {
+    breaker.failures += 1;
+    const reopen = breaker.trial;
+    breaker.trial = false;
+    if (reopen || breaker.failures >= failureThreshold) {
+      breaker.openUntil = Date.now() + cooldownMs;
+      circuitOpened.inc({ provider: name });
+      log.warn("Circuit opened", { provider: name, failures: breaker.failures, cooldownMs });
+    }
+  }
+
+  /** axios.request with retries; throws the last error */
+  async function request(config) {
+    await assertBudget(name);
+    admit();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        chargeCall(name);
+        const res = await axios.request({ timeout: timeoutMs, ...config });
+        succeeded();
+        return res;
+      } catch (err) {
+        const retryable = isRetryable(err);
+        const waitHint = retryAfterMs(err);
+        const canRetry =
+          retryable &&
+          attempt < retries &&
+          hasBudget(name) &&
+          !config.signal?.aborted &&
+          (waitHint === null || waitHint <= maxRetryAfterMs);
+
+        if (!canRetry) {
+          // A 4xx is an answer; only outages count against the circuit
+          if (retryable) failed();
+          else if (err.response) succeeded();
+          else breaker.trial = false;
+          throw err;
+        }
+
+        const delay = Math.max(waitHint ?? 0, backoffMs(attempt, { baseDelayMs, maxDelayMs }));
+        providerRetries.inc({ provider: name });
+        log.warn("Provider call failed, retrying", {
+          provider: name,
+          attempt: attempt + 1,
+          delayMs: Math.round(delay),
+          err,
+        });
+        try {
+          await sleep(delay, config.signal);
+        } catch (abortErr) {
+          breaker.trial = false;
+          throw abortErr;
+        }
+      }
+    }
+  }
+
+  return {
+    request,
+    get: (url, config = {}) => request({ ...config, method: "get", url }),
+    post: (url, data, config = {}) => request({ ...config, method: "post", url, data }),
+  };
+}
+
+module.exports = {
+  createHttpClient,
+  circuitStates,
+};
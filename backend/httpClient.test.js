@@ -0,0 +1,133 @@
+// backend/httpClient.test.js
+// Provider HTTP layer: retries, Retry-After, circuit breaker and daily
+// budgets against a local server (node --test)
+
+process.env.LOG_LEVEL = "silent";
+process.env.PROVIDER_DAILY_BUDGETS = "budgeted:2";
+delete process.env.DATABASE_URL;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { createHttpClient, circuitStates } = require("./httpClient");
+
+// Each request takes the next scripted answer: [status, headers]
+let script = [];
+let hits = 0;
+let baseUrl;
+
+const server = http.createServer((req, res) => {
+  hits += 1;
+  const [status, headers = {}] = script.shift() || [200];
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ status }));
+});
+
+test.before(
+  () =>
+    new Promise((resolve) =>
+      server.listen(0, "127.0.0.1", () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      })
+    )
+);
+test.after(() => server.close());
+test.beforeEach(() => {
+  script = [];
+  hits = 0;
+});
+
+const FAST = { baseDelayMs: 1, maxDelayMs: 5 };
+
+test("retries 5xx and 429, then returns the answer", async () => {
+  script = [[503], [429], [200]];
+  const client = createHttpClient({ name: "retrying", retries: 2, ...FAST });
+
+  const res = await client.get(baseUrl);
+  assert.equal(res.status, 200);
+  assert.equal(hits, 3);
+});
+
+test("gives up after `retries` and throws the last error", async () => {
+  script = [[500], [502], [504]];
+  const client = createHttpClient({ name: "exhausted", retries: 1, ...FAST });
+
+  await assert.rejects(client.get(baseUrl), (err) => err.response?.status === 502);
+  assert.equal(hits, 2);
+});
+
+test("does not retry other 4xx, and they don't count against the circuit", async () => {
+  const client = createHttpClient({ name: "client-errors", retries: 2, failureThreshold: 1, ...FAST });
+
+  script = [[400], [404]];
+  await assert.rejects(client.get(baseUrl), (err) => err.response?.status === 400);
+  await assert.rejects(client.get(baseUrl), (err) => err.response?.status === 404);
+  assert.equal(hits, 2);
+  assert.equal(circuitStates()["client-errors"].state, "closed");
+});
+
+test("waits for Retry-After when it is longer than the backoff", async () => {
+  script = [[429, { "Retry-After": "1" }], [200]];
+  const client = createHttpClient({ name: "retry-after", retries: 1, ...FAST });
+
+  const started = Date.now();
+  const res = await client.get(baseUrl);
+  assert.equal(res.status, 200);
+  assert.ok(Date.now() - started >= 900, "answered before Retry-After");
+});
+
+test("fails straight away when Retry-After is longer than maxRetryAfterMs", async () => {
+  script = [[503, { "Retry-After": "30" }], [200]];
+  const client = createHttpClient({ name: "retry-after-long", retries: 2, maxRetryAfterMs: 500, ...FAST });
+
+  const started = Date.now();
+  await assert.rejects(client.get(baseUrl), (err) => err.response?.status === 503);
+  assert.equal(hits, 1);
+  assert.ok(Date.now() - started < 500);
+});
+
+test("opens the circuit after repeated failures, then closes it on a good trial call", async () => {
+  const client = createHttpClient({
+    name: "breaker",
+    retries: 0,
+    failureThreshold: 2,
+    cooldownMs: 100,
+  });
+
+  script = [[500], [500]];
+  await assert.rejects(client.get(baseUrl));
+  assert.equal(circuitStates().breaker.state, "closed");
+  await assert.rejects(client.get(baseUrl));
+  assert.equal(circuitStates().breaker.state, "open");
+
+  // Open: fails fast without calling upstream
+  await assert.rejects(client.get(baseUrl), { code: "ECIRCUITOPEN" });
+  assert.equal(hits, 2);
+
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.equal(circuitStates().breaker.state, "half_open");
+
+  // A failed trial reopens it straight away
+  script = [[500]];
+  await assert.rejects(client.get(baseUrl), (err) => err.response?.status === 500);
+  assert.equal(circuitStates().breaker.state, "open");
+
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  script = [[200]];
+  const res = await client.get(baseUrl);
+  assert.equal(res.status, 200);
+  assert.deepEqual(circuitStates().breaker, { state: "closed", failures: 0, openUntil: null });
+});
+
+test("charges every attempt to the daily budget and stops at EBUDGET", async () => {
+  script = [[503], [200]];
+  const client = createHttpClient({ name: "budgeted", retries: 2, ...FAST });
+
+  assert.equal((await client.get(baseUrl)).status, 200);
+  assert.equal(hits, 2);
+
+  await assert.rejects(client.get(baseUrl), { code: "EBUDGET" });
+  assert.equal(hits, 2);
+});
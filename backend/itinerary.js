@@ -0,0 +1,258 @@
+// backend/itinerary.js
+// Shared flight shape: every client normalizes into full itineraries + segments
+
+const { airlineNameFromCode } = require("./aiAdvisor");
+
+/** Convert PT8H30M → 510 (minutes) */
+function isoDurationToMinutes(iso) {
+  if (!iso) return null;
+  const d = iso.match(/(\d+)D/);
+  const h = iso.match(/(\d+)H/);
+  const m = iso.match(/(\d+)M/);
+  if (!d && !h && !m) return null;
+  return (
+    (d ? parseInt(d[1], 10) * 1440 : 0) +
+    (h ? parseInt(h[1], 10) * 60 : 0) +
+    (m ? parseInt(m[1], 10) : 0)
+  );
+}
+
+/** Convert 510 → "8h 30m" (same format as formatDuration) */
+function formatMinutes(mins) {
+  if (mins === null || mins === undefined || isNaN(mins)) return "";
+  const h = Math.floor(mins / 60);
+  const m = mins % 60;
+  const hours = h ? h + "h" : "";
+  const rest = m ? " " + m + "m" : "";
+  return (hours + rest).trim() || "0m";
+}
+
+/**
+ * Normalize provider timestamps to "YYYY-MM-DDTHH:MM".
+ * Amadeus sends "2025-12-01T10:15:00", SerpApi "2025-12-01 10:15".
+ * Both are local airport times, so we never attach a timezone.
+ */
+function normalizeTime(t) {
+  if (!t) return null;
+  const m = String(t).match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})/);
+  return m ? `${m[1]}T${m[2]}` : String(t);
+}
+
+/**
+ * Minutes between two local timestamps.
+ * Only meaningful when both are at the same airport (layovers).
+ */
+function minutesBetween(from, to) {
+  if (!from || !to) return null;
+  const a = Date.parse(`${from}:00Z`);
+  const b = Date.parse(`${to}:00Z`);
+  if (isNaN(a) || isNaN(b)) return null;
+  return Math.round((b - a) / 60000);
+}
+
+/**
+ * Airline display name: our curated names win (so chips group the same
+ * carrier across providers), then whatever the provider sent, then the code.
+ */
+function carrierName(code, providerName) {
+  const curated = airlineNameFromCode(code);
+  if (code && curated !== code) return curated;
+  return providerName || curated;
+}
+
+/**
+ * Build one segment.
+ * Input fields are already extracted by the client; we only fill gaps.
+ */
+function buildSegment({
+  carrierCode,
+  airline,
+  number,
+  flightNumber,
+  operatingCarrierCode,
+  operatingAirline,
+  from,
+  to,
+  fromTerminal,
+  toTerminal,
+  departTime,
+  arrivalTime,
+  durationMinutes,
+  aircraft,
+}) {
+  const marketing = carrierCode || null;
+  const operating = operatingCarrierCode || marketing;
+  const fn =
+    flightNumber || (marketing && number ? `${marketing} ${number}` : marketing);
+
+  const marketingName = carrierName(marketing, airline);
+
+  return {
+    carrierCode: marketing,
+    airline: marketingName,
+    flightNumber: fn || null,
+    operatingCarrierCode: operating,
+    operatingAirline:
+      operatingAirline ||
+      (operating === marketing ? marketingName : carrierName(operating)),
+    from: from || null,
+    to: to || null,
+    fromTerminal: fromTerminal || null,
+    toTerminal: toTerminal || null,
+    departTime: normalizeTime(departTime),
+    arrivalTime: normalizeTime(arrivalTime),
+    durationMinutes: durationMinutes ?? null,
+    duration: formatMinutes(durationMinutes),
+    aircraft: aircraft || null,
+  };
+}
+
+/**
+ * Build one itinerary (outbound, return or a multi-city "leg") from its segments.
+ * Layovers are derived from consecutive segments unless the provider
+ * already supplied them.
+ */
+function buildItinerary({ direction, legIndex, segments, durationMinutes, layovers }) {
+  if (!segments || !segments.length) return null;
+
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+
+  const derivedLayovers = [];
+  for (let i = 0; i < segments.length - 1; i++) {
+    const arriving = segments[i];
+    const leaving = segments[i + 1];
+    const given = layovers?.[i];
+    const mins =
+      given?.durationMinutes ??
+      minutesBetween(arriving.arrivalTime, leaving.departTime);
+
+    derivedLayovers.push({
+      airport: given?.airport || arriving.to,
+      airportName: given?.airportName || null,
+      arrivalTime: arriving.arrivalTime,
+      departTime: leaving.departTime,
+      durationMinutes: mins,
+      duration: formatMinutes(mins),
+      overnight:
+        given?.overnight ??
+        (arriving.arrivalTime && leaving.departTime
+          ? arriving.arrivalTime.slice(0, 10) !== leaving.departTime.slice(0, 10)
+          : false),
+      changeOfAirport: !!(arriving.to && leaving.from && arriving.to !== leaving.from),
+    });
+  }
+
+  // Fall back to summing flights + layovers if the provider gave no total
+  let total = durationMinutes ?? null;
+  if (total === null) {
+    const parts = [
+      ...segments.map((s) => s.durationMinutes),
+      ...derivedLayovers.map((l) => l.durationMinutes),
+    ];
+    if (parts.every((p) => typeof p === "number")) {
+      total = parts.reduce((a, b) => a + b, 0);
+    }
+  }
+
+  return {
+    direction: direction || "outbound",
+    legIndex: legIndex ?? (direction === "return" ? 1 : 0),
+    origin: first.from,
+    destination: last.to,
+    departTime: first.departTime,
+    arrivalTime: last.arrivalTime,
+    durationMinutes: total,
+    duration: formatMinutes(total),
+    stops: segments.length - 1,
+    segments,
+    layovers: derivedLayovers,
+  };
+}
+
+/**
+ * Build the normalized flight from its itineraries.
+ * Top-level fields summarise the outbound itinerary so existing
+ * consumers (cards, filters, history, advisor) keep working.
+ */
+function buildFlight({ itineraries, price, currency, bookingUrl, source, ...extra }) {
+  const legs = (itineraries || []).filter(Boolean);
+  if (!legs.length) return null;
+
+  const outbound = legs[0];
+  const first = outbound.segments[0];
+
+  return {
+    airline: first.airline,
+    flightNumber: first.flightNumber,
+    carrierCode: first.carrierCode,
+    origin: outbound.origin,
+    destination: outbound.destination,
+    departTime: outbound.departTime,
+    arrivalTime: outbound.arrivalTime,
+    duration: outbound.duration,
+    durationMinutes: outbound.durationMinutes,
+    nonstop: outbound.stops === 0,
+    stops: outbound.stops,
+    price: Number(price) || 0,
+    currency,
+    bookingUrl: bookingUrl || null,
+    source: source || null,
+    itineraries: legs,
+    ...extra,
+  };
+}
+
+/**
+ * Per-traveler-type price lines from one price per traveler:
+ * [{ travelerType, total }] → [{ travelerType, count, perTraveler, total }]
+ * in ADULT, CHILD, SEATED_INFANT, HELD_INFANT order. Null when the
+ * provider didn't price travelers individually.
+ */
+const TRAVELER_ORDER = ["ADULT", "CHILD", "SEATED_INFANT", "HELD_INFANT"];
+
+function buildPriceBreakdown(travelers) {
+  if (!travelers?.length) return null;
+
+  const byType = new Map();
+  for (const t of travelers) {
+    const type = t.travelerType || "ADULT";
+    const line = byType.get(type) || { travelerType: type, count: 0, total: 0 };
+    line.count += 1;
+    line.total += Number(t.total) || 0;
+    byType.set(type, line);
+  }
+
+  return [...byType.values()]
+    .sort((a, b) => TRAVELER_ORDER.indexOf(a.travelerType) - TRAVELER_ORDER.indexOf(b.travelerType))
+    .map((l) => ({
+      travelerType: l.travelerType,
+      count: l.count,
+      perTraveler: Math.round((l.total / l.count) * 100) / 100,
+      total: Math.round(l.total * 100) / 100,
+    }));
+}
+
+/** Stable identity for dedupe: every segment's flight number + departure */
+function flightKey(f) {
+  if (!f.itineraries?.length) {
+    return `${f.carrierCode}-${f.flightNumber}-${f.departTime}-${f.arrivalTime}`;
+  }
+  return f.itineraries
+    .map((it) =>
+      it.segments.map((s) => `${s.flightNumber}@${s.departTime}`).join(">")
+    )
+    .join("|");
+}
+
+module.exports = {
+  isoDurationToMinutes,
+  formatMinutes,
+  normalizeTime,
+  minutesBetween,
+  buildSegment,
+  buildItinerary,
+  buildFlight,
+  buildPriceBreakdown,
+  flightKey,
+};
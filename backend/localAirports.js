@@ -15,7 +15,7 @@ function searchLocalAirports(query) {
 
   const q = query.toLowerCase();
 
-  return airports
+  const matches = airports
     .filter((a) => {
       return (
         (a.iataCode && a.iataCode.toLowerCase().includes(q)) ||
@@ -32,8 +32,89 @@ function searchLocalAirports(query) {
       label: `${a.cityName || a.name}, ${a.countryName} (${a.iataCode})`,
       source: "LOCAL"
     }));
+
+  // A city with several airports also matches as a whole ("all airports")
+  const cities = new Map();
+  for (const m of matches) {
+    const airport = byCode.get(m.iataCode);
+    if (airport.cityCode && !cities.has(airport.cityCode)) {
+      const inCity = airportsInCity(airport.cityCode);
+      if (inCity.length > 1) {
+        cities.set(airport.cityCode, {
+          iataCode: airport.cityCode,
+          cityName: airport.cityName,
+          countryName: airport.countryName,
+          type: "CITY",
+          airports: inCity.map((a) => a.iataCode),
+          label: `${airport.cityName}, ${airport.countryName} (all airports)`,
+          source: "LOCAL",
+        });
+      }
+    }
+  }
+  return [...cities.values(), ...matches];
+}
+
+/* ----------------------------------------------------------
+   Cities and distances (nearby-airport search)
+---------------------------------------------------------- */
+const byCode = new Map(airports.map((a) => [a.iataCode, a]));
+
+/** Metropolitan code ("DXB" for Dubai) or, without one, city + country */
+function cityKey(a) {
+  return a.cityCode || `${a.cityName}|${a.countryName}`;
+}
+
+function getAirport(code) {
+  return byCode.get(code) || null;
+}
+
+/** Airports sharing `code`'s city; `code` may be an airport or a city code */
+function airportsInCity(code) {
+  const airport = byCode.get(code);
+  const key = airport ? cityKey(airport) : code;
+  return airports.filter((a) => cityKey(a) === key);
+}
+
+/** Both codes are known airports of the same city */
+function sameCity(a, b) {
+  const x = byCode.get(a);
+  const y = byCode.get(b);
+  return !!x && !!y && cityKey(x) === cityKey(y);
+}
+
+/** Great-circle distance in km */
+function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/** Airports within `radiusKm` of `code`, nearest first, with distanceKm */
+function airportsNear(code, radiusKm) {
+  const from = byCode.get(code);
+  if (!from || from.latitude === undefined) return [];
+  return airports
+    .filter((a) => a.latitude !== undefined)
+    .map((a) => ({ ...a, distanceKm: Math.round(distanceKm(from, a)) }))
+    .filter((a) => a.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/** Number of airports loaded (health checks) */
+function airportCount() {
+  return airports.length;
 }
 
 module.exports = {
   searchLocalAirports,
+  airportCount,
+  getAirport,
+  airportsInCity,
+  sameCity,
+  airportsNear,
 };
@@ -0,0 +1,67 @@
+// backend/logger.js
+// Structured JSON logs, one object per line:
+//   {"ts":"…","level":"error","msg":"Search failed","requestId":"…","err":{…}}
+//
+// Inside an HTTP request (see requestContext in server.js) every line carries
+// that request's id automatically — providers, cache and DB code don't need
+// it threaded through. Fields passed to a call are merged in; an `err` field
+// is reduced to { message, name, code, status }.
+//
+// LOG_LEVEL  debug | info (default) | warn | error | silent
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const threshold = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  return {
+    message: err.message,
+    name: err.name,
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.response?.status ? { status: err.response.status } : {}),
+  };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+
+  const entry = {
+    ts: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...fields,
+  };
+  if (entry.err) entry.err = serializeError(entry.err);
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ ts: entry.ts, level, msg, unserializable: true });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+}
+
+/** Run fn with `fields` (e.g. { requestId }) attached to every log line inside it */
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/** Current request id, if any */
+function currentRequestId() {
+  return context.getStore()?.requestId || null;
+}
+
+module.exports = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+  withLogContext,
+  currentRequestId,
+};
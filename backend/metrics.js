@@ -0,0 +1,111 @@
+// backend/metrics.js
+// In-process Prometheus metrics, served as text by GET /metrics.
+//
+// Deliberately tiny: counters and histograms with labels, no dependency.
+// Series live in memory and reset on restart, as Prometheus expects.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = new Map();
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function counter(name, help) {
+  const series = new Map();
+  metrics.set(name, { name, help, type: "counter", series });
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labels);
+      const s = series.get(key) || { labels, value: 0 };
+      s.value += value;
+      series.set(key, s);
+    },
+  };
+}
+
+function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  metrics.set(name, { name, help, type: "histogram", series, buckets });
+  return {
+    observe(labels = {}, value) {
+      const key = labelKey(labels);
+      const s = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => {
+        if (value <= b) s.counts[i] += 1;
+      });
+      s.sum += value;
+      s.count += 1;
+      series.set(key, s);
+    },
+  };
+}
+
+/** Prometheus text exposition format */
+function renderMetrics() {
+  const lines = [];
+  for (const m of metrics.values()) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    for (const s of m.series.values()) {
+      if (m.type === "counter") {
+        lines.push(`${m.name}${formatLabels(s.labels)} ${s.value}`);
+        continue;
+      }
+      m.buckets.forEach((b, i) =>
+        lines.push(`${m.name}_bucket${formatLabels(s.labels, { le: b })} ${s.counts[i]}`)
+      );
+      lines.push(`${m.name}_bucket${formatLabels(s.labels, { le: "+Inf" })} ${s.count}`);
+      lines.push(`${m.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${m.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/* ----------------------------------------------------------
+   The app's metrics
+---------------------------------------------------------- */
+const httpRequests = counter("http_requests_total", "HTTP requests by route and status");
+const httpDuration = histogram("http_request_duration_seconds", "HTTP request latency");
+
+const providerRequests = counter(
+  "provider_requests_total",
+  "Flight provider calls by outcome (ok, error, timeout, auth_failed, rate_limited, skipped)"
+);
+const providerDuration = histogram("provider_request_duration_seconds", "Flight provider call latency");
+const providerResults = counter("provider_results_total", "Flights returned by each provider");
+const providerRetries = counter("provider_retries_total", "Provider HTTP calls retried");
+const circuitOpened = counter("provider_circuit_open_total", "Times a provider's circuit breaker opened");
+
+const rateLimited = counter("rate_limited_requests_total", "Requests rejected with 429 by limiter and client kind");
+
+const cacheRequests = counter("search_cache_requests_total", "Search cache lookups by result (hit, miss)");
+
+const dbDuration = histogram("db_query_duration_seconds", "Database query latency by statement type");
+const dbErrors = counter("db_query_errors_total", "Failed database queries by statement type");
+
+module.exports = {
+  counter,
+  histogram,
+  renderMetrics,
+  httpRequests,
+  httpDuration,
+  providerRequests,
+  providerDuration,
+  providerResults,
+  providerRetries,
+  circuitOpened,
+  cacheRequests,
+  rateLimited,
+  dbDuration,
+  dbErrors,
+};
@@ -0,0 +1,148 @@
+// backend/migrate.js
+// Versioned schema migrations: backend/migrations/NNN_name.sql
+// Runs at startup (server.js) or by hand with `npm run migrate`.
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { run, all, transaction } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Arbitrary constant so two instances starting together don't both migrate
+const MIGRATION_LOCK_ID = 313313;
+
+/** Read migration files in version order */
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((f) => /^\d+_.+\.sql$/.test(f))
+    .sort()
+    .map((file) => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+      const [, version, name] = file.match(/^(\d+)_(.+)\.sql$/);
+      return {
+        version,
+        name,
+        file,
+        sql,
+        checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+      };
+    });
+}
+
+async function ensureMigrationsTable() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    VARCHAR(16)  PRIMARY KEY,
+      name       TEXT         NOT NULL,
+      checksum   VARCHAR(64)  NOT NULL,
+      applied_at TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Apply one migration in its own transaction, under the migration lock.
+ * Returns false when another instance applied it first.
+ */
+function applyMigration(m, { log }) {
+  return transaction(async (client) => {
+    // Transaction-scoped lock: released automatically on COMMIT/ROLLBACK
+    await client.query("SELECT pg_advisory_xact_lock($1)", [MIGRATION_LOCK_ID]);
+
+    const { rows } = await client.query(
+      "SELECT checksum FROM schema_migrations WHERE version = $1",
+      [m.version]
+    );
+    if (rows.length) {
+      if (rows[0].checksum !== m.checksum) {
+        log(`⚠️  Migration ${m.file} changed after it was applied — ignoring`);
+      }
+      return false;
+    }
+
+    try {
+      await client.query(m.sql);
+    } catch (err) {
+      throw new Error(`Migration ${m.file} failed: ${err.message}`);
+    }
+    await client.query(
+      `INSERT INTO schema_migrations (version, name, checksum)
+       VALUES ($1, $2, $3)`,
+      [m.version, m.name, m.checksum]
+    );
+    return true;
+  });
+}
+
+/**
+ * Apply every pending migration in version order, each committed in its
+ * own transaction: a failure rolls back only that migration and stops the
+ * run, leaving the earlier ones applied.
+ * Returns the list of versions applied in this run.
+ */
+async function migrate({ log = console.log } = {}) {
+  if (!process.env.DATABASE_URL) {
+    log("DATABASE_URL not set — skipping migrations");
+    return [];
+  }
+
+  await ensureMigrationsTable();
+
+  const applied = [];
+  for (const m of loadMigrations()) {
+    if (await applyMigration(m, { log })) {
+      applied.push(m.version);
+      log(`Applied migration ${m.file}`);
+    }
+  }
+
+  if (!applied.length) log("Database schema is up to date");
+  return applied;
+}
+
+/** Applied + pending versions (used by `npm run migrate -- --status`) */
+async function migrationStatus() {
+  await ensureMigrationsTable();
+  const rows = await all(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+  );
+  const appliedVersions = new Set(rows.map((r) => r.version));
+  const pending = loadMigrations()
+    .filter((m) => !appliedVersions.has(m.version))
+    .map((m) => ({ version: m.version, name: m.name }));
+
+  return { applied: rows, pending };
+}
+
+module.exports = {
+  migrate,
+  migrationStatus,
+};
+
+/* ----------------------------------------------------------
+   CLI: node backend/migrate.js [--status]
+---------------------------------------------------------- */
+if (require.main === module) {
+  const showStatus = process.argv.includes("--status");
+
+  (showStatus ? migrationStatus() : migrate())
+    .then((result) => {
+      if (showStatus) {
+        result.applied.forEach((m) =>
+          console.log(`applied  ${m.version}_${m.name}`)
+        );
+        result.pending.forEach((m) =>
+          console.log(`pending  ${m.version}_${m.name}`)
+        );
+      }
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
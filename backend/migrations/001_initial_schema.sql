@@ -0,0 +1,38 @@
+-- 001_initial_schema.sql
+-- Tables used by saveHistory (server.js) and the seasonal model (aiAdvisor.js).
+-- IF NOT EXISTS so databases created by hand before migrations keep working.
+
+CREATE TABLE IF NOT EXISTS price_history (
+  id                   BIGSERIAL PRIMARY KEY,
+  origin               VARCHAR(3)     NOT NULL,
+  destination          VARCHAR(3)     NOT NULL,
+  departure_date       DATE           NOT NULL,
+  search_date          DATE           NOT NULL DEFAULT CURRENT_DATE,
+  days_until_departure INTEGER        NOT NULL,
+  min_price            NUMERIC(12, 2) NOT NULL,
+  avg_price            NUMERIC(12, 2) NOT NULL,
+  max_price            NUMERIC(12, 2) NOT NULL,
+  currency             VARCHAR(3)     NOT NULL,
+  created_at           TIMESTAMPTZ    NOT NULL DEFAULT NOW()
+);
+
+-- /api/history and flexible dates look up one route + departure date
+CREATE INDEX IF NOT EXISTS price_history_route_date_idx
+  ON price_history (origin, destination, departure_date);
+
+-- pruning by age
+CREATE INDEX IF NOT EXISTS price_history_search_date_idx
+  ON price_history (search_date);
+
+CREATE TABLE IF NOT EXISTS seasonal_stats (
+  origin       VARCHAR(3)     NOT NULL,
+  destination  VARCHAR(3)     NOT NULL,
+  month        SMALLINT       NOT NULL CHECK (month BETWEEN 1 AND 12),
+  total_points INTEGER        NOT NULL DEFAULT 0,
+  far_sum      NUMERIC(14, 2) NOT NULL DEFAULT 0,
+  far_count    INTEGER        NOT NULL DEFAULT 0,
+  near_sum     NUMERIC(14, 2) NOT NULL DEFAULT 0,
+  near_count   INTEGER        NOT NULL DEFAULT 0,
+  last_updated TIMESTAMPTZ    NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (origin, destination, month)
+);
@@ -0,0 +1,51 @@
+-- 002_price_watches.sql
+-- Saved fare watches re-checked by the alert scheduler (backend/alerts/).
+
+CREATE TABLE IF NOT EXISTS price_watches (
+  id                  BIGSERIAL PRIMARY KEY,
+  -- anonymous owner: random id the browser keeps in localStorage
+  owner_key           VARCHAR(64)    NOT NULL,
+  origin              VARCHAR(3)     NOT NULL,
+  destination         VARCHAR(3)     NOT NULL,
+  departure_date      DATE           NOT NULL,
+  return_date         DATE,
+  adults              SMALLINT       NOT NULL DEFAULT 1,
+  cabin               VARCHAR(16)    NOT NULL DEFAULT 'ECONOMY',
+  currency            VARCHAR(3)     NOT NULL,
+  -- rule: notify at or below target_price, and/or after a drop_percent fall
+  target_price        NUMERIC(12, 2),
+  drop_percent        NUMERIC(5, 2),
+  baseline_price      NUMERIC(12, 2),
+  last_price          NUMERIC(12, 2),
+  last_notified_price NUMERIC(12, 2),
+  notify_channel      VARCHAR(16)    NOT NULL DEFAULT 'log',
+  notify_target       TEXT,
+  active              BOOLEAN        NOT NULL DEFAULT TRUE,
+  last_checked_at     TIMESTAMPTZ,
+  last_notified_at    TIMESTAMPTZ,
+  created_at          TIMESTAMPTZ    NOT NULL DEFAULT NOW(),
+  updated_at          TIMESTAMPTZ    NOT NULL DEFAULT NOW(),
+  CHECK (target_price IS NOT NULL OR drop_percent IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS price_watches_owner_idx
+  ON price_watches (owner_key);
+
+-- scheduler picks the stalest active watches first
+CREATE INDEX IF NOT EXISTS price_watches_due_idx
+  ON price_watches (active, last_checked_at);
+
+CREATE TABLE IF NOT EXISTS watch_notifications (
+  id         BIGSERIAL PRIMARY KEY,
+  watch_id   BIGINT         NOT NULL REFERENCES price_watches (id) ON DELETE CASCADE,
+  price      NUMERIC(12, 2) NOT NULL,
+  currency   VARCHAR(3)     NOT NULL,
+  rule       VARCHAR(16)    NOT NULL,
+  channel    VARCHAR(16)    NOT NULL,
+  status     VARCHAR(16)    NOT NULL,
+  error      TEXT,
+  created_at TIMESTAMPTZ    NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS watch_notifications_watch_idx
+  ON watch_notifications (watch_id, created_at DESC);
@@ -0,0 +1,12 @@
+-- 003_search_cache.sql
+-- Postgres backend for the search result cache (backend/cache/).
+
+CREATE TABLE IF NOT EXISTS search_cache (
+  key        TEXT        PRIMARY KEY,
+  value      JSONB       NOT NULL,
+  stored_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS search_cache_expires_idx
+  ON search_cache (expires_at);
@@ -0,0 +1,7 @@
+-- 004_watch_passengers.sql
+-- Passenger mix on price watches. Existing watches are adults-only.
+
+ALTER TABLE price_watches
+  ADD COLUMN IF NOT EXISTS children        SMALLINT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS infants_in_seat SMALLINT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS infants_on_lap  SMALLINT NOT NULL DEFAULT 0;
@@ -0,0 +1,32 @@
+-- 005_currency_rates.sql
+-- Currency rates (backend/rates/). History and the seasonal model are stored
+-- in the canonical currency; every converted history row points at the rate
+-- it was converted with.
+
+CREATE TABLE IF NOT EXISTS fx_rates (
+  id             BIGSERIAL      PRIMARY KEY,
+  source         VARCHAR(32)    NOT NULL,
+  -- 1 base_currency (the canonical currency) = rate quote_currency
+  base_currency  VARCHAR(3)     NOT NULL,
+  quote_currency VARCHAR(3)     NOT NULL,
+  rate           NUMERIC(20, 10) NOT NULL,
+  as_of          TIMESTAMPTZ    NOT NULL,
+  fetched_at     TIMESTAMPTZ    NOT NULL DEFAULT NOW(),
+  UNIQUE (source, base_currency, quote_currency, as_of)
+);
+
+-- Observed prices stay in their search currency (min/avg/max_price +
+-- currency); the canonical copies are what readers aggregate.
+-- Rows written before this migration are backfilled at startup.
+ALTER TABLE price_history
+  ADD COLUMN IF NOT EXISTS canonical_currency  VARCHAR(3),
+  ADD COLUMN IF NOT EXISTS min_price_canonical NUMERIC(12, 2),
+  ADD COLUMN IF NOT EXISTS avg_price_canonical NUMERIC(12, 2),
+  ADD COLUMN IF NOT EXISTS max_price_canonical NUMERIC(12, 2),
+  ADD COLUMN IF NOT EXISTS fx_rate_id          BIGINT REFERENCES fx_rates (id);
+
+-- Currency the far/near sums are in. Existing rows mixed every search
+-- currency, so they stay NULL, are ignored by the model and restart on
+-- their next update.
+ALTER TABLE seasonal_stats
+  ADD COLUMN IF NOT EXISTS currency VARCHAR(3);
@@ -0,0 +1,62 @@
+-- 006_accounts.sql
+-- Local accounts (backend/accounts/): email + password, bearer sessions,
+-- saved searches, recent routes, favourite airports and form defaults.
+
+CREATE TABLE IF NOT EXISTS users (
+  id            BIGSERIAL    PRIMARY KEY,
+  -- stored lower-cased
+  email         VARCHAR(254) NOT NULL UNIQUE,
+  -- scrypt$N$r$p$salt$hash (see accounts/passwords.js)
+  password_hash TEXT         NOT NULL,
+  -- { currency, cabin, passengers: { adults, children, ... } }
+  preferences   JSONB        NOT NULL DEFAULT '{}'::jsonb,
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  -- sha256 of the bearer token; the token itself is never stored
+  token_hash   VARCHAR(64) PRIMARY KEY,
+  user_id      BIGINT      NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at   TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id         BIGSERIAL    PRIMARY KEY,
+  user_id    BIGINT       NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name       VARCHAR(80)  NOT NULL,
+  -- the POST /api/flights body to replay (see accounts/searches.js)
+  params     JSONB        NOT NULL,
+  created_at TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches (user_id, created_at DESC);
+
+-- One row per route; searching it again bumps searched_at
+CREATE TABLE IF NOT EXISTS recent_searches (
+  id                BIGSERIAL    PRIMARY KEY,
+  user_id           BIGINT       NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  origin            VARCHAR(3)   NOT NULL,
+  destination       VARCHAR(3)   NOT NULL,
+  origin_label      TEXT,
+  destination_label TEXT,
+  params            JSONB        NOT NULL,
+  search_count      INTEGER      NOT NULL DEFAULT 1,
+  searched_at       TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, origin, destination)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recent_searches_user ON recent_searches (user_id, searched_at DESC);
+
+CREATE TABLE IF NOT EXISTS favourite_airports (
+  user_id    BIGINT      NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  code       VARCHAR(3)  NOT NULL,
+  label      TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, code)
+);
@@ -0,0 +1,20 @@
+-- 007_usage.sql
+-- Daily usage counters (backend/quota/usage.js): upstream calls per flight
+-- provider, checked against PROVIDER_DAILY_BUDGETS, and API requests per
+-- client ("key:<name>" for API keys, "anonymous" for everyone else).
+
+CREATE TABLE IF NOT EXISTS provider_usage (
+  day      DATE        NOT NULL,
+  provider VARCHAR(32) NOT NULL,
+  calls    INTEGER     NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, provider)
+);
+
+CREATE TABLE IF NOT EXISTS client_usage (
+  day      DATE        NOT NULL,
+  client   VARCHAR(64) NOT NULL,
+  requests INTEGER     NOT NULL DEFAULT 0,
+  -- requests answered with 429
+  limited  INTEGER     NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, client)
+);
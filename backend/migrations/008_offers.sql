@@ -0,0 +1,58 @@
+-- 008_offers.sql
+-- Every offer a fresh search returned (backend/offers.js): one search_runs
+-- row per search, one offers row per flight in it. price_history
+-- keeps the per-search min/avg/max the charts and models read; these rows
+-- let us follow one flight's fare over time and compare airlines.
+
+CREATE TABLE IF NOT EXISTS search_runs (
+  id                 BIGSERIAL   PRIMARY KEY,
+  searched_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  origin             VARCHAR(3)  NOT NULL,
+  destination        VARCHAR(3)  NOT NULL,
+  departure_date     DATE        NOT NULL,
+  return_date        DATE,
+  cabin              VARCHAR(20),
+  adults             SMALLINT    NOT NULL DEFAULT 1,
+  children           SMALLINT    NOT NULL DEFAULT 0,
+  infants_in_seat    SMALLINT    NOT NULL DEFAULT 0,
+  infants_on_lap     SMALLINT    NOT NULL DEFAULT 0,
+  -- search currency; offers.price is in it
+  currency           VARCHAR(3),
+  canonical_currency VARCHAR(3),
+  fx_rate_id         BIGINT      REFERENCES fx_rates (id),
+  -- some providers missed the search deadline
+  partial            BOOLEAN     NOT NULL DEFAULT FALSE,
+  offer_count        INTEGER     NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS search_runs_route_idx
+  ON search_runs (origin, destination, departure_date);
+CREATE INDEX IF NOT EXISTS search_runs_searched_at_idx
+  ON search_runs (searched_at);
+
+CREATE TABLE IF NOT EXISTS offers (
+  id               BIGSERIAL     PRIMARY KEY,
+  run_id           BIGINT        NOT NULL REFERENCES search_runs (id) ON DELETE CASCADE,
+  provider         VARCHAR(32),
+  carrier_code     VARCHAR(3),
+  airline          VARCHAR(100),
+  -- first segment's marketing flight number without the space ("EK511")
+  flight_number    VARCHAR(10),
+  -- local airport time of the first segment; the trajectory key
+  depart_date      DATE,
+  depart_time      TIMESTAMP,
+  arrival_time     TIMESTAMP,
+  origin           VARCHAR(3),
+  destination      VARCHAR(3),
+  stops            SMALLINT,
+  duration_minutes INTEGER,
+  -- every segment's flight number and departure (itinerary.js flightKey)
+  itinerary_key    TEXT,
+  -- party total, as the search returned it
+  price            NUMERIC(12, 2) NOT NULL,
+  price_canonical  NUMERIC(12, 2)
+);
+
+CREATE INDEX IF NOT EXISTS offers_run_idx ON offers (run_id);
+CREATE INDEX IF NOT EXISTS offers_flight_idx ON offers (flight_number, depart_date);
+CREATE INDEX IF NOT EXISTS offers_carrier_idx ON offers (carrier_code, depart_date);
@@ -0,0 +1,49 @@
+-- 009_retention.sql
+-- Aggregates the retention job (backend/retention.js) writes before it
+-- deletes old rows: one row per route, departure date and search day or
+-- week for price_history, and per flight for offers. Each period is rolled
+-- up once, after all of it has passed the retention cutoff.
+
+CREATE TABLE IF NOT EXISTS price_history_rollups (
+  id                   BIGSERIAL      PRIMARY KEY,
+  origin               VARCHAR(3)     NOT NULL,
+  destination          VARCHAR(3)     NOT NULL,
+  departure_date       DATE           NOT NULL,
+  period               VARCHAR(4)     NOT NULL CHECK (period IN ('day', 'week')),
+  -- start of the search day or week (date_trunc), not the first search in it
+  period_start         DATE           NOT NULL,
+  -- canonical currency when the rows had canonical prices, else observed
+  currency             VARCHAR(3)     NOT NULL,
+  canonical            BOOLEAN        NOT NULL,
+  days_until_departure INTEGER        NOT NULL,
+  samples              INTEGER        NOT NULL,
+  min_price            NUMERIC(12, 2) NOT NULL,
+  avg_price            NUMERIC(12, 2) NOT NULL,
+  max_price            NUMERIC(12, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS price_history_rollups_route_idx
+  ON price_history_rollups (origin, destination, departure_date);
+
+-- Adult-only runs, cheapest offer per flight per run, prices per adult
+CREATE TABLE IF NOT EXISTS offer_rollups (
+  id             BIGSERIAL      PRIMARY KEY,
+  period         VARCHAR(4)     NOT NULL CHECK (period IN ('day', 'week')),
+  period_start   DATE           NOT NULL,
+  origin         VARCHAR(3)     NOT NULL,
+  destination    VARCHAR(3)     NOT NULL,
+  return_date    DATE,
+  cabin          VARCHAR(20),
+  carrier_code   VARCHAR(3),
+  flight_number  VARCHAR(10)    NOT NULL,
+  depart_date    DATE           NOT NULL,
+  currency       VARCHAR(3)     NOT NULL,
+  canonical      BOOLEAN        NOT NULL,
+  samples        INTEGER        NOT NULL,
+  min_price      NUMERIC(12, 2) NOT NULL,
+  avg_price      NUMERIC(12, 2) NOT NULL,
+  max_price      NUMERIC(12, 2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS offer_rollups_flight_idx
+  ON offer_rollups (flight_number, depart_date);
@@ -0,0 +1,116 @@
+// backend/nearbyAirports.js
+// "Include nearby airports": origin and destination expanded to every
+// airport in the same city or within NEARBY_RADIUS_KM (localAirports.js),
+// each origin × destination searched as its own route and the results
+// merged. Every flight keeps its own origin / destination, so the list shows
+// which airports it actually uses.
+//
+// A city code we know but that isn't an airport itself is always expanded
+// to the city's airports; one that is also an airport ("DXB") means just
+// that airport unless nearby airports are on.
+
+const { getAirport, airportsInCity, airportsNear, sameCity } = require("./localAirports");
+
+const RADIUS_KM = Number(process.env.NEARBY_RADIUS_KM) || 60;
+// Each route is a full provider search, so cap the combinations
+const MAX_ROUTES = Number(process.env.NEARBY_MAX_ROUTES) || 6;
+
+/** Codes to search for one end of the trip, the requested airport first */
+function expandAirport(code, { nearby }) {
+  const isAirport = !!getAirport(code);
+  if (isAirport && !nearby) return [code];
+
+  const inCity = airportsInCity(code).map((a) => a.iataCode);
+  const near = nearby && isAirport ? airportsNear(code, RADIUS_KM).map((a) => a.iataCode) : [];
+  const codes = [...new Set([...(isAirport ? [code] : []), ...inCity, ...near])];
+  return codes.length ? codes : [code];
+}
+
+/**
+ * A pair worth searching: the requested one, or one that doesn't stay
+ * within a city or run between airports near both ends, which is what
+ * expanding two nearby airports (DXB → SHJ) produces.
+ */
+function usefulPair(o, d, { origins, destinations, requested }) {
+  if (requested) return o !== d;
+  if (o === d || sameCity(o, d)) return false;
+  return !origins.includes(d) && !destinations.includes(o);
+}
+
+/**
+ * { routes: [{ originCode, destinationCode }], origins, destinations }.
+ * Routes are ordered by how far each end is down its list, so the
+ * requested pair comes first; beyond NEARBY_MAX_ROUTES the rest are
+ * dropped. `origins` / `destinations` are the airports the kept routes use.
+ */
+function expandRoute({ originCode, destinationCode, nearby = false }) {
+  const origins = expandAirport(originCode, { nearby });
+  const destinations = expandAirport(destinationCode, { nearby });
+
+  const routes = [];
+  origins.forEach((o, oi) =>
+    destinations.forEach((d, di) => {
+      const requested = o === originCode && d === destinationCode;
+      if (usefulPair(o, d, { origins, destinations, requested })) {
+        routes.push({ originCode: o, destinationCode: d, rank: oi + di });
+      }
+    })
+  );
+  routes.sort((a, b) => a.rank - b.rank);
+  const kept = routes.slice(0, MAX_ROUTES);
+
+  return {
+    routes: kept.map(({ originCode: o, destinationCode: d }) => ({
+      originCode: o,
+      destinationCode: d,
+    })),
+    origins: [...new Set(kept.map((r) => r.originCode))],
+    destinations: [...new Set(kept.map((r) => r.destinationCode))],
+  };
+}
+
+/**
+ * One searchFlightsCached-shaped answer for several routes' answers:
+ * flights concatenated, a provider counted ok if it answered any route,
+ * partial if any route was, a cache hit only if every route was.
+ */
+function mergeRouteSearches(searches) {
+  if (searches.length === 1) return searches[0];
+
+  const providers = new Map();
+  for (const p of searches.flatMap((s) => s.providers)) {
+    const seen = providers.get(p.name);
+    if (!seen) {
+      providers.set(p.name, { ...p });
+      continue;
+    }
+    seen.count = (seen.count || 0) + (p.count || 0);
+    seen.ms = Math.max(seen.ms || 0, p.ms || 0);
+    if (seen.status !== "ok" && p.status === "ok") {
+      seen.status = "ok";
+      delete seen.reason;
+    }
+  }
+
+  const caches = searches.map((s) => s.cache);
+  const oldest = (key) =>
+    caches.map((c) => c[key]).filter(Boolean).sort((a, b) => new Date(a) - new Date(b))[0] || null;
+
+  return {
+    flights: searches.flatMap((s) => s.flights),
+    providers: [...providers.values()],
+    partial: searches.some((s) => s.partial),
+    cache: {
+      hit: caches.every((c) => c.hit),
+      ...(caches.some((c) => c.refreshed) ? { refreshed: true } : {}),
+      storedAt: oldest("storedAt"),
+      expiresAt: oldest("expiresAt"),
+    },
+  };
+}
+
+module.exports = {
+  expandRoute,
+  mergeRouteSearches,
+  RADIUS_KM,
+};
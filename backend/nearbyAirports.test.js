@@ -0,0 +1,50 @@
+// backend/nearbyAirports.test.js
+// Route expansion for "Include nearby airports" (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { expandRoute } = require("./nearbyAirports");
+
+const pairs = (expanded) => expanded.routes.map((r) => `${r.originCode}-${r.destinationCode}`);
+
+test("expands the destination to its city and nearby airports, requested pair first", () => {
+  const expanded = expandRoute({ originCode: "DEL", destinationCode: "DXB", nearby: true });
+  assert.equal(pairs(expanded)[0], "DEL-DXB");
+  assert.deepEqual([...pairs(expanded)].sort(), ["DEL-DWC", "DEL-DXB", "DEL-SHJ"]);
+  assert.deepEqual(expanded.origins, ["DEL"]);
+});
+
+test("searches only the requested pair without the option", () => {
+  assert.deepEqual(pairs(expandRoute({ originCode: "DEL", destinationCode: "DXB" })), ["DEL-DXB"]);
+});
+
+test("never pairs airports of the same city, or airports near both ends", () => {
+  // DXB and SHJ are 18 km apart: expanding both ends yields DXB/DWC/SHJ on
+  // each side, and none of those pairs is a trip
+  const expanded = expandRoute({ originCode: "DXB", destinationCode: "SHJ", nearby: true });
+  assert.deepEqual(pairs(expanded), ["DXB-SHJ"]);
+  assert.ok(!pairs(expanded).includes("DXB-DWC"));
+  assert.ok(!pairs(expanded).includes("DWC-DXB"));
+
+  for (const { routes } of [
+    expandRoute({ originCode: "DXB", destinationCode: "IKA", nearby: true }),
+    expandRoute({ originCode: "SAW", destinationCode: "DXB", nearby: true }),
+  ]) {
+    for (const r of routes) {
+      assert.notDeepEqual(
+        [r.originCode, r.destinationCode].sort(),
+        ["DWC", "DXB"],
+        "same-city pair searched"
+      );
+      assert.notDeepEqual([r.originCode, r.destinationCode].sort(), ["IKA", "THR"]);
+      assert.notDeepEqual([r.originCode, r.destinationCode].sort(), ["IST", "SAW"]);
+    }
+  }
+});
+
+test("keeps an explicitly requested same-city pair", () => {
+  assert.deepEqual(pairs(expandRoute({ originCode: "IST", destinationCode: "SAW", nearby: true })), [
+    "IST-SAW",
+  ]);
+});
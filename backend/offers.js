@@ -0,0 +1,266 @@
+// backend/offers.js
+// Offer store: every flight a fresh search returned, one search_runs row per
+// search and one offers row per flight (migration 008). price_history only
+// keeps each search's min/avg/max; this keeps the flights, so one flight's
+// fare can be followed over time.
+//
+// Old runs are rolled up and deleted by the retention job (retention.js).
+//
+// Fare trajectory: for a flight number and local departure date, the
+// cheapest offer per search run whose first segment is that flight.
+// Round-trip fares include the return flight, so a trajectory is either
+// one-way (default) or for one return date; family searches are left out
+// and prices are per adult.
+
+const { all, transaction } = require("./db");
+const { getConverter } = require("./rates");
+const { flightKey } = require("./itinerary");
+const log = require("./logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** "EK 511" → "EK511" */
+function compactFlightNumber(fn) {
+  return fn ? String(fn).replace(/\s+/g, "").toUpperCase().slice(0, 10) : null;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* ----------------------------------------------------------
+   Save
+---------------------------------------------------------- */
+
+/**
+ * Store a fresh search's flights. Never throws: offers are a record, not
+ * part of answering the search.
+ * Returns { runId, offers } or null when nothing was stored.
+ */
+async function saveOffers({
+  originCode,
+  destinationCode,
+  departureDate,
+  returnDate,
+  cabin,
+  passengers = {},
+  currency,
+  partial = false,
+  flights,
+}) {
+  if (!process.env.DATABASE_URL || !flights?.length) return null;
+
+  try {
+    // Canonical copy; unknown currency → stored as observed only
+    let canonical = null;
+    try {
+      const conv = await getConverter();
+      if (conv.rate(conv.canonicalCurrency, currency)) {
+        canonical = {
+          currency: conv.canonicalCurrency,
+          rateId: conv.rateId(currency),
+          convert: (n) => conv.convert(n, currency, conv.canonicalCurrency),
+        };
+      }
+    } catch (err) {
+      log.error("Offer currency conversion failed", { err });
+    }
+
+    const runId = await transaction(async (client) => {
+      const {
+        rows: [runRow],
+      } = await client.query(
+        `
+        INSERT INTO search_runs
+          (origin, destination, departure_date, return_date, cabin,
+           adults, children, infants_in_seat, infants_on_lap,
+           currency, canonical_currency, fx_rate_id, partial, offer_count)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+        RETURNING id
+      `,
+        [
+          originCode,
+          destinationCode,
+          departureDate,
+          returnDate || null,
+          cabin || null,
+          passengers.adults ?? 1,
+          passengers.children ?? 0,
+          passengers.infantsInSeat ?? 0,
+          passengers.infantsOnLap ?? 0,
+          currency || null,
+          canonical?.currency ?? null,
+          canonical?.rateId ?? null,
+          !!partial,
+          flights.length,
+        ]
+      );
+
+      const column = (fn) => flights.map(fn);
+      await client.query(
+        `
+        INSERT INTO offers
+          (run_id, provider, carrier_code, airline, flight_number, depart_date,
+           depart_time, arrival_time, origin, destination, stops,
+           duration_minutes, itinerary_key, price, price_canonical)
+        SELECT $1::bigint, u.*
+        FROM unnest(
+          $2::varchar[], $3::varchar[], $4::varchar[], $5::varchar[], $6::date[],
+          $7::timestamp[], $8::timestamp[], $9::varchar[], $10::varchar[], $11::smallint[],
+          $12::int[], $13::text[], $14::numeric[], $15::numeric[]
+        ) AS u
+      `,
+        [
+          runRow.id,
+          column((f) => f.source || null),
+          column((f) => f.carrierCode || null),
+          column((f) => (f.airline ? String(f.airline).slice(0, 100) : null)),
+          column((f) => compactFlightNumber(f.flightNumber)),
+          column((f) => f.departTime?.slice(0, 10) || null),
+          column((f) => f.departTime || null),
+          column((f) => f.arrivalTime || null),
+          column((f) => f.origin || null),
+          column((f) => f.destination || null),
+          column((f) => f.stops ?? null),
+          column((f) => f.durationMinutes ?? null),
+          column((f) => flightKey(f)),
+          column((f) => f.price),
+          column((f) => (canonical ? canonical.convert(f.price) : null)),
+        ]
+      );
+      return runRow.id;
+    });
+
+    return { runId: Number(runId), offers: flights.length };
+  } catch (err) {
+    log.error("Saving offers failed", { err });
+    return null;
+  }
+}
+
+/* ----------------------------------------------------------
+   Fare trajectory
+---------------------------------------------------------- */
+
+/**
+ * One flight's fare over time.
+ * `flightNumber` ("EK511" or "EK 511") and `date` (local departure date) are
+ * required; `currency` defaults to the canonical one. `cabin`, `origin`,
+ * `destination` narrow the offers; `returnDate` switches to round trips
+ * returning that day.
+ * Returns { flightNumber, date, currency, points[], summary }.
+ */
+async function fareTrajectory({
+  flightNumber,
+  date,
+  currency,
+  cabin,
+  origin,
+  destination,
+  returnDate,
+}) {
+  const rows = await all(
+    `
+    SELECT DISTINCT ON (r.id)
+           r.searched_at,
+           r.cabin,
+           r.adults,
+           r.currency,
+           r.canonical_currency,
+           o.provider,
+           o.airline,
+           o.carrier_code,
+           o.origin,
+           o.destination,
+           o.stops,
+           o.duration_minutes,
+           to_char(o.depart_time, 'YYYY-MM-DD"T"HH24:MI')  AS depart_time,
+           to_char(o.arrival_time, 'YYYY-MM-DD"T"HH24:MI') AS arrival_time,
+           o.price,
+           o.price_canonical
+    FROM offers o
+    JOIN search_runs r ON r.id = o.run_id
+    WHERE o.flight_number = $1
+      AND o.depart_date = $2::date
+      AND r.children = 0 AND r.infants_in_seat = 0 AND r.infants_on_lap = 0
+      AND ($3::text IS NULL OR r.cabin = $3)
+      AND ($4::text IS NULL OR o.origin = $4)
+      AND ($5::text IS NULL OR o.destination = $5)
+      AND (r.return_date = $6::date OR ($6::date IS NULL AND r.return_date IS NULL))
+    ORDER BY r.id, o.price
+  `,
+    [
+      compactFlightNumber(flightNumber),
+      date,
+      cabin || null,
+      origin || null,
+      destination || null,
+      returnDate || null,
+    ]
+  );
+
+  const conv = await getConverter();
+  const target = currency || conv.canonicalCurrency;
+
+  // Canonical price when we have one, else the observed price if it's
+  // already in the requested currency
+  const inTarget = (r) => {
+    if (r.price_canonical !== null && r.canonical_currency) {
+      return conv.convert(Number(r.price_canonical), r.canonical_currency, target);
+    }
+    return r.currency === target ? Number(r.price) : null;
+  };
+
+  const departure = Date.parse(`${date}T00:00:00Z`);
+  const points = rows
+    .map((r) => {
+      const total = inTarget(r);
+      if (total === null) return null;
+      const searchedAt = new Date(r.searched_at);
+      const searchDay = Date.parse(`${searchedAt.toISOString().slice(0, 10)}T00:00:00Z`);
+      return {
+        searchedAt: searchedAt.toISOString(),
+        daysUntilDeparture: Math.round((departure - searchDay) / DAY_MS),
+        price: round2(total / (r.adults || 1)),
+        provider: r.provider,
+        airline: r.airline,
+        carrierCode: r.carrier_code,
+        origin: r.origin,
+        destination: r.destination,
+        stops: r.stops,
+        durationMinutes: r.duration_minutes,
+        departTime: r.depart_time,
+        arrivalTime: r.arrival_time,
+        cabin: r.cabin,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.searchedAt.localeCompare(b.searchedAt));
+
+  const prices = points.map((p) => p.price);
+  const first = prices[0];
+  const last = prices[prices.length - 1];
+
+  return {
+    flightNumber: compactFlightNumber(flightNumber),
+    date,
+    returnDate: returnDate || null,
+    currency: target,
+    points,
+    summary: points.length
+      ? {
+          observations: points.length,
+          minPrice: Math.min(...prices),
+          maxPrice: Math.max(...prices),
+          firstPrice: first,
+          lastPrice: last,
+          change: round2(last - first),
+          changePercent: first ? Math.round(((last - first) / first) * 1000) / 10 : null,
+        }
+      : null,
+  };
+}
+
+module.exports = {
+  saveOffers,
+  fareTrajectory,
+  compactFlightNumber,
+};
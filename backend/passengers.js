@@ -0,0 +1,58 @@
+// backend/passengers.js
+// Passenger mix: counts per traveller type + the airline rules every
+// provider enforces anyway, checked up front so users get a clear message.
+// The rules themselves live in shared/validation.js so the form uses them too.
+//
+//   adults          12+
+//   children        2–11, own seat
+//   infantsInSeat   under 2, own seat
+//   infantsOnLap    under 2, on an adult's lap
+
+const { MAX_SEATED, validatePassengers } = require("../shared/validation");
+
+/** API field → Amadeus travelerType */
+const TRAVELER_TYPES = {
+  adults: "ADULT",
+  children: "CHILD",
+  infantsInSeat: "SEATED_INFANT",
+  infantsOnLap: "HELD_INFANT",
+};
+
+/**
+ * Validate a passenger mix.
+ * `input` is { adults, children, infantsInSeat, infantsOnLap }; missing
+ * adults fall back to `fallbackAdults` (the old `travelers` field).
+ * Returns { passengers, errors } — errors are field errors whose paths
+ * start with `prefix`.
+ */
+function parsePassengers(input = {}, { fallbackAdults = 1, prefix = "passengers." } = {}) {
+  const adults = [undefined, null, ""].includes(input.adults) ? fallbackAdults : input.adults;
+  const { values, errors } = validatePassengers({ ...input, adults }, { prefix });
+  return { passengers: values, errors };
+}
+
+/** Travelers taking a seat (lap infants don't) */
+function seatedCount({ adults = 1, children = 0, infantsInSeat = 0 }) {
+  return adults + children + infantsInSeat;
+}
+
+/** Amadeus traveler types present in the mix, e.g. ["ADULT", "CHILD"] */
+function travelerTypesOf(passengers) {
+  return Object.entries(TRAVELER_TYPES)
+    .filter(([field]) => (passengers[field] || 0) > 0)
+    .map(([, type]) => type);
+}
+
+/** Anyone other than adults? */
+function hasNonAdults(passengers) {
+  return travelerTypesOf(passengers).some((t) => t !== "ADULT");
+}
+
+module.exports = {
+  TRAVELER_TYPES,
+  MAX_SEATED,
+  parsePassengers,
+  seatedCount,
+  travelerTypesOf,
+  hasNonAdults,
+};
@@ -0,0 +1,192 @@
+// backend/priceScore.js
+// "Is this a good price?": each fare of a search scored against the fares
+// stored for the same route (offers.js), so CHEAP means cheap compared with
+// what we've seen before, not just within one search.
+//
+// Comparable fares: adult-only runs for the same origin, destination, cabin
+// and trip type (one-way / round), departure month, and days-to-departure
+// bucket, per adult, in the canonical currency. The same departure date
+// searched in the last day is left out, so a search (or a cached replay of
+// it) isn't scored against its own fares.
+//
+// Offers past their retention period live on in offer_rollups (retention.js)
+// as one row per flight and day / week; each counts `samples` times at its
+// average fare, with days to departure measured from the period start.
+//
+// The distribution comes back from SQL as 99 percentile cut points; a fare's
+// score is the share of cut points above it ("cheaper than 85% of fares
+// we've seen"). Below PRICE_SCORE_MIN_SAMPLES fares there is no score, and
+// the label gets vaguer the fewer fares there are.
+
+const { get } = require("./db");
+const { getConverter } = require("./rates");
+const { hasNonAdults } = require("./passengers");
+const log = require("./logger");
+
+const MIN_SAMPLES = Number(process.env.PRICE_SCORE_MIN_SAMPLES) || 30;
+
+/** Days until departure → comparison bucket */
+const BUCKETS = [
+  { min: 0, max: 7, label: "0–7 days" },
+  { min: 8, max: 14, label: "8–14 days" },
+  { min: 15, max: 30, label: "15–30 days" },
+  { min: 31, max: 60, label: "31–60 days" },
+  { min: 61, max: 120, label: "61–120 days" },
+  { min: 121, max: 9999, label: "over 120 days" },
+];
+
+const CUTS = Array.from({ length: 99 }, (_, i) => (i + 1) / 100);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function bucketFor(days) {
+  return BUCKETS.find((b) => days <= b.max) || BUCKETS[BUCKETS.length - 1];
+}
+
+/** Fewer fares → rounder numbers and an "about" */
+function confidenceFor(samples) {
+  if (samples >= 500) return "high";
+  if (samples >= 100) return "medium";
+  return "low";
+}
+
+/** Sample size and the 99 cut points of comparable stored fares */
+async function loadDistribution({
+  originCode,
+  destinationCode,
+  departureDate,
+  returnDate,
+  cabin,
+  bucket,
+  canonicalCurrency,
+}) {
+  const row = await get(
+    `
+    WITH fares AS (
+      SELECT o.price_canonical / r.adults AS fare
+      FROM offers o
+      JOIN search_runs r ON r.id = o.run_id
+      WHERE r.origin = $1
+        AND r.destination = $2
+        AND EXTRACT(MONTH FROM r.departure_date) = EXTRACT(MONTH FROM $3::date)
+        AND (r.departure_date - r.searched_at::date) BETWEEN $4 AND $5
+        AND (r.return_date IS NULL) = ($6::date IS NULL)
+        AND COALESCE(r.cabin, 'ECONOMY') = COALESCE($7, 'ECONOMY')
+        AND r.children = 0 AND r.infants_in_seat = 0 AND r.infants_on_lap = 0
+        AND r.canonical_currency = $8
+        AND o.price_canonical > 0
+        AND NOT (
+          r.departure_date = $3::date
+          AND r.return_date IS NOT DISTINCT FROM $6::date
+          AND r.searched_at > NOW() - INTERVAL '1 day'
+        )
+      UNION ALL
+      SELECT x.avg_price
+      FROM offer_rollups x
+      CROSS JOIN generate_series(1, x.samples)
+      WHERE x.origin = $1
+        AND x.destination = $2
+        AND EXTRACT(MONTH FROM x.depart_date) = EXTRACT(MONTH FROM $3::date)
+        AND (x.depart_date - x.period_start) BETWEEN $4 AND $5
+        AND (x.return_date IS NULL) = ($6::date IS NULL)
+        AND COALESCE(x.cabin, 'ECONOMY') = COALESCE($7, 'ECONOMY')
+        AND x.canonical
+        AND x.currency = $8
+        AND x.avg_price > 0
+    )
+    SELECT COUNT(*)::int AS samples,
+           percentile_cont($9::float8[]) WITHIN GROUP (ORDER BY fare) AS cuts
+    FROM fares
+  `,
+    [
+      originCode,
+      destinationCode,
+      departureDate,
+      bucket.min,
+      bucket.max,
+      returnDate || null,
+      cabin || null,
+      canonicalCurrency,
+      CUTS,
+    ]
+  );
+  return { samples: row?.samples || 0, cuts: (row?.cuts || []).map(Number) };
+}
+
+/** { percentile, tier, label, confidence, … } for one per-adult canonical fare */
+function scoreFare(fare, { samples, cuts }, basis) {
+  const cheaperThan = Math.round((cuts.filter((c) => c > fare).length / cuts.length) * 100);
+  const confidence = confidenceFor(samples);
+  const tier =
+    cheaperThan >= 75 ? "GREAT" : cheaperThan >= 50 ? "GOOD" : cheaperThan >= 25 ? "FAIR" : "HIGH";
+
+  // Low confidence: nearest 10% (never "about 100%") and "about"
+  const shown = (n) => (confidence === "low" ? Math.min(90, Math.round(n / 10) * 10) : n);
+  const about = confidence === "low" ? "about " : "";
+  let label;
+  if (cheaperThan >= 99) label = "Among the cheapest fares we've seen";
+  else if (cheaperThan <= 1) label = "Among the priciest fares we've seen";
+  else if (cheaperThan >= 50) label = `Cheaper than ${about}${shown(cheaperThan)}% of fares we've seen`;
+  else label = `Pricier than ${about}${shown(100 - cheaperThan)}% of fares we've seen`;
+
+  return { percentile: cheaperThan, tier, label, confidence, samples, basis };
+}
+
+/**
+ * Attach `priceScore` to each flight (a copy; cached flights stay
+ * untouched). The score is null for family searches, without history or a
+ * database, or when the search currency has no rate.
+ */
+async function scoreFlights({
+  originCode,
+  destinationCode,
+  departureDate,
+  returnDate,
+  cabin,
+  currency,
+  passengers,
+  flights,
+}) {
+  const unscored = () => flights.map((f) => ({ ...f, priceScore: null }));
+  if (!process.env.DATABASE_URL || !flights.length || hasNonAdults(passengers)) {
+    return unscored();
+  }
+
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    const days = Math.max(0, Math.round((Date.parse(departureDate) - Date.parse(today)) / DAY_MS));
+    const bucket = bucketFor(days);
+
+    const conv = await getConverter();
+    if (!conv.rate(conv.canonicalCurrency, currency)) return unscored();
+
+    const distribution = await loadDistribution({
+      originCode,
+      destinationCode,
+      departureDate,
+      returnDate,
+      cabin,
+      bucket,
+      canonicalCurrency: conv.canonicalCurrency,
+    });
+    if (distribution.samples < MIN_SAMPLES) return unscored();
+
+    const basis = {
+      month: Number(departureDate.slice(5, 7)),
+      daysBeforeDeparture: bucket.label,
+      tripType: returnDate ? "round" : "oneway",
+      cabin: cabin || "ECONOMY",
+    };
+    const adults = passengers?.adults || 1;
+    return flights.map((f) => {
+      const fare = conv.convert(f.price / adults, currency, conv.canonicalCurrency);
+      return { ...f, priceScore: fare === null ? null : scoreFare(fare, distribution, basis) };
+    });
+  } catch (err) {
+    log.error("Price scoring failed", { err });
+    return unscored();
+  }
+}
+
+module.exports = {
+  scoreFlights,
+};
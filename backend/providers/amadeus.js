@@ -0,0 +1,61 @@
+// backend/providers/amadeus.js
+// Amadeus Self-Service flight-offers provider
+
+const {
+  auth,
+  isConfigured,
+  searchFlights,
+  searchMultiCityFlights,
+  normalizeAmadeusOffer,
+} = require("../amadeusClient");
+
+/** Amadeus has no deep link, so point at a Google search for the route */
+function googleSearchUrl({ originCode, destinationCode, departureDate, legs }) {
+  const query = legs?.length
+    ? `Multi-city flights ${legs
+        .map((l) => `${l.originCode} to ${l.destinationCode} on ${l.departureDate}`)
+        .join(", ")}`
+    : `Flights from ${originCode} to ${destinationCode} on ${departureDate}`;
+  return `https://www.google.com/search?q=${encodeURIComponent(query)}`;
+}
+
+module.exports = {
+  name: "amadeus",
+
+  capabilities: {
+    roundTrip: true,
+    multiCity: true,
+    passengerTypes: ["ADULT", "CHILD", "SEATED_INFANT", "HELD_INFANT"],
+    requiresCredentials: true,
+  },
+
+  isConfigured,
+
+  search(params, context) {
+    return params.legs?.length
+      ? searchMultiCityFlights(params, context)
+      : searchFlights(params, context);
+  },
+
+  normalize(raw, params) {
+    const bookingUrl = googleSearchUrl(params);
+    return (raw?.data || [])
+      .map((o) =>
+        normalizeAmadeusOffer(o, {
+          dictionaries: raw.dictionaries,
+          currency: params.currency,
+          bookingUrl,
+          multiCity: !!params.legs?.length,
+        })
+      )
+      .filter(Boolean);
+  },
+
+  async health() {
+    if (!isConfigured()) {
+      return { ok: false, detail: "AMADEUS_CLIENT_ID / SECRET not set" };
+    }
+    await auth();
+    return { ok: true, detail: "OAuth token available" };
+  },
+};
@@ -0,0 +1,236 @@
+// backend/providers/index.js
+// Flight provider registry.
+//
+// Every provider is a plain object:
+//   name            unique id, also used in FLIGHT_PROVIDERS and `flight.source`
+//   capabilities    { roundTrip, multiCity, passengerTypes, requiresCredentials }
+//   isConfigured()  → boolean (credentials present etc.)
+//   search(params, context)
+//                   → raw provider response (throws on failure)
+//                     params.legs is set for multi-city searches;
+//                     children / infantsInSeat / infantsOnLap for families;
+//                     context.requestId should be forwarded upstream
+//                     where the API accepts a correlation id, and
+//                     context.signal passed to the HTTP call (see
+//                     httpClient.js) so the search deadline can cancel it
+//   normalize(raw, params) → normalized flights (see itinerary.js)
+//   health()        → { ok, detail }
+//
+// Enable providers with FLIGHT_PROVIDERS=amadeus,serpapi (default) or
+// FLIGHT_PROVIDERS=mock for offline development.
+//
+// Each run reports a status: ok | timeout | auth_failed | rate_limited |
+// error | skipped (reason not_configured / unsupported / circuit_open /
+// budget_exhausted).
+//
+// A search waits at most SEARCH_DEADLINE_MS for all providers; whoever
+// hasn't answered by then is cancelled and reported as timeout (reason
+// "deadline"), and the search goes ahead with the others' flights.
+
+require("dotenv").config();
+
+const log = require("../logger");
+const { providerRequests, providerDuration, providerResults } = require("../metrics");
+const { travelerTypesOf } = require("../passengers");
+const amadeus = require("./amadeus");
+const serpapi = require("./serpapi");
+const mock = require("./mock");
+
+const registry = new Map();
+
+function registerProvider(provider) {
+  if (!provider?.name) throw new Error("Provider needs a name");
+  registry.set(provider.name, provider);
+}
+
+registerProvider(amadeus);
+registerProvider(serpapi);
+registerProvider(mock);
+
+const DEFAULT_PROVIDERS = "amadeus,serpapi";
+const SEARCH_DEADLINE_MS = Number(process.env.SEARCH_DEADLINE_MS) || 25000;
+
+/** Names listed in FLIGHT_PROVIDERS, in order */
+function configuredProviderNames() {
+  return (process.env.FLIGHT_PROVIDERS || DEFAULT_PROVIDERS)
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/** Enabled providers that exist in the registry */
+function getEnabledProviders() {
+  return configuredProviderNames()
+    .map((name) => {
+      const p = registry.get(name);
+      if (!p) log.warn("Unknown flight provider — ignoring", { provider: name });
+      return p;
+    })
+    .filter(Boolean);
+}
+
+function getProvider(name) {
+  return registry.get(name) || null;
+}
+
+/** Failure status from an upstream error (axios or otherwise) */
+function failureStatus(err) {
+  const status = err.response?.status;
+  if (["ECONNABORTED", "ETIMEDOUT", "ERR_CANCELED"].includes(err.code)) return "timeout";
+  if (status === 401 || status === 403) return "auth_failed";
+  if (status === 429) return "rate_limited";
+  return "error";
+}
+
+/** A run without its flights, for meta.providers */
+function providerSummary({ flights, ...summary }) {
+  return { ...summary, count: flights.length };
+}
+
+/** Count one finished run in the provider metrics */
+function record(result) {
+  providerRequests.inc({ provider: result.name, status: result.status });
+  if (result.status === "skipped") return;
+  providerDuration.observe({ provider: result.name }, result.ms / 1000);
+  providerResults.inc({ provider: result.name }, result.flights.length);
+}
+
+/**
+ * Run one provider end-to-end: search + normalize.
+ * Never throws — failures come back as a status entry.
+ */
+async function runProvider(provider, params, { signal } = {}) {
+  const started = Date.now();
+
+  if (!provider.isConfigured()) {
+    return {
+      name: provider.name,
+      status: "skipped",
+      reason: "not_configured",
+      flights: [],
+      ms: 0,
+    };
+  }
+
+  const missingType = travelerTypesOf(params).find(
+    (t) => !provider.capabilities.passengerTypes.includes(t)
+  );
+  if ((params.legs?.length && !provider.capabilities.multiCity) || missingType) {
+    return {
+      name: provider.name,
+      status: "skipped",
+      reason: "unsupported",
+      flights: [],
+      ms: 0,
+    };
+  }
+
+  try {
+    const raw = await provider.search(params, { requestId: log.currentRequestId(), signal });
+    const flights = provider.normalize(raw, params) || [];
+    const ms = Date.now() - started;
+    log.info("Provider search finished", { provider: provider.name, ms, count: flights.length });
+    return {
+      name: provider.name,
+      status: "ok",
+      flights,
+      ms,
+    };
+  } catch (err) {
+    if (err.code === "ECIRCUITOPEN" || err.code === "EBUDGET") {
+      return {
+        name: provider.name,
+        status: "skipped",
+        reason: err.code === "EBUDGET" ? "budget_exhausted" : "circuit_open",
+        error: err.message,
+        flights: [],
+        ms: 0,
+      };
+    }
+    const status = failureStatus(err);
+    const ms = Date.now() - started;
+    log.warn("Provider search failed", { provider: provider.name, status, ms, err });
+    return {
+      name: provider.name,
+      status,
+      error: err.message,
+      flights: [],
+      ms,
+    };
+  }
+}
+
+/**
+ * Fan out to every enabled provider in parallel, bounded by the search
+ * deadline (or a shorter `deadlineMs`). Returns all normalized flights, a
+ * per-provider result summary and `partial` (some provider missed the
+ * deadline).
+ * `onResult(result)` is called as each provider finishes (streaming search).
+ */
+async function searchAllProviders(params, { deadlineMs, onResult } = {}) {
+  deadlineMs = Math.min(deadlineMs ?? SEARCH_DEADLINE_MS, SEARCH_DEADLINE_MS);
+  const providers = getEnabledProviders();
+  const controller = new AbortController();
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve(null);
+    }, deadlineMs);
+  });
+
+  const results = await Promise.all(
+    providers.map(async (p) => {
+      const started = Date.now();
+      const result = await Promise.race([
+        runProvider(p, params, { signal: controller.signal }),
+        deadline,
+      ]);
+      const final = result || {
+        name: p.name,
+        status: "timeout",
+        reason: "deadline",
+        error: `No answer within ${deadlineMs} ms`,
+        flights: [],
+        ms: Date.now() - started,
+      };
+      try {
+        onResult?.(final);
+      } catch (err) {
+        log.error("Provider result callback failed", { provider: p.name, err });
+      }
+      return final;
+    })
+  );
+  clearTimeout(timer);
+  results.forEach(record);
+
+  return {
+    partial: results.some((r) => r.reason === "deadline"),
+    flights: results.flatMap((r) => r.flights),
+    providers: results.map(providerSummary),
+  };
+}
+
+/** Health of every enabled provider */
+async function providerHealth() {
+  const providers = getEnabledProviders();
+  return Promise.all(
+    providers.map(async (p) => {
+      try {
+        return { name: p.name, ...(await p.health()) };
+      } catch (err) {
+        return { name: p.name, ok: false, detail: err.message };
+      }
+    })
+  );
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getEnabledProviders,
+  searchAllProviders,
+  providerSummary,
+  providerHealth,
+};
@@ -0,0 +1,267 @@
+// backend/providers/mock.js
+// Deterministic fixture-backed provider for offline development.
+//
+// Builds Amadeus-shaped offers from fixtures/mock-flights.json and runs them
+// through the real Amadeus normalizer. The same search on the same day always
+// returns the same flights and prices; prices still vary by date, weekday,
+// cabin and days until departure so the advisor and history have something
+// to learn from.
+
+const fs = require("fs");
+const path = require("path");
+
+const { normalizeAmadeusOffer } = require("../amadeusClient");
+
+const fixtures = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "fixtures", "mock-flights.json"), "utf8")
+);
+
+/** FNV-1a string hash → float in [0, 1) */
+function seeded(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) / 0x100000000;
+}
+
+/** "2026-12-01" + "04:15" + 95 min → "2026-12-01T05:50:00" */
+function addMinutes(date, time, minutes) {
+  const d = new Date(`${date}T${time}:00Z`);
+  d.setUTCMinutes(d.getUTCMinutes() + minutes);
+  return d.toISOString().slice(0, 19);
+}
+
+function toIsoDuration(minutes) {
+  return `PT${Math.floor(minutes / 60)}H${minutes % 60}M`;
+}
+
+function routeInfo(origin, destination) {
+  const direct =
+    fixtures.routes[`${origin}-${destination}`] ||
+    fixtures.routes[`${destination}-${origin}`];
+
+  if (direct) return direct;
+
+  // Unknown route: stable pseudo-random block time and fare
+  const r = seeded(`${origin}${destination}`);
+  return {
+    baseFare: Math.round(fixtures.defaultBaseFare * (0.7 + r * 0.8)),
+    blockMinutes: Math.round(fixtures.defaultBlockMinutes * (0.5 + r)),
+  };
+}
+
+/** Price multiplier for one departure date */
+function dateFactor(key, date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  const dow = d.getUTCDay();
+  const weekend = dow === 5 || dow === 0 ? 1.1 : 1;
+
+  const days = Math.round((d - new Date(new Date().toISOString().slice(0, 10))) / 86400000);
+  const proximity = days < 7 ? 1.35 : days < 21 ? 1.15 : 1;
+
+  return (0.85 + seeded(`${key}${date}`) * 0.35) * weekend * proximity;
+}
+
+function buildSegments(template, { from, to, date, blockMinutes, flightSeed }) {
+  const number = String(100 + Math.floor(seeded(flightSeed) * 800));
+
+  if (!template.via || template.via === from || template.via === to) {
+    return [
+      {
+        carrierCode: template.carrierCode,
+        number,
+        departure: { iataCode: from, at: addMinutes(date, template.depart, 0) },
+        arrival: { iataCode: to, at: addMinutes(date, template.depart, blockMinutes) },
+        duration: toIsoDuration(blockMinutes),
+      },
+    ];
+  }
+
+  // One stop through the carrier's hub; detours add ~10% per leg
+  const leg = Math.round(blockMinutes * 0.55) + 20;
+  const layover = template.layoverMinutes || 120;
+  const secondDepart = leg + layover;
+
+  return [
+    {
+      carrierCode: template.carrierCode,
+      number,
+      departure: { iataCode: from, at: addMinutes(date, template.depart, 0) },
+      arrival: { iataCode: template.via, at: addMinutes(date, template.depart, leg) },
+      duration: toIsoDuration(leg),
+    },
+    {
+      carrierCode: template.carrierCode,
+      number: String(Number(number) + 1),
+      departure: { iataCode: template.via, at: addMinutes(date, template.depart, secondDepart) },
+      arrival: { iataCode: to, at: addMinutes(date, template.depart, secondDepart + leg) },
+      duration: toIsoDuration(leg),
+    },
+  ];
+}
+
+function itineraryFrom(segments) {
+  const first = segments[0].departure.at;
+  const last = segments[segments.length - 1].arrival.at;
+  const minutes = Math.round((Date.parse(`${last}Z`) - Date.parse(`${first}Z`)) / 60000);
+  return { duration: toIsoDuration(minutes), segments };
+}
+
+/** One-way, round trip and multi-city all become a list of legs */
+function legsFor({ originCode, destinationCode, departureDate, returnDate, legs }) {
+  if (legs?.length) return legs;
+  const list = [{ originCode, destinationCode, departureDate }];
+  if (returnDate) {
+    list.push({
+      originCode: destinationCode,
+      destinationCode: originCode,
+      departureDate: returnDate,
+      isReturn: true,
+    });
+  }
+  return list;
+}
+
+/** Traveler types in Amadeus order, one entry per passenger */
+function travelerTypes({ adults = 1, children = 0, infantsInSeat = 0, infantsOnLap = 0 }) {
+  return [
+    ...Array(adults).fill("ADULT"),
+    ...Array(children).fill("CHILD"),
+    ...Array(infantsInSeat).fill("SEATED_INFANT"),
+    ...Array(infantsOnLap).fill("HELD_INFANT"),
+  ];
+}
+
+/** Amadeus fareDetailsBySegment for every segment of an offer */
+function fareDetails(template, segments, cabin) {
+  const bookingClass = { ECONOMY: "V", PREMIUM_ECONOMY: "W", BUSINESS: "J", FIRST: "F" }[cabin] || "V";
+  return segments.map((s) => ({
+    segmentId: s.id,
+    cabin,
+    fareBasis: `${bookingClass}${template.carrierCode}${template.brand.slice(0, 3)}`.toUpperCase(),
+    brandedFare: template.brand.replace(/ /g, ""),
+    brandedFareLabel: template.brand,
+    class: bookingClass,
+    includedCheckedBags: template.checkedBags,
+    includedCabinBags: { quantity: 1 },
+    amenities: [
+      { description: "PRE RESERVED SEAT ASSIGNMENT", isChargeable: template.checkedBags.quantity === 0, amenityType: "PRE_RESERVED_SEAT" },
+      { description: "SNACK", isChargeable: false, amenityType: "MEAL" },
+    ],
+  }));
+}
+
+/** Amadeus-shaped response for one search */
+function buildMockResponse(params) {
+  const { cabin = "ECONOMY", currency = "USD" } = params;
+  const travelers = travelerTypes(params);
+  const legs = legsFor(params);
+  const rate = fixtures.currencyRates[currency] || 1;
+  const cabinFactor = fixtures.cabinFactors[cabin] || 1;
+
+  const data = fixtures.templates.map((template, idx) => {
+    let perAdult = 0;
+
+    const itineraries = legs.map((leg, legIdx) => {
+      const route = routeInfo(leg.originCode, leg.destinationCode);
+      const routeKey = `${leg.originCode}-${leg.destinationCode}`;
+
+      // Return legs leave ~7 hours later in the day than the outbound
+      let depart = template.depart;
+      if (leg.isReturn) {
+        const [h, m] = template.depart.split(":").map(Number);
+        depart = `${String((h + 7) % 24).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+      }
+
+      // Later legs of a trip are a little cheaper than standalone tickets
+      const discount = legIdx === 0 ? 1 : 0.9;
+      perAdult +=
+        route.baseFare *
+        template.fareFactor *
+        dateFactor(`${routeKey}${idx}`, leg.departureDate) *
+        discount;
+
+      return itineraryFrom(
+        buildSegments(
+          { ...template, depart },
+          {
+            from: leg.originCode,
+            to: leg.destinationCode,
+            date: leg.departureDate,
+            blockMinutes: route.blockMinutes,
+            flightSeed: `${routeKey}${template.carrierCode}`,
+          }
+        )
+      );
+    });
+
+    const adultFare = Math.round(perAdult * cabinFactor * rate);
+    const travelerPricings = travelers.map((travelerType, i) => ({
+      travelerId: String(i + 1),
+      travelerType,
+      price: {
+        currency,
+        total: Math.round(adultFare * fixtures.travelerFactors[travelerType]).toFixed(2),
+      },
+    }));
+    const total = travelerPricings
+      .reduce((sum, tp) => sum + Number(tp.price.total), 0)
+      .toFixed(2);
+
+    // Segment ids are unique per offer, like Amadeus
+    const segments = itineraries.flatMap((it) => it.segments);
+    segments.forEach((s, i) => (s.id = String(i + 1)));
+    const details = fareDetails(template, segments, cabin);
+    travelerPricings.forEach((tp) => (tp.fareDetailsBySegment = details));
+
+    return {
+      id: String(idx + 1),
+      source: "MOCK",
+      itineraries,
+      // Taxes and carrier surcharges are roughly a fifth of the total
+      price: { currency, total, grandTotal: total, base: (Number(total) * 0.8).toFixed(2) },
+      travelerPricings,
+    };
+  });
+
+  return { data, dictionaries: { carriers: {} } };
+}
+
+module.exports = {
+  name: "mock",
+
+  capabilities: {
+    roundTrip: true,
+    multiCity: true,
+    passengerTypes: ["ADULT", "CHILD", "SEATED_INFANT", "HELD_INFANT"],
+    requiresCredentials: false,
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  async search(params) {
+    return buildMockResponse(params);
+  },
+
+  normalize(raw, params) {
+    return (raw?.data || [])
+      .map((o) =>
+        normalizeAmadeusOffer(o, {
+          dictionaries: raw.dictionaries,
+          currency: params.currency,
+          bookingUrl: null,
+          multiCity: !!params.legs?.length,
+        })
+      )
+      .filter(Boolean)
+      .map((f) => ({ ...f, source: "mock" }));
+  },
+
+  async health() {
+    return { ok: true, detail: `${fixtures.templates.length} fixture templates` };
+  },
+};
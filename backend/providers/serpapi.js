@@ -0,0 +1,35 @@
+// backend/providers/serpapi.js
+// Google Flights via SerpApi
+
+const {
+  isConfigured,
+  fetchSerpFlights,
+  normalizeSerpResponse,
+} = require("../serpFlightsClient");
+
+module.exports = {
+  name: "serpapi",
+
+  capabilities: {
+    roundTrip: true,
+    multiCity: true,
+    passengerTypes: ["ADULT", "CHILD", "SEATED_INFANT", "HELD_INFANT"],
+    requiresCredentials: true,
+  },
+
+  isConfigured,
+
+  search(params, context) {
+    return fetchSerpFlights(params, context);
+  },
+
+  normalize(raw, params) {
+    return normalizeSerpResponse(raw || {}, params);
+  },
+
+  async health() {
+    return isConfigured()
+      ? { ok: true, detail: "SERPAPI_KEY configured" }
+      : { ok: false, detail: "SERPAPI_KEY not set" };
+  },
+};
@@ -0,0 +1,98 @@
+// backend/quota/budgets.js
+// Daily upstream-call budgets per flight provider.
+//
+// PROVIDER_DAILY_BUDGETS=amadeus:2000,serpapi:100 caps the HTTP calls each
+// provider's client makes per UTC day (retries and OAuth calls count).
+// Providers without an entry are unlimited. Once a provider's budget is
+// spent its calls fail with code EBUDGET until midnight UTC, so searches
+// carry on with the remaining providers — and with none left, from cache
+// only (see cachedSearch.js).
+//
+// Counts are kept in memory, seeded from provider_usage on the first call
+// of the day, so a restart doesn't hand out a fresh budget.
+
+const { recordProviderCall, storedProviderCalls, today } = require("./usage");
+const log = require("../logger");
+
+/** "amadeus:2000,serpapi:100" → { amadeus: 2000, serpapi: 100 } */
+function parseBudgets(str) {
+  return Object.fromEntries(
+    String(str || "")
+      .split(",")
+      .map((pair) => pair.split(":").map((p) => p.trim()))
+      .filter(([name, n]) => name && /^\d+$/.test(n || ""))
+      .map(([name, n]) => [name.toLowerCase(), Number(n)])
+  );
+}
+
+const BUDGETS = parseBudgets(process.env.PROVIDER_DAILY_BUDGETS);
+
+let day = null;
+let used = new Map();
+let seeding = null;
+
+/** Reset the counters when the UTC day changes, seeding them from the DB */
+function ensureToday() {
+  const now = today();
+  if (day === now) return seeding;
+
+  day = now;
+  used = new Map();
+  seeding = storedProviderCalls(now)
+    .then((stored) => {
+      for (const [name, calls] of Object.entries(stored)) {
+        used.set(name, (used.get(name) || 0) + calls);
+      }
+    })
+    .catch((err) => log.error("Loading provider usage failed", { err }));
+  return seeding;
+}
+
+function budgetExceededError(provider) {
+  const err = new Error(`${provider} daily call budget (${BUDGETS[provider]}) is used up`);
+  err.code = "EBUDGET";
+  return err;
+}
+
+/** Throws EBUDGET when `provider` has no calls left today */
+async function assertBudget(provider) {
+  await ensureToday();
+  if (provider in BUDGETS && (used.get(provider) || 0) >= BUDGETS[provider]) {
+    throw budgetExceededError(provider);
+  }
+}
+
+/** Count one upstream call */
+function chargeCall(provider) {
+  ensureToday();
+  used.set(provider, (used.get(provider) || 0) + 1);
+  recordProviderCall(provider);
+}
+
+/** Whether `provider` may still call upstream today (best effort, sync) */
+function hasBudget(provider) {
+  if (!(provider in BUDGETS)) return true;
+  return day !== today() || (used.get(provider) || 0) < BUDGETS[provider];
+}
+
+/** Today's budgets for `providers` and every budgeted provider: [{ provider, budget, used, remaining }] */
+async function budgetStatus(providers = []) {
+  await ensureToday();
+  return [...new Set([...providers, ...Object.keys(BUDGETS)])].map((provider) => {
+    const budget = BUDGETS[provider] ?? null;
+    const calls = used.get(provider) || 0;
+    return {
+      provider,
+      budget,
+      used: calls,
+      remaining: budget === null ? null : Math.max(0, budget - calls),
+    };
+  });
+}
+
+module.exports = {
+  assertBudget,
+  chargeCall,
+  hasBudget,
+  budgetStatus,
+};
@@ -0,0 +1,161 @@
+// backend/quota/rateLimit.js
+// Per-client rate limits for the API.
+//
+// A client is an API key (X-API-Key header, keys listed in
+// API_KEYS=name:key,name:key) or, without a key, the caller's IP. Each
+// limiter counts requests per client in fixed windows of
+// RATE_LIMIT_WINDOW_SECONDS and answers 429 with Retry-After once a client
+// is over its limit. Responses carry RateLimit-Limit / -Remaining / -Reset.
+//
+// Counters are per process; behind a proxy set TRUST_PROXY so req.ip is the
+// real caller.
+
+const crypto = require("crypto");
+const { recordClientUsage } = require("./usage");
+const { rateLimited } = require("../metrics");
+const { sendError } = require("../errors");
+
+const WINDOW_SECONDS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+/** key hash → key name; hashing keeps lookups from leaking timing */
+const API_KEYS = new Map(
+  String(process.env.API_KEYS || "")
+    .split(",")
+    .map((pair) => pair.trim().split(":"))
+    .filter(([name, key]) => name && key)
+    .map(([name, key]) => [sha256(key), name])
+);
+
+/** { kind: "key" | "ip", id, usage } or { error } for an unknown key */
+function identifyClient(req) {
+  const key = req.get("X-API-Key");
+  if (key) {
+    const name = API_KEYS.get(sha256(key));
+    if (!name) return { error: "Unknown API key." };
+    return { kind: "key", id: `key:${name}`, usage: `key:${name}` };
+  }
+  return { kind: "ip", id: `ip:${req.ip}`, usage: "anonymous" };
+}
+
+// "limiter|client" → { windowStart, count }
+const windows = new Map();
+
+// Drop finished windows now and then so the map doesn't grow forever
+setInterval(() => {
+  const cutoff = Date.now() - WINDOW_SECONDS * 1000;
+  for (const [k, w] of windows) if (w.windowStart < cutoff) windows.delete(k);
+}, WINDOW_SECONDS * 1000).unref();
+
+/** Count one request; → { allowed, remaining, resetSeconds } */
+function hit(key, limit) {
+  const now = Date.now();
+  const windowMs = WINDOW_SECONDS * 1000;
+  let w = windows.get(key);
+  if (!w || now - w.windowStart >= windowMs) {
+    w = { windowStart: now, count: 0 };
+    windows.set(key, w);
+  }
+  w.count += 1;
+  return {
+    allowed: w.count <= limit,
+    remaining: Math.max(0, limit - w.count),
+    resetSeconds: Math.max(1, Math.ceil((w.windowStart + windowMs - now) / 1000)),
+  };
+}
+
+/**
+ * Express middleware limiting each client to `perIp` / `perKey` requests per
+ * window. `track` counts the request in client_usage — set it on one
+ * limiter per route, or requests are counted twice; rejections always count.
+ * `key(req)` counts by something other than the client (an e-mail address);
+ * requests it returns nothing for pass.
+ */
+function rateLimit({ name, perIp, perKey, track = false, key }) {
+  return (req, res, next) => {
+    const client = identifyClient(req);
+    if (client.error) return sendError(res, 401, client.error);
+
+    const id = key ? key(req) : client.id;
+    if (!id) return next();
+
+    const limit = client.kind === "key" ? perKey : perIp;
+    const { allowed, remaining, resetSeconds } = hit(`${name}|${id}`, limit);
+
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(remaining),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+    recordClientUsage(client.usage, { requests: track ? 1 : 0, limited: allowed ? 0 : 1 });
+
+    if (!allowed) {
+      rateLimited.inc({ limiter: name, client: client.kind });
+      res.set("Retry-After", String(resetSeconds));
+      return sendError(res, 429, `Too many requests. Try again in ${resetSeconds} s.`, {
+        retryAfterSeconds: resetSeconds,
+      });
+    }
+
+    req.client = client;
+    next();
+  };
+}
+
+/** All API routes */
+const apiLimiter = rateLimit({
+  name: "api",
+  perIp: Number(process.env.RATE_LIMIT_API_PER_IP) || 300,
+  perKey: Number(process.env.RATE_LIMIT_API_PER_KEY) || 1200,
+  track: true,
+});
+
+/** Flight searches, which spend provider quota */
+const SEARCH_LIMITS = {
+  name: "search",
+  perIp: Number(process.env.RATE_LIMIT_SEARCH_PER_IP) || 20,
+  perKey: Number(process.env.RATE_LIMIT_SEARCH_PER_KEY) || 120,
+};
+const searchLimiter = rateLimit(SEARCH_LIMITS);
+
+/**
+ * Sign-in and sign-up: each attempt costs a scrypt hash, so a few per
+ * window per client, and per e-mail address on login so guessing one
+ * account's password from many IPs is slow too
+ */
+const AUTH_PER_IP = Number(process.env.RATE_LIMIT_AUTH_PER_IP) || 5;
+const LOGIN_PER_EMAIL = Number(process.env.RATE_LIMIT_LOGIN_PER_EMAIL) || 5;
+const authLimiter = rateLimit({ name: "auth", perIp: AUTH_PER_IP, perKey: AUTH_PER_IP });
+const loginEmailLimiter = rateLimit({
+  name: "login",
+  perIp: LOGIN_PER_EMAIL,
+  perKey: LOGIN_PER_EMAIL,
+  key: (req) => {
+    const email = req.body?.email;
+    return typeof email === "string" && email.trim() ? `email:${email.trim().toLowerCase()}` : null;
+  },
+});
+
+/**
+ * Extra upstream searches one request makes (flexible-date cells): each
+ * call takes one from the client's search window, and returns false once
+ * it is spent. No request (background jobs) → unlimited.
+ */
+function searchAllowance(req) {
+  if (!req) return () => true;
+  const client = req.client || identifyClient(req);
+  if (client.error) return () => false;
+  const limit = client.kind === "key" ? SEARCH_LIMITS.perKey : SEARCH_LIMITS.perIp;
+  return () => hit(`${SEARCH_LIMITS.name}|${client.id}`, limit).allowed;
+}
+
+module.exports = {
+  rateLimit,
+  apiLimiter,
+  searchLimiter,
+  authLimiter,
+  loginEmailLimiter,
+  searchAllowance,
+  identifyClient,
+};
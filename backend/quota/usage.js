@@ -0,0 +1,144 @@
+// backend/quota/usage.js
+// Daily usage counters: upstream calls per provider and API requests per
+// client. Increments are kept in memory and written to provider_usage /
+// client_usage every USAGE_FLUSH_SECONDS, so counting never adds a query to
+// a request. Without a database the counters live in memory only.
+
+const { all, run } = require("../db");
+const log = require("../logger");
+
+const FLUSH_SECONDS = Number(process.env.USAGE_FLUSH_SECONDS) || 15;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// "day|name" → count (pending, not yet flushed)
+const pendingProviders = new Map();
+// "day|client" → { requests, limited }
+const pendingClients = new Map();
+
+let timer = null;
+
+function scheduleFlush() {
+  if (timer || !process.env.DATABASE_URL) return;
+  timer = setTimeout(() => {
+    timer = null;
+    flushUsage().catch((err) => log.error("Usage flush failed", { err }));
+  }, FLUSH_SECONDS * 1000);
+  timer.unref();
+}
+
+function recordProviderCall(provider) {
+  const key = `${today()}|${provider}`;
+  pendingProviders.set(key, (pendingProviders.get(key) || 0) + 1);
+  scheduleFlush();
+}
+
+/** Add to a client's counters, e.g. { requests: 1 } or { limited: 1 } */
+function recordClientUsage(client, { requests = 0, limited = 0 }) {
+  const key = `${today()}|${client}`;
+  const entry = pendingClients.get(key) || { requests: 0, limited: 0 };
+  entry.requests += requests;
+  entry.limited += limited;
+  pendingClients.set(key, entry);
+  scheduleFlush();
+}
+
+/** Write pending increments; failed writes are put back for the next flush */
+async function flushUsage() {
+  if (!process.env.DATABASE_URL) return;
+
+  const providers = [...pendingProviders.entries()];
+  const clients = [...pendingClients.entries()];
+  pendingProviders.clear();
+  pendingClients.clear();
+
+  try {
+    if (providers.length) {
+      await run(
+        `
+        INSERT INTO provider_usage (day, provider, calls)
+        SELECT * FROM unnest($1::date[], $2::varchar[], $3::int[])
+        ON CONFLICT (day, provider)
+        DO UPDATE SET calls = provider_usage.calls + EXCLUDED.calls
+      `,
+        [
+          providers.map(([k]) => k.split("|")[0]),
+          providers.map(([k]) => k.split("|")[1]),
+          providers.map(([, n]) => n),
+        ]
+      );
+    }
+    if (clients.length) {
+      await run(
+        `
+        INSERT INTO client_usage (day, client, requests, limited)
+        SELECT * FROM unnest($1::date[], $2::varchar[], $3::int[], $4::int[])
+        ON CONFLICT (day, client)
+        DO UPDATE SET requests = client_usage.requests + EXCLUDED.requests,
+                      limited  = client_usage.limited + EXCLUDED.limited
+      `,
+        [
+          clients.map(([k]) => k.split("|")[0]),
+          clients.map(([k]) => k.split("|")[1]),
+          clients.map(([, e]) => e.requests),
+          clients.map(([, e]) => e.limited),
+        ]
+      );
+    }
+  } catch (err) {
+    for (const [k, n] of providers) pendingProviders.set(k, (pendingProviders.get(k) || 0) + n);
+    for (const [k, e] of clients) {
+      const cur = pendingClients.get(k) || { requests: 0, limited: 0 };
+      pendingClients.set(k, { requests: cur.requests + e.requests, limited: cur.limited + e.limited });
+    }
+    scheduleFlush();
+    throw err;
+  }
+}
+
+/** Calls already stored for `day`, per provider (seeds the budget counters) */
+async function storedProviderCalls(day) {
+  if (!process.env.DATABASE_URL) return {};
+  const rows = await all(
+    `SELECT provider, calls FROM provider_usage WHERE day = $1::date`,
+    [day]
+  );
+  return Object.fromEntries(rows.map((r) => [r.provider, Number(r.calls)]));
+}
+
+/** Stored usage for the last `days` days (today included), newest first */
+async function usageHistory({ days = 7 } = {}) {
+  await flushUsage();
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+  const [providers, clients] = await Promise.all([
+    all(
+      `
+      SELECT to_char(day, 'YYYY-MM-DD') AS day, provider, calls
+      FROM provider_usage WHERE day >= $1::date
+      ORDER BY day DESC, provider
+    `,
+      [since]
+    ),
+    all(
+      `
+      SELECT to_char(day, 'YYYY-MM-DD') AS day, client, requests, limited
+      FROM client_usage WHERE day >= $1::date
+      ORDER BY day DESC, requests DESC
+    `,
+      [since]
+    ),
+  ]);
+  return { since, providers, clients };
+}
+
+module.exports = {
+  recordProviderCall,
+  recordClientUsage,
+  flushUsage,
+  storedProviderCalls,
+  usageHistory,
+  today,
+};
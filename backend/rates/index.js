@@ -0,0 +1,179 @@
+// backend/rates/index.js
+// Currency rates: one snapshot from a pluggable source, rebased to the
+// canonical currency and recorded in fx_rates so stored prices can point at
+// the exact rate they were converted with.
+//
+// CANONICAL_CURRENCY     currency history and the seasonal model are kept in (USD)
+// RATES_SOURCE           file (default, offline) | http
+// RATES_REFRESH_MINUTES  how long a snapshot is used before reloading (720)
+//
+// Every source is a plain object:
+//   name          id stored in fx_rates.source
+//   fetchRates()  → { base, asOf, rates: { CUR: units per 1 base } }
+
+require("dotenv").config();
+
+const { all } = require("../db");
+const file = require("./sources/file");
+const http = require("./sources/http");
+const log = require("../logger");
+
+const CANONICAL_CURRENCY = (process.env.CANONICAL_CURRENCY || "USD").toUpperCase();
+const REFRESH_MS = (Number(process.env.RATES_REFRESH_MINUTES) || 720) * 60 * 1000;
+const RETRY_MS = 5 * 60 * 1000;
+
+const sources = new Map([file, http].map((s) => [s.name, s]));
+
+function registerRatesSource(source) {
+  if (!source?.name || typeof source.fetchRates !== "function") {
+    throw new Error("Rates source needs a name and fetchRates()");
+  }
+  sources.set(source.name, source);
+}
+
+function getRatesSource() {
+  const name = (process.env.RATES_SOURCE || "file").toLowerCase();
+  const source = sources.get(name);
+  if (!source) throw new Error(`Unknown rates source "${name}"`);
+  return source;
+}
+
+let snapshot = null;
+let loading = null;
+
+/** Store the snapshot in fx_rates; returns Map currency → fx_rates.id */
+async function recordSnapshot({ source, asOf, rates }) {
+  if (!process.env.DATABASE_URL) return new Map();
+
+  try {
+    const quotes = Object.keys(rates);
+    const rows = await all(
+      `
+      INSERT INTO fx_rates (source, base_currency, quote_currency, rate, as_of)
+      SELECT $1, $2, q, r, $5
+      FROM unnest($3::text[], $4::numeric[]) AS t(q, r)
+      ON CONFLICT (source, base_currency, quote_currency, as_of)
+      DO UPDATE SET rate = EXCLUDED.rate
+      RETURNING id, quote_currency
+    `,
+      [source, CANONICAL_CURRENCY, quotes, quotes.map((q) => rates[q]), asOf]
+    );
+    return new Map(rows.map((r) => [r.quote_currency, Number(r.id)]));
+  } catch (err) {
+    log.error("Recording FX rates failed", { err });
+    return new Map();
+  }
+}
+
+async function loadSnapshot() {
+  const source = getRatesSource();
+  const raw = await source.fetchRates();
+
+  const base = String(raw?.base || "").toUpperCase();
+  if (!/^[A-Z]{3}$/.test(base) || !raw.rates || typeof raw.rates !== "object") {
+    throw new Error(`Rates source "${source.name}" returned no usable rates`);
+  }
+
+  // Units per 1 base → units per 1 canonical
+  const perBase = { [base]: 1 };
+  for (const [cur, rate] of Object.entries(raw.rates)) {
+    if (Number(rate) > 0) perBase[cur.toUpperCase()] = Number(rate);
+  }
+  const canonicalPerBase = perBase[CANONICAL_CURRENCY];
+  if (!canonicalPerBase) {
+    throw new Error(`Rates source "${source.name}" has no ${CANONICAL_CURRENCY} rate`);
+  }
+
+  const rates = {};
+  for (const [cur, rate] of Object.entries(perBase)) rates[cur] = rate / canonicalPerBase;
+
+  const asOf = new Date(raw.asOf || Date.now()).toISOString();
+  const ids = await recordSnapshot({ source: source.name, asOf, rates });
+
+  return { source: source.name, asOf, rates, ids, loadedAt: Date.now() };
+}
+
+/** Current snapshot; a failed refresh keeps serving the previous one */
+async function getSnapshot() {
+  if (snapshot && Date.now() - snapshot.loadedAt < REFRESH_MS) return snapshot;
+
+  if (!loading) {
+    loading = loadSnapshot()
+      .then((s) => (snapshot = s))
+      .catch((err) => {
+        log.error("Rates refresh failed", { err });
+        if (!snapshot) throw err;
+        snapshot.loadedAt = Date.now() - REFRESH_MS + RETRY_MS;
+        return snapshot;
+      })
+      .finally(() => (loading = null));
+  }
+  return loading;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Synchronous converter over one snapshot, for converting many rows.
+ * convert() returns null for currencies the snapshot doesn't know.
+ */
+async function getConverter() {
+  const snap = await getSnapshot();
+  const perCanonical = (cur) => snap.rates[String(cur || "").toUpperCase()];
+
+  return {
+    canonicalCurrency: CANONICAL_CURRENCY,
+    source: snap.source,
+    asOf: snap.asOf,
+
+    /** Units of `to` per 1 `from` */
+    rate(from, to) {
+      const f = perCanonical(from);
+      const t = perCanonical(to);
+      return f && t ? t / f : null;
+    },
+
+    convert(amount, from, to) {
+      const r = this.rate(from, to);
+      return r === null || amount === null || amount === undefined
+        ? null
+        : round2(Number(amount) * r);
+    },
+
+    /** fx_rates row for canonical → currency (null when not recorded) */
+    rateId(currency) {
+      return snap.ids.get(String(currency || "").toUpperCase()) ?? null;
+    },
+  };
+}
+
+/**
+ * Convert an amount into the canonical currency.
+ * { amount, currency, rate, rateId } — rate is units of `currency` per
+ * canonical unit, rateId the fx_rates row used; null when unknown currency.
+ */
+async function toCanonical(amount, currency) {
+  const conv = await getConverter();
+  const converted = conv.convert(amount, currency, CANONICAL_CURRENCY);
+  if (converted === null) return null;
+  return {
+    amount: converted,
+    currency: CANONICAL_CURRENCY,
+    rate: conv.rate(CANONICAL_CURRENCY, currency),
+    rateId: conv.rateId(currency),
+  };
+}
+
+/** Rates metadata for API responses */
+async function ratesInfo() {
+  const snap = await getSnapshot();
+  return { source: snap.source, asOf: snap.asOf, canonicalCurrency: CANONICAL_CURRENCY };
+}
+
+module.exports = {
+  CANONICAL_CURRENCY,
+  registerRatesSource,
+  getConverter,
+  toCanonical,
+  ratesInfo,
+};
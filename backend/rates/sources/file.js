@@ -0,0 +1,19 @@
+// backend/rates/sources/file.js
+// Rates from a local JSON file — the offline default.
+// RATES_FILE overrides the bundled snapshot (fixtures/rates.json).
+// Format: { "base": "USD", "asOf": "2026-10-01T00:00:00Z", "rates": { "INR": 83.2, … } }
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "fixtures", "rates.json");
+
+module.exports = {
+  name: "file",
+
+  async fetchRates() {
+    const file = process.env.RATES_FILE || DEFAULT_FILE;
+    const data = JSON.parse(await fs.readFile(file, "utf8"));
+    return { base: data.base, asOf: data.asOf, rates: data.rates };
+  },
+};
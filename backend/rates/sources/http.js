@@ -0,0 +1,22 @@
+// backend/rates/sources/http.js
+// Rates from a JSON HTTP endpoint (RATES_URL).
+// Understands the common shapes: { base, date, rates } (exchangerate.host,
+// Frankfurter) and { base_code, time_last_update_utc, rates } (open.er-api).
+
+const axios = require("axios");
+
+const DEFAULT_URL = "https://open.er-api.com/v6/latest/USD";
+
+module.exports = {
+  name: "http",
+
+  async fetchRates() {
+    const res = await axios.get(process.env.RATES_URL || DEFAULT_URL, { timeout: 10000 });
+    const data = res.data || {};
+    return {
+      base: data.base || data.base_code,
+      asOf: data.date || data.time_last_update_utc || new Date().toISOString(),
+      rates: data.rates,
+    };
+  },
+};
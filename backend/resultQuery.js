@@ -0,0 +1,311 @@
+// backend/resultQuery.js
+// Filter / sort / cursor pagination over a stored flight result set.
+//
+// Filters (all optional):
+//   maxPrice              party total (with bag estimate when includeBags)
+//   minStops, maxStops    checked against the itinerary with the most stops
+//   airlines              carrier codes, matched on the flight's airline
+//   departAfter/Before    "HH:MM" local departure of the first itinerary
+//   arriveAfter/Before    "HH:MM" local arrival of the first itinerary
+//                         (after > before wraps midnight, e.g. 22:00–06:00)
+//   maxDurationMinutes    every itinerary must be at most this long
+//   layoverAirports       connections allowed only through these airports
+//                         (non-stop flights always match)
+//   includeBags           compare on price + estimated checked-bag fees
+//                         (see fares.js); adds `bagEstimate` to each flight
+//
+// Sort: price (default) | depart | arrive | duration.
+// Cursors are opaque and bound to the filters + sort they were issued for.
+
+const crypto = require("crypto");
+const { flightKey } = require("./itinerary");
+const { bagEstimate } = require("./fares");
+const { fieldError } = require("../shared/validation");
+
+const SORTS = ["price", "depart", "arrive", "duration"];
+const DEFAULT_PAGE_SIZE = Number(process.env.RESULTS_PAGE_SIZE) || 20;
+const MAX_PAGE_SIZE = 100;
+
+const TIME_FIELDS = ["departAfter", "departBefore", "arriveAfter", "arriveBefore"];
+
+/* ----------------------------------------------------------
+   Parsing
+---------------------------------------------------------- */
+
+/** "EK,qr" | ["EK", "qr"] → ["EK", "QR"] */
+function codeList(v) {
+  const list = Array.isArray(v) ? v : String(v).split(",");
+  return list.map((c) => String(c).trim().toUpperCase()).filter(Boolean);
+}
+
+const blank = (v) => v === undefined || v === null || v === "";
+
+/**
+ * Validate filters, sort, limit and cursor from a flat object (query string,
+ * or the POST body's `filters` merged with `sort` / `limit`).
+ * Returns { query, errors } — errors are field errors ({ field, code, message }).
+ */
+function parseResultQuery(input = {}) {
+  const errors = [];
+  const filters = {};
+
+  if (!blank(input.maxPrice)) {
+    const v = Number(input.maxPrice);
+    if (v > 0) filters.maxPrice = v;
+    else errors.push(fieldError("maxPrice", "out_of_range", "maxPrice must be a positive number."));
+  }
+
+  for (const key of ["minStops", "maxStops"]) {
+    if (blank(input[key])) continue;
+    const v = Number(input[key]);
+    if (Number.isInteger(v) && v >= 0) filters[key] = v;
+    else errors.push(fieldError(key, "invalid_format", `${key} must be a whole number.`));
+  }
+
+  if (!blank(input.maxDurationMinutes)) {
+    const v = Number(input.maxDurationMinutes);
+    if (Number.isInteger(v) && v > 0) filters.maxDurationMinutes = v;
+    else {
+      errors.push(
+        fieldError("maxDurationMinutes", "invalid_format", "maxDurationMinutes must be a positive whole number.")
+      );
+    }
+  }
+
+  for (const key of TIME_FIELDS) {
+    if (blank(input[key])) continue;
+    if (/^([01]\d|2[0-3]):[0-5]\d$/.test(input[key])) filters[key] = input[key];
+    else errors.push(fieldError(key, "invalid_format", `${key} must be a time (HH:MM).`));
+  }
+
+  if (!blank(input.airlines)) {
+    const codes = codeList(input.airlines);
+    if (codes.every((c) => /^[A-Z0-9]{2}$/.test(c))) filters.airlines = codes;
+    else {
+      errors.push(fieldError("airlines", "invalid_format", "airlines must be 2-character carrier codes."));
+    }
+  }
+
+  if (!blank(input.layoverAirports)) {
+    const codes = codeList(input.layoverAirports);
+    if (codes.every((c) => /^[A-Z]{3}$/.test(c))) filters.layoverAirports = codes;
+    else {
+      errors.push(
+        fieldError("layoverAirports", "invalid_format", "layoverAirports must be 3-letter airport codes.")
+      );
+    }
+  }
+
+  if (input.includeBags === true || input.includeBags === "true" || input.includeBags === "1") {
+    filters.includeBags = true;
+  }
+
+  const sort = blank(input.sort) ? "price" : String(input.sort);
+  if (!SORTS.includes(sort)) {
+    errors.push(fieldError("sort", "invalid_value", `sort must be one of ${SORTS.join(", ")}.`));
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (!blank(input.limit)) {
+    const v = Number(input.limit);
+    if (Number.isInteger(v) && v >= 1 && v <= MAX_PAGE_SIZE) limit = v;
+    else {
+      errors.push(fieldError("limit", "out_of_range", `limit must be between 1 and ${MAX_PAGE_SIZE}.`));
+    }
+  }
+
+  let offset = 0;
+  if (!blank(input.cursor)) {
+    const cursor = decodeCursor(input.cursor);
+    if (!cursor) errors.push(fieldError("cursor", "invalid_format", "Invalid cursor."));
+    else if (cursor.fp !== fingerprint(filters, sort)) {
+      errors.push(fieldError("cursor", "invalid_value", "Cursor does not match these filters."));
+    } else offset = cursor.offset;
+  }
+
+  return { query: { filters, sort, limit, offset }, errors };
+}
+
+/* ----------------------------------------------------------
+   Cursor
+---------------------------------------------------------- */
+function fingerprint(filters, sort) {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify({ filters, sort }))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+function encodeCursor(offset, filters, sort) {
+  return Buffer.from(JSON.stringify({ o: offset, fp: fingerprint(filters, sort) })).toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { o, fp } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isInteger(o) || o < 0 || typeof fp !== "string") return null;
+    return { offset: o, fp };
+  } catch {
+    return null;
+  }
+}
+
+/* ----------------------------------------------------------
+   Filtering + sorting
+---------------------------------------------------------- */
+const itinerariesOf = (f) => (f.itineraries?.length ? f.itineraries : [f]);
+
+/** Stops of the worst itinerary (outbound or return) */
+function maxStopsOf(f) {
+  return Math.max(...itinerariesOf(f).map((it) => it.stops ?? 0));
+}
+
+function layoverAirportsOf(f) {
+  return itinerariesOf(f).flatMap((it) =>
+    (it.layovers || []).map((l) => l.airport).filter(Boolean)
+  );
+}
+
+/** "2026-12-01T04:15" → "04:15" */
+const clock = (t) => (t ? String(t).slice(11, 16) : null);
+
+function inWindow(time, after, before) {
+  if (!after && !before) return true;
+  if (!time) return false;
+  if (after && before && after > before) return time >= after || time <= before;
+  return (!after || time >= after) && (!before || time <= before);
+}
+
+/** Price used for maxPrice and price sort: with bag fees when includeBags */
+const comparePrice = (f) => f.bagEstimate?.priceWithBags ?? f.price;
+
+function matches(f, filters) {
+  if (filters.maxPrice !== undefined && comparePrice(f) > filters.maxPrice) return false;
+
+  const stops = maxStopsOf(f);
+  if (filters.minStops !== undefined && stops < filters.minStops) return false;
+  if (filters.maxStops !== undefined && stops > filters.maxStops) return false;
+
+  if (filters.airlines && !filters.airlines.includes(f.carrierCode)) return false;
+
+  if (!inWindow(clock(f.departTime), filters.departAfter, filters.departBefore)) return false;
+  if (!inWindow(clock(f.arrivalTime), filters.arriveAfter, filters.arriveBefore)) return false;
+
+  if (
+    filters.maxDurationMinutes !== undefined &&
+    itinerariesOf(f).some(
+      (it) => typeof it.durationMinutes === "number" && it.durationMinutes > filters.maxDurationMinutes
+    )
+  ) {
+    return false;
+  }
+
+  if (
+    filters.layoverAirports &&
+    !layoverAirportsOf(f).every((a) => filters.layoverAirports.includes(a))
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+const totalMinutes = (f) =>
+  itinerariesOf(f).reduce((sum, it) => sum + (it.durationMinutes ?? Infinity), 0);
+
+const SORT_KEYS = {
+  price: comparePrice,
+  depart: (f) => f.departTime || "",
+  arrive: (f) => f.arrivalTime || "",
+  duration: totalMinutes,
+};
+
+/** Sorted copy; ties fall back to price then flight identity so pages are stable */
+function sortFlights(flights, sort = "price") {
+  const key = SORT_KEYS[sort] || SORT_KEYS.price;
+  const cmp = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return [...flights].sort(
+    (a, b) =>
+      cmp(key(a), key(b)) ||
+      comparePrice(a) - comparePrice(b) ||
+      cmp(flightKey(a), flightKey(b))
+  );
+}
+
+/* ----------------------------------------------------------
+   Facets (over the whole set, so filter chips don't vanish)
+---------------------------------------------------------- */
+function buildFacets(flights) {
+  const airlines = new Map();
+  const stops = new Map();
+  const layovers = new Map();
+
+  const bump = (map, key, init, price) => {
+    const entry = map.get(key) || { ...init, count: 0, minPrice: Infinity };
+    entry.count += 1;
+    entry.minPrice = Math.min(entry.minPrice, price);
+    map.set(key, entry);
+  };
+
+  for (const f of flights) {
+    if (f.carrierCode) {
+      bump(airlines, f.carrierCode, { code: f.carrierCode, name: f.airline || f.carrierCode }, f.price);
+    }
+    const s = maxStopsOf(f);
+    bump(stops, s, { stops: s }, f.price);
+    new Set(layoverAirportsOf(f)).forEach((a) => bump(layovers, a, { airport: a }, f.price));
+  }
+
+  const prices = flights.map((f) => f.price);
+  const durations = flights.map(totalMinutes).filter(Number.isFinite);
+  const range = (list) => (list.length ? { min: Math.min(...list), max: Math.max(...list) } : null);
+
+  return {
+    airlines: [...airlines.values()].sort((a, b) => a.minPrice - b.minPrice),
+    stops: [...stops.values()].sort((a, b) => a.stops - b.stops),
+    layoverAirports: [...layovers.values()].sort((a, b) => b.count - a.count),
+    price: range(prices),
+    durationMinutes: range(durations),
+  };
+}
+
+/* ----------------------------------------------------------
+   Query
+---------------------------------------------------------- */
+
+/**
+ * One page of a result set: { flights, page }.
+ * `travelers` (seated travelers of the search) sizes the bag estimate.
+ */
+function queryResultSet(flights, { filters, sort, limit, offset }, { travelers = 1 } = {}) {
+  const candidates = filters.includeBags
+    ? flights.map((f) => ({ ...f, bagEstimate: bagEstimate(f, { travelers }) }))
+    : flights;
+  const matched = sortFlights(candidates.filter((f) => matches(f, filters)), sort);
+  const items = matched.slice(offset, offset + limit);
+  const next = offset + items.length;
+
+  return {
+    flights: items,
+    page: {
+      total: flights.length,
+      matched: matched.length,
+      offset,
+      limit,
+      sort,
+      filters,
+      nextCursor: next < matched.length ? encodeCursor(next, filters, sort) : null,
+    },
+  };
+}
+
+module.exports = {
+  parseResultQuery,
+  queryResultSet,
+  sortFlights,
+  buildFacets,
+  SORTS,
+};
@@ -0,0 +1,98 @@
+// backend/resultQuery.test.js
+// Filter / sort / cursor pagination over a stored result set (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseResultQuery, queryResultSet } = require("./resultQuery");
+
+function flight(flightNumber, { price = 300, depart = "10:00", checkedBags } = {}) {
+  return {
+    carrierCode: "EK",
+    flightNumber,
+    departTime: `2026-12-01T${depart}`,
+    arrivalTime: "2026-12-01T18:00",
+    price,
+    currency: "USD",
+    ...(checkedBags === undefined ? {} : { fare: { checkedBags: { quantity: checkedBags } } }),
+  };
+}
+
+/** parseResultQuery + queryResultSet, failing on validation errors */
+function run(flights, input) {
+  const { query, errors } = parseResultQuery(input);
+  assert.deepEqual(errors, []);
+  return queryResultSet(flights, query);
+}
+
+const numbers = (result) => result.flights.map((f) => f.flightNumber);
+
+test("a cursor only works with the filters and sort it was issued for", () => {
+  const flights = [flight("EK1", { price: 100 }), flight("EK2", { price: 200 })];
+  const { page } = run(flights, { maxPrice: 500, limit: 1 });
+  assert.ok(page.nextCursor);
+
+  const same = parseResultQuery({ maxPrice: 500, limit: 1, cursor: page.nextCursor });
+  assert.deepEqual(same.errors, []);
+  assert.equal(same.query.offset, 1);
+
+  for (const input of [
+    { maxPrice: 600, limit: 1 },
+    { maxPrice: 500, limit: 1, sort: "depart" },
+  ]) {
+    const { errors } = parseResultQuery({ ...input, cursor: page.nextCursor });
+    assert.deepEqual(
+      errors.map((e) => [e.field, e.code]),
+      [["cursor", "invalid_value"]]
+    );
+  }
+
+  assert.equal(parseResultQuery({ cursor: "not-a-cursor" }).errors[0].code, "invalid_format");
+});
+
+test("a time window with after > before wraps midnight", () => {
+  const flights = [
+    flight("EK1", { depart: "23:30" }),
+    flight("EK2", { depart: "05:00" }),
+    flight("EK3", { depart: "12:00" }),
+    flight("EK4", { depart: "22:00" }),
+    flight("EK5", { depart: "06:00" }),
+  ];
+  const night = run(flights, { departAfter: "22:00", departBefore: "06:00", sort: "depart" });
+  assert.deepEqual(numbers(night), ["EK2", "EK5", "EK4", "EK1"]);
+
+  const day = run(flights, { departAfter: "06:00", departBefore: "22:00", sort: "depart" });
+  assert.deepEqual(numbers(day), ["EK5", "EK3", "EK4"]);
+});
+
+test("maxPrice compares the price with bag fees when includeBags is set", () => {
+  const flights = [
+    flight("EK1", { price: 480, checkedBags: 0 }), // + one bag (USD 35) → 515
+    flight("EK2", { price: 490, checkedBags: 1 }),
+    flight("EK3", { price: 495 }), // allowance unknown: compared as is
+  ];
+
+  assert.deepEqual(numbers(run(flights, { maxPrice: 500 })), ["EK1", "EK2", "EK3"]);
+
+  const withBags = run(flights, { maxPrice: 500, includeBags: "true" });
+  assert.deepEqual(numbers(withBags), ["EK2", "EK3"]);
+  assert.equal(withBags.flights[0].bagEstimate.priceWithBags, 490);
+  assert.equal(run(flights, { includeBags: true }).flights.at(-1).bagEstimate.priceWithBags, 515);
+});
+
+test("ties sort the same whatever the input order, so pages don't overlap", () => {
+  const flights = ["EK4", "EK1", "EK3", "EK2", "EK5"].map((n) => flight(n));
+  const expected = ["EK1", "EK2", "EK3", "EK4", "EK5"];
+
+  assert.deepEqual(numbers(run(flights, {})), expected);
+  assert.deepEqual(numbers(run([...flights].reverse(), {})), expected);
+
+  const seen = [];
+  let cursor;
+  do {
+    const result = run(flights, { limit: 2, ...(cursor ? { cursor } : {}) });
+    seen.push(...numbers(result));
+    cursor = result.page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, expected);
+});
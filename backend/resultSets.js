@@ -0,0 +1,62 @@
+// backend/resultSets.js
+// Stored search result sets for server-side filtering and paging.
+//
+// Every /api/flights search keeps its full deduped flight list under a random
+// id, so /api/flights/results/:id can re-filter, re-sort and page through it
+// without calling the providers again. With a database the sets share the
+// search_cache table (keys prefixed "results:"), otherwise they live in
+// process memory.
+
+require("dotenv").config();
+
+const crypto = require("crypto");
+const { createMemoryCache } = require("./cache/memoryCache");
+const { createPostgresCache } = require("./cache/postgresCache");
+const log = require("./logger");
+
+const RESULT_SET_TTL_SECONDS = Number(process.env.RESULT_SET_TTL_SECONDS) || 1800;
+
+const store = process.env.DATABASE_URL
+  ? createPostgresCache()
+  : createMemoryCache({
+      maxEntries: Number(process.env.RESULT_SET_MAX_ENTRIES) || 200,
+    });
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function isResultSetId(id) {
+  return ID_PATTERN.test(String(id || ""));
+}
+
+/**
+ * Store flights + search meta. Returns { resultId, expiresAt }, or null when
+ * the store is down — the caller still has the flights, only paging is lost.
+ */
+async function saveResultSet({ flights, meta }) {
+  const resultId = crypto.randomUUID();
+  try {
+    await store.set(`results:${resultId}`, { flights, meta }, RESULT_SET_TTL_SECONDS);
+    return {
+      resultId,
+      expiresAt: new Date(Date.now() + RESULT_SET_TTL_SECONDS * 1000),
+    };
+  } catch (err) {
+    log.warn("Result set write failed", { err });
+    return null;
+  }
+}
+
+/** { flights, meta, expiresAt } or null when unknown / expired */
+async function getResultSet(resultId) {
+  if (!isResultSetId(resultId)) return null;
+  const entry = await store.get(`results:${resultId}`);
+  if (!entry) return null;
+  return { ...entry.value, expiresAt: entry.expiresAt };
+}
+
+module.exports = {
+  saveResultSet,
+  getResultSet,
+  isResultSetId,
+  RESULT_SET_TTL_SECONDS,
+};
@@ -0,0 +1,334 @@
+// backend/retention.js
+// Data retention: a background job that deletes old rows table by table,
+// rolling price_history and stored offers up into daily or weekly
+// aggregates first (migration 009), so long-range history survives.
+//
+//   RETENTION_DAYS=price_history:365,search_runs:90   days kept (0 = forever)
+//   RETENTION_ROLLUP=price_history:week,search_runs:day   day | week | none
+//
+// Rolled-up tables are processed one whole period at a time, oldest first,
+// each in its own transaction, so a period's rollup and delete land
+// together and a period is only rolled up once all of it is past the
+// cutoff (raw rows may outlive their policy by up to a period). Other
+// tables are deleted in batches. An advisory lock keeps two instances from
+// running the job at once.
+
+const { transaction } = require("./db");
+const log = require("./logger");
+
+const INTERVAL_MINUTES = Number(process.env.RETENTION_INTERVAL_MINUTES) || 60;
+const BATCH_SIZE = Number(process.env.RETENTION_BATCH_SIZE) || 5000;
+
+// Arbitrary constant, distinct from migrate.js's lock
+const RETENTION_LOCK_ID = 313314;
+
+const PERIOD_DAYS = { day: 1, week: 7 };
+
+/* ----------------------------------------------------------
+   Rollups: (client, { period, from, to }) → rows written
+---------------------------------------------------------- */
+
+/**
+ * One row per route, departure date and currency; period_start is the
+ * start of the day or week ($2), not the first search in it
+ */
+async function rollupPriceHistory(client, { period, from, to }) {
+  const { rowCount } = await client.query(
+    `
+    INSERT INTO price_history_rollups
+      (origin, destination, departure_date, period, period_start, currency,
+       canonical, days_until_departure, samples, min_price, avg_price, max_price)
+    SELECT origin,
+           destination,
+           departure_date,
+           $1,
+           $2::date,
+           COALESCE(canonical_currency, currency),
+           canonical_currency IS NOT NULL,
+           ROUND(AVG(days_until_departure))::int,
+           COUNT(*)::int,
+           MIN(COALESCE(min_price_canonical, min_price)),
+           ROUND(AVG(COALESCE(avg_price_canonical, avg_price)), 2),
+           MAX(COALESCE(max_price_canonical, max_price))
+    FROM price_history
+    WHERE search_date >= $2::date AND search_date < $3::date
+    GROUP BY origin, destination, departure_date,
+             COALESCE(canonical_currency, currency), canonical_currency IS NOT NULL
+  `,
+    [period, from, to]
+  );
+  return rowCount;
+}
+
+/**
+ * One row per flight, route, return date and cabin: the cheapest offer of
+ * each adult-only run, per adult (what /api/offers/trajectory plots).
+ * Family runs are deleted without a rollup.
+ */
+async function rollupOffers(client, { period, from, to }) {
+  const { rowCount } = await client.query(
+    `
+    WITH cheapest AS (
+      SELECT DISTINCT ON (r.id, o.flight_number, o.depart_date)
+             r.origin,
+             r.destination,
+             r.return_date,
+             r.cabin,
+             o.carrier_code,
+             o.flight_number,
+             o.depart_date,
+             COALESCE(r.canonical_currency, r.currency) AS currency,
+             r.canonical_currency IS NOT NULL AS canonical,
+             COALESCE(o.price_canonical, o.price) / r.adults AS price
+      FROM search_runs r
+      JOIN offers o ON o.run_id = r.id
+      WHERE r.searched_at >= $2::date AND r.searched_at < $3::date
+        AND r.children = 0 AND r.infants_in_seat = 0 AND r.infants_on_lap = 0
+        AND r.currency IS NOT NULL
+        AND o.flight_number IS NOT NULL AND o.depart_date IS NOT NULL
+      ORDER BY r.id, o.flight_number, o.depart_date, COALESCE(o.price_canonical, o.price)
+    )
+    INSERT INTO offer_rollups
+      (period, period_start, origin, destination, return_date, cabin,
+       carrier_code, flight_number, depart_date, currency, canonical,
+       samples, min_price, avg_price, max_price)
+    SELECT $1, $2::date, origin, destination, return_date, cabin,
+           MIN(carrier_code), flight_number, depart_date, currency, canonical,
+           COUNT(*)::int, ROUND(MIN(price), 2), ROUND(AVG(price), 2), ROUND(MAX(price), 2)
+    FROM cheapest
+    GROUP BY origin, destination, return_date, cabin, flight_number, depart_date,
+             currency, canonical
+  `,
+    [period, from, to]
+  );
+  return rowCount;
+}
+
+/* ----------------------------------------------------------
+   Policies
+---------------------------------------------------------- */
+
+/** "price_history:365,offers:90" → { price_history: "365", offers: "90" } */
+function parsePairs(str) {
+  return Object.fromEntries(
+    String(str || "")
+      .split(",")
+      .map((pair) => pair.split(":").map((p) => p.trim()))
+      .filter(([name, value]) => name && value)
+      .map(([name, value]) => [name.toLowerCase(), value.toLowerCase()])
+  );
+}
+
+/**
+ * Built-in policies; `column` is the age column, `days` how long rows are
+ * kept past it. Deleting search_runs deletes their offers (ON DELETE
+ * CASCADE).
+ */
+const DEFAULT_POLICIES = {
+  price_history: { column: "search_date", days: 365, rollup: "week", rollupFn: rollupPriceHistory },
+  search_runs: { column: "searched_at", days: 90, rollup: "day", rollupFn: rollupOffers },
+  watch_notifications: { column: "created_at", days: 365 },
+  provider_usage: { column: "day", days: 400 },
+  client_usage: { column: "day", days: 400 },
+  // counted from expiry; sessions are also cleared per user at sign-in
+  user_sessions: { column: "expires_at", days: 7 },
+  // cached searches and result sets ("results:" keys), counted from expiry;
+  // expired entries are never read
+  search_cache: { column: "expires_at", days: 1 },
+};
+
+function buildPolicies(env = process.env) {
+  const days = parsePairs(env.RETENTION_DAYS);
+  const rollups = parsePairs(env.RETENTION_ROLLUP);
+
+  for (const name of Object.keys({ ...days, ...rollups })) {
+    if (!DEFAULT_POLICIES[name]) log.warn("Unknown retention table ignored", { table: name });
+  }
+
+  return Object.entries(DEFAULT_POLICIES).map(([table, policy]) => {
+    let keepDays = policy.days;
+    if (/^\d+$/.test(days[table] || "")) keepDays = Number(days[table]);
+    else if (days[table]) log.warn("Invalid retention days ignored", { table, value: days[table] });
+
+    let rollup = policy.rollupFn ? policy.rollup : null;
+    if (policy.rollupFn && rollups[table]) {
+      if (rollups[table] === "none") rollup = null;
+      else if (PERIOD_DAYS[rollups[table]]) rollup = rollups[table];
+      else log.warn("Invalid retention rollup ignored", { table, value: rollups[table] });
+    }
+
+    return { table, column: policy.column, days: keepDays, rollup, rollupFn: policy.rollupFn };
+  });
+}
+
+const POLICIES = buildPolicies();
+
+/* ----------------------------------------------------------
+   Job
+---------------------------------------------------------- */
+
+class LockBusyError extends Error {}
+
+/** Run fn(client) in a transaction holding the retention lock */
+function withLock(fn) {
+  return transaction(async (client) => {
+    const {
+      rows: [lock],
+    } = await client.query("SELECT pg_try_advisory_xact_lock($1) AS ok", [RETENTION_LOCK_ID]);
+    if (!lock.ok) throw new LockBusyError("Retention job running elsewhere");
+    return fn(client);
+  });
+}
+
+/** Oldest whole period past the cutoff, as { from, to } dates, or null */
+async function nextPeriod({ table, column, days, rollup }) {
+  return withLock(async (client) => {
+    const {
+      rows: [row],
+    } = await client.query(
+      `
+      SELECT to_char(start, 'YYYY-MM-DD') AS "from",
+             to_char(start + $1::int, 'YYYY-MM-DD') AS "to"
+      FROM (
+        SELECT date_trunc($2, MIN(${column}))::date AS start
+        FROM ${table}
+      ) s
+      WHERE start + $1::int <= CURRENT_DATE - $3::int
+    `,
+      [PERIOD_DAYS[rollup], rollup, days]
+    );
+    return row || null;
+  });
+}
+
+/** Roll up then delete one period; returns { rollupRows, deleted } */
+function rollupPeriod(policy, period) {
+  const { table, column, rollup, rollupFn } = policy;
+  return withLock(async (client) => {
+    const rollupRows = await rollupFn(client, { period: rollup, ...period });
+    const { rowCount } = await client.query(
+      `DELETE FROM ${table} WHERE ${column} >= $1::date AND ${column} < $2::date`,
+      [period.from, period.to]
+    );
+    return { rollupRows, deleted: rowCount };
+  });
+}
+
+/** Delete one batch past the cutoff; returns the number of rows deleted */
+function deleteBatch({ table, column, days }) {
+  return withLock(async (client) => {
+    const { rowCount } = await client.query(
+      `
+      DELETE FROM ${table}
+      WHERE ctid IN (
+        SELECT ctid FROM ${table}
+        WHERE ${column} < CURRENT_DATE - $1::int
+        LIMIT $2
+      )
+    `,
+      [days, BATCH_SIZE]
+    );
+    return rowCount;
+  });
+}
+
+async function applyPolicy(policy) {
+  const result = { table: policy.table, deleted: 0, periods: 0, rollupRows: 0 };
+  if (!policy.days) return result;
+
+  if (policy.rollup) {
+    let period;
+    while ((period = await nextPeriod(policy))) {
+      const { rollupRows, deleted } = await rollupPeriod(policy, period);
+      result.periods += 1;
+      result.rollupRows += rollupRows;
+      result.deleted += deleted;
+      if (!deleted) break; // nothing matched the period; don't spin on it
+    }
+    return result;
+  }
+
+  let deleted;
+  do {
+    deleted = await deleteBatch(policy);
+    result.deleted += deleted;
+  } while (deleted === BATCH_SIZE);
+  return result;
+}
+
+let timer = null;
+let running = null;
+let lastRun = null;
+
+/**
+ * Apply every policy once. A table that fails is logged and skipped;
+ * returns { startedAt, finishedAt, skipped, tables[] }.
+ */
+function runRetention() {
+  if (!process.env.DATABASE_URL) return Promise.resolve(null);
+  if (running) return running;
+
+  running = (async () => {
+    const startedAt = new Date().toISOString();
+    const tables = [];
+    let skipped = false;
+
+    for (const policy of POLICIES) {
+      try {
+        const result = await applyPolicy(policy);
+        tables.push(result);
+        if (result.deleted) log.info("Retention applied", result);
+      } catch (err) {
+        if (err instanceof LockBusyError) {
+          skipped = true;
+          break;
+        }
+        log.error("Retention failed", { table: policy.table, err });
+        tables.push({ table: policy.table, error: err.message });
+      }
+    }
+
+    lastRun = { startedAt, finishedAt: new Date().toISOString(), skipped, tables };
+    return lastRun;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+/** Policies plus the last run, for /api/admin/retention */
+function retentionStatus() {
+  return {
+    intervalMinutes: INTERVAL_MINUTES,
+    policies: POLICIES.map(({ table, column, days, rollup }) => ({ table, column, days, rollup })),
+    running: !!running,
+    lastRun,
+  };
+}
+
+function startRetentionJob() {
+  if (!process.env.DATABASE_URL || process.env.RETENTION_ENABLED === "false") {
+    return false;
+  }
+  if (timer) return true;
+
+  const tick = () => runRetention().catch((err) => log.error("Retention run failed", { err }));
+  timer = setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  // First pass shortly after startup rather than an interval later
+  setTimeout(tick, 60 * 1000).unref();
+  log.info("Retention job started", { intervalMinutes: INTERVAL_MINUTES });
+  return true;
+}
+
+function stopRetentionJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runRetention,
+  retentionStatus,
+  startRetentionJob,
+  stopRetentionJob,
+};
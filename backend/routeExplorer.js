@@ -0,0 +1,160 @@
+// backend/routeExplorer.js
+// Route explorer: what price_history says about a route across departure
+// dates, not just one date (GET /api/history/route).
+//
+// Each stored search contributes its cheapest fare (min_price_canonical)
+// for its departure date. Over the requested departure-date window that
+// gives:
+//   calendar    cheapest and median fare per departure date
+//   dayOfWeek   p10 / median / p90 per weekday of departure (ISO, Mon = 1)
+//   months      the same per month of departure
+//   bands       p10 / median / p90 over the whole window
+// Percentiles are computed in SQL over rows in the current canonical
+// currency, then converted to the requested one (a single rate, so the
+// order of the fares doesn't change).
+//
+// History past its retention period comes from price_history_rollups, one
+// observation (the period's cheapest fare) per departure date and rolled-up
+// day or week, as in forecast.js.
+
+const { all } = require("./db");
+const { getConverter } = require("./rates");
+
+// Days either side of today when `from` / `to` are left out
+const DEFAULT_WINDOW_DAYS = 365;
+// Fewer observations than this and a weekday / month can't be "cheapest"
+const MIN_GROUP_OBSERVATIONS = Number(process.env.EXPLORER_MIN_OBSERVATIONS) || 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+const shiftDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * p10 / median / p90 / cheapest / observations of the route's fares,
+ * grouped by `groupBy` (an SQL expression over departure_date) or overall
+ */
+function fareBands({ groupBy, origin, destination, from, to, canonicalCurrency }) {
+  const key = groupBy ? `${groupBy} AS key,` : "";
+  return all(
+    `
+    SELECT ${key}
+           percentile_cont(0.1) WITHIN GROUP (ORDER BY fare) AS p10,
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY fare) AS median,
+           percentile_cont(0.9) WITHIN GROUP (ORDER BY fare) AS p90,
+           MIN(fare) AS cheapest,
+           COUNT(*)::int AS observations
+    FROM (
+      SELECT departure_date, min_price_canonical AS fare
+      FROM price_history
+      WHERE origin = $1
+        AND destination = $2
+        AND departure_date BETWEEN $3::date AND $4::date
+        AND canonical_currency = $5
+        AND min_price_canonical > 0
+      UNION ALL
+      SELECT departure_date, min_price
+      FROM price_history_rollups
+      WHERE origin = $1
+        AND destination = $2
+        AND departure_date BETWEEN $3::date AND $4::date
+        AND canonical
+        AND currency = $5
+        AND min_price > 0
+    ) fares
+    ${groupBy ? "GROUP BY 1 ORDER BY 1" : ""}
+  `,
+    [origin, destination, from, to, canonicalCurrency]
+  );
+}
+
+/** Lowest-median group with enough observations, or null */
+function cheapestGroup(groups) {
+  return (
+    groups
+      .filter((g) => g.observations >= MIN_GROUP_OBSERVATIONS)
+      .sort((a, b) => a.median - b.median)[0] || null
+  );
+}
+
+/**
+ * Fare patterns for a route. `from` / `to` bound the departure dates
+ * (default a year either side of today); `currency` defaults to the
+ * canonical one.
+ * Returns { bands, cheapest, calendar[], dayOfWeek[], months[], … }.
+ */
+async function exploreRoute({ origin, destination, from, to, currency }) {
+  if (!from && !to) {
+    const today = new Date().toISOString().slice(0, 10);
+    from = shiftDays(today, -DEFAULT_WINDOW_DAYS);
+    to = shiftDays(today, DEFAULT_WINDOW_DAYS);
+  }
+  // Only one end given: the same two-year window from it
+  from = from || shiftDays(to, -2 * DEFAULT_WINDOW_DAYS);
+  to = to || shiftDays(from, 2 * DEFAULT_WINDOW_DAYS);
+
+  const conv = await getConverter();
+  const target = currency || conv.canonicalCurrency;
+  const toTarget = (n) => {
+    if (n === null || n === undefined) return null;
+    const price = conv.convert(Number(n), conv.canonicalCurrency, target);
+    return price === null ? null : Math.round(price * 100) / 100;
+  };
+  const bandsOf = (r) => ({
+    p10: toTarget(r.p10),
+    median: toTarget(r.median),
+    p90: toTarget(r.p90),
+    cheapest: toTarget(r.cheapest),
+    observations: r.observations,
+  });
+
+  const query = { origin, destination, from, to, canonicalCurrency: conv.canonicalCurrency };
+  const [[overall], byDate, byWeekday, byMonth] = await Promise.all([
+    fareBands(query),
+    fareBands({ ...query, groupBy: "to_char(departure_date, 'YYYY-MM-DD')" }),
+    fareBands({ ...query, groupBy: "EXTRACT(ISODOW FROM departure_date)::int" }),
+    fareBands({ ...query, groupBy: "EXTRACT(MONTH FROM departure_date)::int" }),
+  ]);
+
+  const calendar = byDate.map((r) => ({
+    date: r.key,
+    cheapest: toTarget(r.cheapest),
+    median: toTarget(r.median),
+    observations: r.observations,
+  }));
+  const dayOfWeek = byWeekday.map((r) => ({ day: r.key, name: WEEKDAYS[r.key - 1], ...bandsOf(r) }));
+  const months = byMonth.map((r) => ({ month: r.key, name: MONTHS[r.key - 1], ...bandsOf(r) }));
+
+  const bands = overall.observations ? bandsOf(overall) : null;
+  const bestDay = cheapestGroup(dayOfWeek);
+  const bestMonth = cheapestGroup(months);
+  const cheapestDate = calendar.reduce((best, d) => (!best || d.cheapest < best.cheapest ? d : best), null);
+  // How far a group's median is below the route's, in %
+  const below = (g) =>
+    g && bands?.median ? Math.round(((bands.median - g.median) / bands.median) * 1000) / 10 : null;
+
+  return {
+    origin,
+    destination,
+    from,
+    to,
+    currency: target,
+    observations: overall.observations,
+    bands,
+    cheapest: {
+      dayOfWeek: bestDay && { day: bestDay.day, name: bestDay.name, belowMedianPercent: below(bestDay) },
+      month: bestMonth && { month: bestMonth.month, name: bestMonth.name, belowMedianPercent: below(bestMonth) },
+      date: cheapestDate && { date: cheapestDate.date, price: cheapestDate.cheapest },
+    },
+    calendar,
+    dayOfWeek,
+    months,
+    rate: { source: conv.source, asOf: conv.asOf },
+  };
+}
+
+module.exports = {
+  exploreRoute,
+};
@@ -0,0 +1,198 @@
+// backend/routes/account.js
+// Signed-in user's data: /api/account
+//
+//   GET/PUT          /preferences               form defaults
+//   GET/POST         /saved-searches            { name, params }
+//   PATCH/DELETE     /saved-searches/:id
+//   GET/DELETE       /recent-searches           recorded by POST /api/flights
+//   GET              /favourite-airports
+//   PUT/DELETE       /favourite-airports/:code  PUT body: { label }
+
+const express = require("express");
+
+const { attachUser, requireUser } = require("../accounts/sessions");
+const { validatePreferences, updatePreferences } = require("../accounts/users");
+const {
+  normalizeSearchParams,
+  validateName,
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  listRecentSearches,
+  clearRecentSearches,
+  MAX_SAVED_SEARCHES,
+} = require("../accounts/searches");
+const {
+  listFavourites,
+  addFavourite,
+  removeFavourite,
+  MAX_FAVOURITES,
+} = require("../accounts/favourites");
+const { sendError, sendValidationError } = require("../errors");
+const { fieldError, prefixErrors, checkCurrency } = require("../validation");
+const log = require("../logger");
+
+const router = express.Router();
+
+router.use(attachUser, requireUser);
+
+router.param("id", (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) return sendError(res, 404, "Saved search not found");
+  next();
+});
+
+router.param("code", (req, res, next, code) => {
+  if (!/^[A-Za-z]{3}$/.test(code)) {
+    return sendValidationError(res, [
+      fieldError("code", "invalid_format", "Airport must be a 3-letter code."),
+    ]);
+  }
+  req.airportCode = code.toUpperCase();
+  next();
+});
+
+/* ---- Preferences ---- */
+router.get("/preferences", (req, res) => {
+  res.json({ preferences: req.user.preferences });
+});
+
+router.put("/preferences", async (req, res) => {
+  const { errors, values } = validatePreferences(req.body || {});
+  await checkCurrency(errors, values.currency);
+  if (errors.length) return sendValidationError(res, errors);
+
+  try {
+    const user = await updatePreferences(req.user.id, values);
+    res.json({ preferences: user.preferences });
+  } catch (err) {
+    log.error("Update preferences failed", { err });
+    sendError(res, 500, "Unable to save preferences");
+  }
+});
+
+/* ---- Saved searches ---- */
+router.get("/saved-searches", async (req, res) => {
+  try {
+    res.json({ savedSearches: await listSavedSearches(req.user.id) });
+  } catch (err) {
+    log.error("List saved searches failed", { err });
+    sendError(res, 500, "Unable to load saved searches");
+  }
+});
+
+router.post("/saved-searches", async (req, res) => {
+  const { name, error: nameError } = validateName(req.body?.name);
+  const { errors: paramErrors, params } = normalizeSearchParams(req.body?.params || {});
+  const errors = prefixErrors(paramErrors, "params.");
+  if (nameError) errors.unshift(nameError);
+  if (errors.length) return sendValidationError(res, errors);
+
+  try {
+    const saved = await createSavedSearch(req.user.id, { name, params });
+    if (!saved) {
+      return sendError(res, 409, `You can keep at most ${MAX_SAVED_SEARCHES} saved searches.`);
+    }
+    res.status(201).json({ savedSearch: saved });
+  } catch (err) {
+    log.error("Save search failed", { err });
+    sendError(res, 500, "Unable to save search");
+  }
+});
+
+router.patch("/saved-searches/:id", async (req, res) => {
+  const body = req.body || {};
+  const errors = [];
+  let name;
+  let params;
+
+  if (body.name !== undefined) {
+    const v = validateName(body.name);
+    if (v.error) errors.push(v.error);
+    else name = v.name;
+  }
+  if (body.params !== undefined) {
+    const v = normalizeSearchParams(body.params || {});
+    errors.push(...prefixErrors(v.errors, "params."));
+    params = v.params;
+  }
+  if (errors.length) return sendValidationError(res, errors);
+
+  try {
+    const saved = await updateSavedSearch(req.params.id, req.user.id, { name, params });
+    if (!saved) return sendError(res, 404, "Saved search not found");
+    res.json({ savedSearch: saved });
+  } catch (err) {
+    log.error("Update saved search failed", { err });
+    sendError(res, 500, "Unable to update saved search");
+  }
+});
+
+router.delete("/saved-searches/:id", async (req, res) => {
+  try {
+    const deleted = await deleteSavedSearch(req.params.id, req.user.id);
+    if (!deleted) return sendError(res, 404, "Saved search not found");
+    res.status(204).end();
+  } catch (err) {
+    log.error("Delete saved search failed", { err });
+    sendError(res, 500, "Unable to delete saved search");
+  }
+});
+
+/* ---- Recent searches ---- */
+router.get("/recent-searches", async (req, res) => {
+  try {
+    res.json({ recentSearches: await listRecentSearches(req.user.id) });
+  } catch (err) {
+    log.error("List recent searches failed", { err });
+    sendError(res, 500, "Unable to load recent searches");
+  }
+});
+
+router.delete("/recent-searches", async (req, res) => {
+  try {
+    await clearRecentSearches(req.user.id);
+    res.status(204).end();
+  } catch (err) {
+    log.error("Clear recent searches failed", { err });
+    sendError(res, 500, "Unable to clear recent searches");
+  }
+});
+
+/* ---- Favourite airports ---- */
+router.get("/favourite-airports", async (req, res) => {
+  try {
+    res.json({ favouriteAirports: await listFavourites(req.user.id) });
+  } catch (err) {
+    log.error("List favourites failed", { err });
+    sendError(res, 500, "Unable to load favourite airports");
+  }
+});
+
+router.put("/favourite-airports/:code", async (req, res) => {
+  const label = typeof req.body?.label === "string" ? req.body.label.trim().slice(0, 200) : null;
+
+  try {
+    const favourite = await addFavourite(req.user.id, { code: req.airportCode, label });
+    if (!favourite) {
+      return sendError(res, 409, `You can keep at most ${MAX_FAVOURITES} favourite airports.`);
+    }
+    res.json({ favouriteAirport: favourite });
+  } catch (err) {
+    log.error("Add favourite failed", { err });
+    sendError(res, 500, "Unable to save favourite airport");
+  }
+});
+
+router.delete("/favourite-airports/:code", async (req, res) => {
+  try {
+    const deleted = await removeFavourite(req.user.id, req.airportCode);
+    if (!deleted) return sendError(res, 404, "Favourite airport not found");
+    res.status(204).end();
+  } catch (err) {
+    log.error("Remove favourite failed", { err });
+    sendError(res, 500, "Unable to remove favourite airport");
+  }
+});
+
+module.exports = router;
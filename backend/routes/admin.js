@@ -0,0 +1,121 @@
+// backend/routes/admin.js
+// Operator endpoints: /api/admin/*
+//   GET /api/admin/backtest   advisor backtest (backtest.js)
+//   GET /api/admin/usage      provider budgets and API usage (quota/)
+//   GET /api/admin/retention  retention policies and the last run (retention.js)
+//   POST /api/admin/retention/run   apply retention now
+//
+// Disabled unless ADMIN_TOKEN is set; every request must send it as
+// "Authorization: Bearer <ADMIN_TOKEN>".
+
+const crypto = require("crypto");
+const express = require("express");
+
+const { runBacktest } = require("../backtest");
+const { usageHistory } = require("../quota/usage");
+const { budgetStatus } = require("../quota/budgets");
+const { getEnabledProviders } = require("../providers");
+const { retentionStatus, runRetention } = require("../retention");
+const { sendError } = require("../errors");
+const { validateQuery } = require("../validation");
+const log = require("../logger");
+
+const router = express.Router();
+
+function tokenMatches(given, expected) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+router.use((req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return sendError(res, 404, "Admin API is disabled.");
+
+  const given = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!tokenMatches(given, expected)) {
+    return sendError(res, 401, "Invalid admin token.");
+  }
+  next();
+});
+
+const DEFAULT_BACKTEST_SNAPSHOTS = 1000;
+const MAX_BACKTEST_SNAPSHOTS = 5000;
+
+const BACKTEST_QUERY = {
+  fields: {
+    origin: { type: "iata" },
+    destination: { type: "iata" },
+    from: { type: "date" },
+    to: { type: "date" },
+    // Each snapshot is a forecast query; page with `from` = page.nextFrom
+    limit: { type: "int", min: 1, max: MAX_BACKTEST_SNAPSHOTS, default: DEFAULT_BACKTEST_SNAPSHOTS },
+  },
+};
+
+const USAGE_QUERY = {
+  fields: {
+    days: { type: "int", min: 1, max: 90, default: 7 },
+  },
+};
+
+/**
+ * GET /api/admin/backtest?origin=DEL&destination=DXB&from=2026-01-01&to=2026-06-30&limit=1000
+ * Replays the advisor over price_history; all filters optional. At most
+ * `limit` snapshots per request; `page.nextFrom` is the next page's `from`.
+ */
+router.get("/backtest", validateQuery(BACKTEST_QUERY), async (req, res) => {
+  const { origin, destination, from, to, limit } = req.valid;
+
+  if (!process.env.DATABASE_URL) {
+    return sendError(res, 503, "Backtesting needs a database (DATABASE_URL).");
+  }
+
+  try {
+    const report = await runBacktest({ origin, destination, from, to, limit });
+    res.json(report);
+  } catch (err) {
+    log.error("Backtest failed", { err });
+    sendError(res, 500, "Backtest failed");
+  }
+});
+
+/**
+ * GET /api/admin/usage?days=7
+ * Today's provider budgets plus stored daily usage: upstream calls per
+ * provider and requests / 429s per client.
+ */
+router.get("/usage", validateQuery(USAGE_QUERY), async (req, res) => {
+  const { days } = req.valid;
+
+  try {
+    const budgets = await budgetStatus(getEnabledProviders().map((p) => p.name));
+    if (!process.env.DATABASE_URL) {
+      return res.json({ budgets, history: null });
+    }
+    res.json({ budgets, history: await usageHistory({ days }) });
+  } catch (err) {
+    log.error("Usage report failed", { err });
+    sendError(res, 500, "Usage report failed");
+  }
+});
+
+router.get("/retention", (req, res) => {
+  res.json(retentionStatus());
+});
+
+/** Waits for the run (or the one already in progress) and returns it */
+router.post("/retention/run", async (req, res) => {
+  if (!process.env.DATABASE_URL) {
+    return sendError(res, 503, "Retention needs a database (DATABASE_URL).");
+  }
+
+  try {
+    res.json({ run: await runRetention() });
+  } catch (err) {
+    log.error("Retention run failed", { err });
+    sendError(res, 500, "Retention run failed");
+  }
+});
+
+module.exports = router;
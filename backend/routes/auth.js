@@ -0,0 +1,89 @@
+// backend/routes/auth.js
+// Accounts: /api/auth
+//
+//   POST /register  { email, password }  → 201 { user, token, expiresAt }
+//   POST /login     { email, password }  → { user, token, expiresAt }
+//   POST /logout                          → 204 (ends the current session)
+//   GET  /me                              → { user }
+//
+// The token goes in "Authorization: Bearer <token>" on later requests.
+
+const express = require("express");
+
+const { validateCredentials, createUser, authenticate } = require("../accounts/users");
+const {
+  createSession,
+  deleteSession,
+  attachUser,
+  requireUser,
+} = require("../accounts/sessions");
+const { sendError, sendValidationError } = require("../errors");
+const { fieldError } = require("../validation");
+const { authLimiter, loginEmailLimiter } = require("../quota/rateLimit");
+const log = require("../logger");
+
+const router = express.Router();
+
+router.use((req, res, next) => {
+  if (!process.env.DATABASE_URL) {
+    return sendError(res, 503, "Accounts need a database (DATABASE_URL).");
+  }
+  next();
+});
+
+router.post("/register", authLimiter, async (req, res) => {
+  const { errors, email } = validateCredentials(req.body || {});
+  if (errors.length) return sendValidationError(res, errors);
+
+  try {
+    const user = await createUser({ email, password: req.body.password });
+    if (!user) return sendError(res, 409, "An account with this e-mail already exists.");
+
+    const session = await createSession(user.id);
+    res.status(201).json({ user, ...session });
+  } catch (err) {
+    log.error("Register failed", { err });
+    sendError(res, 500, "Unable to create account");
+  }
+});
+
+router.post("/login", authLimiter, loginEmailLimiter, async (req, res) => {
+  const { email, password } = req.body || {};
+  const missing = [
+    ["email", "E-mail is required."],
+    ["password", "Password is required."],
+  ].filter(([field]) => !req.body?.[field]);
+  if (missing.length) {
+    return sendValidationError(
+      res,
+      missing.map(([field, message]) => fieldError(field, "required", message))
+    );
+  }
+
+  try {
+    const user = await authenticate({ email, password });
+    if (!user) return sendError(res, 401, "Wrong e-mail or password.");
+
+    const session = await createSession(user.id);
+    res.json({ user, ...session });
+  } catch (err) {
+    log.error("Login failed", { err });
+    sendError(res, 500, "Unable to sign in");
+  }
+});
+
+router.post("/logout", attachUser, async (req, res) => {
+  try {
+    if (req.sessionToken) await deleteSession(req.sessionToken);
+    res.status(204).end();
+  } catch (err) {
+    log.error("Logout failed", { err });
+    sendError(res, 500, "Unable to sign out");
+  }
+});
+
+router.get("/me", attachUser, requireUser, (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
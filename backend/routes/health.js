@@ -0,0 +1,43 @@
+// backend/routes/health.js
+// Liveness and readiness probes:
+//   GET /api/health          liveness (kept for existing callers)
+//   GET /api/health/live     liveness: the process is up and serving
+//   GET /api/health/ready    readiness: checks every dependency, see health.js;
+//                            503 when a required one is down
+
+const express = require("express");
+
+const { readiness } = require("../health");
+const log = require("../logger");
+
+const router = express.Router();
+const startedAt = new Date();
+
+function live(req, res) {
+  res.json({
+    status: "ok",
+    service: "313flight",
+    uptimeSeconds: Math.round((Date.now() - startedAt.getTime()) / 1000),
+    db: process.env.DATABASE_URL ? "Postgres (Neon)" : "No DB",
+  });
+}
+
+router.get("/", live);
+router.get("/live", live);
+
+router.get("/ready", async (req, res) => {
+  try {
+    const report = await readiness();
+    if (!report.ready) {
+      log.warn("Readiness check failed", {
+        down: report.checks.filter((c) => c.status === "down").map((c) => c.name),
+      });
+    }
+    res.status(report.ready ? 200 : 503).json({ service: "313flight", ...report });
+  } catch (err) {
+    log.error("Readiness check failed", { err });
+    res.status(503).json({ service: "313flight", status: "unhealthy", ready: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// backend/routes/offers.js
+// Stored offers (offers.js): /api/offers
+//
+//   GET /trajectory?flight=EK511&date=2026-12-01   one flight's fare over time
+//       optional: currency, cabin, origin, destination, returnDate
+
+const express = require("express");
+
+const { fareTrajectory } = require("../offers");
+const { sendError } = require("../errors");
+const { validateQuery, CABINS } = require("../validation");
+const log = require("../logger");
+
+const router = express.Router();
+
+const TRAJECTORY_QUERY = {
+  fields: {
+    flight: { type: "flightNumber", required: true },
+    date: { type: "date", required: true },
+    currency: { type: "currency" },
+    cabin: { type: "enum", values: CABINS },
+    origin: { type: "iata" },
+    destination: { type: "iata" },
+    returnDate: { type: "date" },
+  },
+};
+
+router.use((req, res, next) => {
+  if (!process.env.DATABASE_URL) {
+    return sendError(res, 503, "Stored offers need a database (DATABASE_URL).");
+  }
+  next();
+});
+
+router.get("/trajectory", validateQuery(TRAJECTORY_QUERY), async (req, res) => {
+  const { flight, ...filters } = req.valid;
+
+  try {
+    res.json(await fareTrajectory({ flightNumber: flight, ...filters }));
+  } catch (err) {
+    log.error("Fare trajectory failed", { err });
+    sendError(res, 500, "Unable to load fare trajectory");
+  }
+});
+
+module.exports = router;
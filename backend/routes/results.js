@@ -0,0 +1,50 @@
+// backend/routes/results.js
+// Re-filter, re-sort and page a stored search: /api/flights/results/:resultId
+//
+// Takes the same filters as POST /api/flights as query parameters, e.g.
+//   ?maxStops=0&airlines=EK,QR&departAfter=06:00&sort=duration&limit=10
+// plus `cursor` from the previous page's page.nextCursor.
+
+const express = require("express");
+
+const { getResultSet, isResultSetId } = require("../resultSets");
+const { parseResultQuery, queryResultSet, buildFacets } = require("../resultQuery");
+const { seatedCount } = require("../passengers");
+const { sendError, sendValidationError } = require("../errors");
+const log = require("../logger");
+
+const router = express.Router();
+
+router.param("resultId", (req, res, next, id) => {
+  if (!isResultSetId(id)) return sendError(res, 404, "Result set not found");
+  next();
+});
+
+router.get("/:resultId", async (req, res) => {
+  const { query, errors } = parseResultQuery(req.query);
+  if (errors.length) return sendValidationError(res, errors);
+
+  try {
+    const set = await getResultSet(req.params.resultId);
+    if (!set) {
+      return sendError(res, 404, "Result set expired. Run the search again.", {
+        code: "result_expired",
+      });
+    }
+
+    const { flights, page } = queryResultSet(set.flights, query, {
+      travelers: seatedCount(set.meta?.passengers || { adults: set.meta?.adults }),
+    });
+    res.json({
+      flights,
+      page: { resultId: req.params.resultId, expiresAt: set.expiresAt, ...page },
+      facets: buildFacets(set.flights),
+      meta: set.meta,
+    });
+  } catch (err) {
+    log.error("Result set load failed", { err });
+    sendError(res, 500, "Unable to load results");
+  }
+});
+
+module.exports = router;
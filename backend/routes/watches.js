@@ -0,0 +1,134 @@
+// backend/routes/watches.js
+// Price watch CRUD: /api/watches
+//
+// Watches belong to an anonymous owner: the browser generates a random id,
+// keeps it in localStorage and sends it as the X-Client-Id header.
+
+const express = require("express");
+
+const {
+  validateWatchInput,
+  listWatches,
+  getWatch,
+  createWatch,
+  updateWatch,
+  deleteWatch,
+  listNotifications,
+} = require("../alerts/watches");
+const { availableChannels } = require("../alerts/notifiers");
+const { checkWatch } = require("../alerts/scheduler");
+const { searchLimiter } = require("../quota/rateLimit");
+const { sendError, sendValidationError } = require("../errors");
+const { fieldError, checkCurrency } = require("../validation");
+const log = require("../logger");
+
+const router = express.Router();
+
+/** Require a DB and an owner id on every watch route */
+router.use((req, res, next) => {
+  if (!process.env.DATABASE_URL) {
+    return sendError(res, 503, "Price alerts need a database (DATABASE_URL).");
+  }
+
+  const ownerKey = req.get("X-Client-Id");
+  if (!ownerKey || !/^[A-Za-z0-9-]{8,64}$/.test(ownerKey)) {
+    return sendValidationError(res, [
+      fieldError("X-Client-Id", ownerKey ? "invalid_format" : "required", "Missing or invalid X-Client-Id."),
+    ]);
+  }
+
+  req.ownerKey = ownerKey;
+  next();
+});
+
+router.param("id", (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) return sendError(res, 404, "Watch not found");
+  next();
+});
+
+router.get("/channels", (req, res) => {
+  res.json({ channels: availableChannels() });
+});
+
+router.get("/", async (req, res) => {
+  try {
+    res.json({ watches: await listWatches(req.ownerKey) });
+  } catch (err) {
+    log.error("List watches failed", { err });
+    sendError(res, 500, "Unable to load watches");
+  }
+});
+
+router.post("/", async (req, res) => {
+  const { errors, values } = validateWatchInput(req.body || {});
+  await checkCurrency(errors, values.currency);
+  if (errors.length) return sendValidationError(res, errors);
+
+  try {
+    const watch = await createWatch(req.ownerKey, values);
+    res.status(201).json({ watch });
+  } catch (err) {
+    log.error("Create watch failed", { err });
+    sendError(res, 500, "Unable to save watch");
+  }
+});
+
+router.patch("/:id", async (req, res) => {
+  try {
+    // Date rules compare the update with what's stored
+    const current = await getWatch(req.params.id, req.ownerKey);
+    if (!current) return sendError(res, 404, "Watch not found");
+
+    const { errors, values } = validateWatchInput(req.body || {}, { current });
+    await checkCurrency(errors, values.currency);
+    if (errors.length) return sendValidationError(res, errors);
+
+    const watch = await updateWatch(current.id, req.ownerKey, values);
+    if (!watch) return sendError(res, 404, "Watch not found");
+    res.json({ watch });
+  } catch (err) {
+    log.error("Update watch failed", { err });
+    sendError(res, 500, "Unable to update watch");
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const deleted = await deleteWatch(req.params.id, req.ownerKey);
+    if (!deleted) return sendError(res, 404, "Watch not found");
+    res.status(204).end();
+  } catch (err) {
+    log.error("Delete watch failed", { err });
+    sendError(res, 500, "Unable to delete watch");
+  }
+});
+
+router.get("/:id/notifications", async (req, res) => {
+  try {
+    const watch = await getWatch(req.params.id, req.ownerKey);
+    if (!watch) return sendError(res, 404, "Watch not found");
+    res.json({ notifications: await listNotifications(watch.id) });
+  } catch (err) {
+    log.error("List notifications failed", { err });
+    sendError(res, 500, "Unable to load notifications");
+  }
+});
+
+/**
+ * Re-check one watch right away instead of waiting for the scheduler.
+ * That is a full provider search, so it counts against the search limit.
+ */
+router.post("/:id/check", searchLimiter, async (req, res) => {
+  try {
+    const watch = await getWatch(req.params.id, req.ownerKey);
+    if (!watch) return sendError(res, 404, "Watch not found");
+
+    const result = await checkWatch(watch);
+    res.json({ ...result, watch: await getWatch(watch.id, req.ownerKey) });
+  } catch (err) {
+    log.error("Check watch failed", { err });
+    sendError(res, 500, "Unable to check watch");
+  }
+});
+
+module.exports = router;
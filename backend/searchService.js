@@ -0,0 +1,268 @@
+// backend/searchService.js
+// Flight search pipeline shared by /api/flights and background jobs:
+// cached providers → history → price scores → flexible dates → AI advice
+//
+// `onProgress` streams provider results as they arrive (see
+// searchFlightsCached); everything after the provider step waits for all.
+// `onStart` gets the routes about to be searched, before any provider call.
+// `takeSearch` charges the caller's search quota for flexible-date cells
+// and extra nearby-airport routes.
+//
+// Multi-city searches (tripType "multi" + legs) stop after the provider
+// step: history, flexible dates and the advisor are all keyed on a single
+// origin/destination/date and would mix unrelated fares.
+//
+// `nearbyAirports` (or a city code) searches every origin × destination
+// airport pair (nearbyAirports.js) as its own route. History, offers and
+// price scores stay per route; flexible dates and the advisor use the
+// requested pair.
+
+const { searchFlightsCached } = require("./cachedSearch");
+const { saveHistory } = require("./history");
+const { saveOffers } = require("./offers");
+const { scoreFlights } = require("./priceScore");
+const { buildFlexMatrix } = require("./flexDates");
+const { blendedAdvice } = require("./aiAdvisor");
+const { hasNonAdults } = require("./passengers");
+const { expandRoute, mergeRouteSearches } = require("./nearbyAirports");
+const { mapLimit } = require("./concurrency");
+
+// Routes of one nearby-airports search searched at once
+const ROUTE_CONCURRENCY = 3;
+
+/* ----------------------------------------------------------
+   SEARCH PIPELINE
+---------------------------------------------------------- */
+async function runFlightSearch({
+  originCode,
+  destinationCode,
+  departureDate,
+  returnDate,
+  tripType,
+  legs,
+  adults,
+  children = 0,
+  infantsInSeat = 0,
+  infantsOnLap = 0,
+  cabin,
+  currency,
+  flexibleDates,
+  nearbyAirports = false,
+  refresh = false,
+  onStart,
+  onProgress,
+  takeSearch,
+}) {
+  const multiCity = tripType === "multi" && legs?.length > 1;
+  const passengers = { adults, children, infantsInSeat, infantsOnLap };
+
+  const expanded = multiCity
+    ? { routes: [{ originCode, destinationCode }] }
+    : expandRoute({ originCode, destinationCode, nearby: nearbyAirports });
+  const routeNames = expanded.routes.map((r) => `${r.originCode}-${r.destinationCode}`);
+  onStart?.({ routes: routeNames });
+
+  // Progress shows every route's flights that have arrived so far
+  const arrived = expanded.routes.map(() => []);
+  const routeSearches = await mapLimit(expanded.routes, ROUTE_CONCURRENCY, (route, i) =>
+    searchFlightsCached(
+      {
+        originCode: route.originCode,
+        destinationCode: route.destinationCode,
+        departureDate,
+        returnDate: tripType === "round" ? returnDate : undefined,
+        legs: multiCity ? legs : undefined,
+        ...passengers,
+        cabin,
+        currency,
+      },
+      {
+        refresh,
+        // The requested route is the search the limiter already counted
+        takeSearch: i > 0 ? takeSearch : undefined,
+        onProgress: onProgress
+          ? ({ provider, flights: routeFlights }) => {
+              arrived[i] = routeFlights;
+              onProgress({ provider, flights: arrived.flat() });
+            }
+          : undefined,
+      }
+    )
+  );
+  const { flights, providers, partial, cache } = mergeRouteSearches(routeSearches);
+
+  const meta = {
+    tripType: multiCity ? "multi" : tripType === "round" ? "round" : "oneway",
+    originCode,
+    destinationCode,
+    departureDate,
+    returnDate: tripType === "round" ? returnDate : undefined,
+    legs: multiCity ? legs : undefined,
+    ...(expanded.routes.length > 1
+      ? {
+          routes: routeNames,
+          airports: { origins: expanded.origins, destinations: expanded.destinations },
+        }
+      : {}),
+    adults,
+    passengers,
+    cabin,
+    currency,
+    cache,
+    partial,
+    providers: providers.map(({ name, status, reason, ms, count }) => ({
+      name,
+      status,
+      ...(reason ? { reason } : {}),
+      ms,
+      count,
+    })),
+  };
+
+  if (!flights.length) {
+    return {
+      flights: [],
+      stats: null,
+      model: null,
+      flexibleDates: null,
+      meta,
+    };
+  }
+
+  /** Price stats */
+  const prices = flights.map((f) => f.price);
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+  const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
+  const stats = {
+    count: flights.length,
+    minPrice,
+    avgPrice: Math.round(avgPrice * 100) / 100,
+    maxPrice,
+    currency,
+  };
+
+  if (multiCity) {
+    return {
+      flights,
+      stats,
+      model: null,
+      flexibleDates: null,
+      meta,
+    };
+  }
+
+  // Save history — only for fresh, complete provider
+  // results: a cache hit would insert the same snapshot twice, and a
+  // partial one would skew the averages. Family totals (child and infant
+  // fares) aren't comparable with the adult history.
+  const recordHistory = !hasNonAdults(passengers);
+  const scoredByRoute = [];
+  for (const [i, route] of expanded.routes.entries()) {
+    const search = routeSearches[i];
+    if (!search.flights.length) continue;
+
+    if (!search.cache.hit && !search.partial && recordHistory) {
+      await saveHistory({
+        origin: route.originCode,
+        destination: route.destinationCode,
+        departureDate,
+        currency,
+        flights: search.flights,
+      });
+    }
+
+    // Every offer of a fresh search, families and partial answers included
+    // (each row carries its passengers and the run its partial flag)
+    if (!search.cache.hit) {
+      await saveOffers({
+        originCode: route.originCode,
+        destinationCode: route.destinationCode,
+        departureDate,
+        returnDate: tripType === "round" ? returnDate : undefined,
+        cabin,
+        passengers,
+        currency,
+        partial: search.partial,
+        flights: search.flights,
+      });
+    }
+
+    // "Cheaper than 85% of fares we've seen" on every fare (priceScore.js)
+    scoredByRoute.push(
+      await scoreFlights({
+        originCode: route.originCode,
+        destinationCode: route.destinationCode,
+        departureDate,
+        returnDate: tripType === "round" ? returnDate : undefined,
+        cabin,
+        currency,
+        passengers,
+        flights: search.flights,
+      })
+    );
+  }
+  const scoredFlights = scoredByRoute.flat();
+
+  const bestFlight = scoredFlights.reduce(
+    (p, c) => (c.price < p.price ? c : p),
+    scoredFlights[0]
+  );
+
+  // Flexible dates and the advisor compare against one route's history:
+  // the requested pair (or a city's first airports), with its own prices
+  const primary = expanded.routes[0];
+  const primaryPrices = routeSearches[0].flights.length
+    ? routeSearches[0].flights.map((f) => f.price)
+    : prices;
+  const primaryMin = Math.min(...primaryPrices);
+  const primaryBest =
+    scoredFlights.find(
+      (f) =>
+        f.origin === primary.originCode &&
+        f.destination === primary.destinationCode &&
+        f.price === primaryMin
+    ) || bestFlight;
+
+  // Flexible-date price matrix (if user toggled it)
+  let flexMatrix = null;
+  if (flexibleDates) {
+    flexMatrix = await buildFlexMatrix({
+      originCode: primary.originCode,
+      destinationCode: primary.destinationCode,
+      departureDate,
+      returnDate,
+      tripType,
+      ...passengers,
+      cabin,
+      currency,
+      baseMinPrice: primaryMin,
+      recordHistory,
+      takeSearch,
+    });
+  }
+
+  // AI blended model
+  const model = await blendedAdvice({
+    origin: primary.originCode,
+    destination: primary.destinationCode,
+    departureDate,
+    todayStr: new Date().toISOString().slice(0, 10),
+    minPrice: primaryMin,
+    avgPrice: primaryPrices.reduce((a, b) => a + b, 0) / primaryPrices.length,
+    maxPrice: Math.max(...primaryPrices),
+    bestFlight: primaryBest,
+  });
+
+  return {
+    flights: scoredFlights,
+    stats,
+    model,
+    flexibleDates: flexMatrix,
+    meta,
+  };
+}
+
+module.exports = {
+  runFlightSearch,
+};
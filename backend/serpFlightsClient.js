@@ -1,11 +1,18 @@
 // backend/serpFlightsClient.js
 
 require("dotenv").config();
-const axios = require("axios");
-const { airlineNameFromCode } = require("./aiAdvisor");
+const { buildSegment, buildItinerary, buildFlight } = require("./itinerary");
+const { buildFare, numOrNull } = require("./fares");
+const { createHttpClient } = require("./httpClient");
 
 const SERPAPI_KEY = process.env.SERPAPI_KEY;
 
+// deep_search is slow; give it longer than the other providers
+const http = createHttpClient({
+  name: "serpapi",
+  timeoutMs: Number(process.env.SERPAPI_TIMEOUT_MS) || 20000,
+});
+
 // Map cabin class → SerpApi travel_class
 const CLASS_MAP = {
   ECONOMY: 1,
@@ -15,116 +22,194 @@ const CLASS_MAP = {
 };
 
 /**
- * Search Google Flights via SerpApi
+ * Raw Google Flights call via SerpApi (throws on HTTP errors)
  */
-async function searchSerpFlights({
+async function fetchSerpFlights({
   originCode,
   destinationCode,
   departureDate,
   returnDate,
+  legs,
   adults,
+  children = 0,
+  infantsInSeat = 0,
+  infantsOnLap = 0,
   cabin,
   currency,
-}) {
-  if (!SERPAPI_KEY) {
-    console.warn("SERPAPI_KEY missing — skipping SerpApi search");
-    return [];
+}, { requestId, signal } = {}) {
+  const travelClass = CLASS_MAP[cabin] || 1;
+
+  const params = {
+    engine: "google_flights",
+    departure_id: originCode,
+    arrival_id: destinationCode,
+    outbound_date: departureDate,
+    api_key: SERPAPI_KEY,
+    currency,
+    adults,
+    children,
+    infants_in_seat: infantsInSeat,
+    infants_on_lap: infantsOnLap,
+    travel_class: travelClass,
+    type: returnDate ? 1 : 2, // 1=round, 2=one-way
+    deep_search: true,
+    gl: "in",
+    hl: "en",
+  };
+
+  if (returnDate) params.return_date = returnDate;
+
+  // Multi-city: type 3 + every leg in multi_city_json
+  if (legs?.length) {
+    params.type = 3;
+    params.multi_city_json = JSON.stringify(
+      legs.map((leg) => ({
+        departure_id: leg.originCode,
+        arrival_id: leg.destinationCode,
+        date: leg.departureDate,
+      }))
+    );
+    delete params.departure_id;
+    delete params.arrival_id;
+    delete params.outbound_date;
   }
 
-  try {
-    const travelClass = CLASS_MAP[cabin] || 1;
-
-    const params = {
-      engine: "google_flights",
-      departure_id: originCode,
-      arrival_id: destinationCode,
-      outbound_date: departureDate,
-      api_key: SERPAPI_KEY,
-      currency,
-      adults,
-      travel_class: travelClass,
-      type: returnDate ? 1 : 2, // 1=round, 2=one-way
-      deep_search: true,
-      gl: "in",
-      hl: "en",
-    };
-
-    if (returnDate) params.return_date = returnDate;
-
-    const url = "https://serpapi.com/search";
-    const res = await axios.get(url, { params });
-
-    const data = res.data || {};
-    const best = data.best_flights || [];
-    const other = data.other_flights || [];
-
-    const googleUrl = data.search_metadata?.google_flights_url || null;
-
-    const flights = [...best, ...other]
-      .map((f) => {
-        const seg = f.flights?.[0];
-        if (!seg) return null;
-
-        // Extract airline / carrier
-        const rawFlightNumber = seg.flight_number || "";
-        const carrier = rawFlightNumber.split(" ")[0] || null;
-
-        const airline =
-          airlineNameFromCode(carrier) ||
-          seg.airline ||
-          carrier ||
-          "Unknown airline";
-
-        const departTime =
-          seg.departure_airport?.time_utc ||
-          seg.departure_airport?.time ||
-          null;
-
-        const arrivalTime =
-          seg.arrival_airport?.time_utc ||
-          seg.arrival_airport?.time ||
-          null;
-
-        // 🔧 Robust stops handling:
-        // 1) use numeric f.stops if present
-        // 2) else derive from number of segments
-        // 3) else parse string like "1 stop"
-        let stopsCount = 0;
-
-        if (typeof f.stops === "number") {
-          stopsCount = f.stops;
-        } else if (Array.isArray(f.flights) && f.flights.length > 0) {
-          // if there are 2 flights segments, that means 1 stop, etc.
-          stopsCount = Math.max(0, f.flights.length - 1);
-        } else if (typeof f.stops === "string") {
-          const m = f.stops.match(/\d+/);
-          stopsCount = m ? parseInt(m[0], 10) : 0;
-        } else {
-          stopsCount = 0;
-        }
-
-        const nonstop = stopsCount === 0;
-
-        return {
-          airline,
-          flightNumber: rawFlightNumber || carrier,
-          departTime,
-          arrivalTime,
-          nonstop,
-          stops: stopsCount,
-          price: Number(f.price || f.price_value || 0),
-          currency,
-          carrierCode: carrier,
-          bookingUrl: googleUrl,
-        };
+  const url = "https://serpapi.com/search";
+  const res = await http.get(url, {
+    params,
+    headers: requestId ? { "X-Request-Id": requestId } : {},
+    signal,
+  });
+
+  return res.data || {};
+}
+
+/**
+ * Normalize a full SerpApi response (best + other flights)
+ */
+function normalizeSerpResponse(data, { currency, returnDate, legs } = {}) {
+  const best = data.best_flights || [];
+  const other = data.other_flights || [];
+
+  const googleUrl = data.search_metadata?.google_flights_url || null;
+
+  return [...best, ...other]
+    .map((f) =>
+      normalizeSerpFlight(f, {
+        currency,
+        bookingUrl: googleUrl,
+        roundTrip: !!returnDate,
+        legCount: legs?.length || 0,
       })
-      .filter((f) => f && f.price > 0);
+    )
+    .filter((f) => f && f.price > 0);
+}
 
-    return flights;
-  } catch (err) {
-    console.error("SerpApi error:", err.response?.data || err.message);
-    return [];
-  }
+/** True when SERPAPI_KEY is set */
+function isConfigured() {
+  return !!SERPAPI_KEY;
 }
 
-module.exports = { searchSerpFlights };
+/**
+ * Fare details Google Flights exposes: cabin, legroom and the extensions
+ * list per segment plus the emissions estimate. No price split or bags.
+ */
+function serpFare(f, segs, currency) {
+  const emissions = f.carbon_emissions
+    ? {
+        grams: numOrNull(f.carbon_emissions.this_flight),
+        typicalGrams: numOrNull(f.carbon_emissions.typical_for_this_route),
+        differencePercent: numOrNull(f.carbon_emissions.difference_percent),
+      }
+    : null;
+
+  return buildFare({
+    currency,
+    total: f.price,
+    segments: segs.map((seg) => ({
+      flightNumber: seg.flight_number,
+      from: seg.departure_airport?.id,
+      to: seg.arrival_airport?.id,
+      cabin: seg.travel_class ? seg.travel_class.toUpperCase().replace(/ /g, "_") : null,
+      legroom: seg.legroom,
+      extensions: Array.isArray(seg.extensions) ? seg.extensions : [],
+    })),
+    emissions,
+  });
+}
+
+/**
+ * Normalize one SerpApi result (best_flights / other_flights entry)
+ * into the shared flight shape.
+ *
+ * Google Flights only returns the outbound leg of a round trip (or the
+ * first leg of a multi-city trip); the later legs need another call with
+ * `departure_token`, so we keep that token on the flight instead of
+ * inventing the missing itineraries.
+ */
+function normalizeSerpFlight(
+  f,
+  { currency, bookingUrl, roundTrip, legCount = 0 } = {}
+) {
+  const segs = Array.isArray(f.flights) ? f.flights : [];
+  if (!segs.length) return null;
+
+  const segments = segs.map((seg) => {
+    // "EK 511" → carrier "EK"
+    const rawFlightNumber = seg.flight_number || "";
+    const carrier = rawFlightNumber.split(" ")[0] || null;
+
+    return buildSegment({
+      carrierCode: carrier,
+      airline: seg.airline,
+      flightNumber: rawFlightNumber || carrier,
+      operatingAirline: seg.plane_and_crew_by,
+      from: seg.departure_airport?.id,
+      to: seg.arrival_airport?.id,
+      departTime: seg.departure_airport?.time,
+      arrivalTime: seg.arrival_airport?.time,
+      durationMinutes: typeof seg.duration === "number" ? seg.duration : null,
+      aircraft: seg.airplane,
+    });
+  });
+
+  const layovers = (f.layovers || []).map((l) => ({
+    airport: l.id,
+    airportName: l.name,
+    durationMinutes: typeof l.duration === "number" ? l.duration : undefined,
+    overnight: l.overnight,
+  }));
+
+  const outbound = buildItinerary({
+    direction: legCount ? "leg" : "outbound",
+    legIndex: 0,
+    segments,
+    layovers,
+    durationMinutes:
+      typeof f.total_duration === "number" ? f.total_duration : null,
+  });
+
+  return buildFlight({
+    itineraries: [outbound],
+    price: Number(f.price || f.price_value || 0),
+    currency,
+    bookingUrl,
+    source: "serpapi",
+    // Google Flights only shows the party total
+    priceBreakdown: null,
+    fare: serpFare(f, segs, currency),
+    ...(roundTrip && f.departure_token
+      ? { departureToken: f.departure_token, returnPending: true }
+      : {}),
+    ...(legCount > 1 && f.departure_token
+      ? { departureToken: f.departure_token, pendingLegs: legCount - 1 }
+      : {}),
+  });
+}
+
+module.exports = {
+  isConfigured,
+  fetchSerpFlights,
+  normalizeSerpResponse,
+  normalizeSerpFlight,
+};
@@ -1,46 +1,138 @@
 // backend/server.js
 require("dotenv").config();
 const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 
-const { run, all } = require("./db");
-const { searchLocations, searchFlights } = require("./amadeusClient");
-const { searchSerpFlights } = require("./serpFlightsClient");
-const { searchLocalAirports } = require("./localAirports");
-
+const log = require("./logger");
+const { renderMetrics, httpRequests, httpDuration } = require("./metrics");
+const { all } = require("./db");
+const { migrate } = require("./migrate");
+const { searchLocations } = require("./amadeusClient");
+const { searchLocalAirports, airportsInCity } = require("./localAirports");
+const { runFlightSearch } = require("./searchService");
+const { getEnabledProviders } = require("./providers");
+const { seatedCount } = require("./passengers");
+const { saveResultSet } = require("./resultSets");
+const { parseResultQuery, queryResultSet, buildFacets } = require("./resultQuery");
+const { backfillCanonicalPrices } = require("./history");
+const { exploreRoute } = require("./routeExplorer");
+const { getConverter } = require("./rates");
+const { sendError, sendValidationError, apiNotFound, errorHandler } = require("./errors");
 const {
-  airlineNameFromCode,
-  formatDuration,
-  blendedAdvice,
-  updateSeasonalStats,
-} = require("./aiAdvisor");
+  validateFlightSearch,
+  validateQuery,
+  checkCurrency,
+  prefixErrors,
+  schemas,
+} = require("./validation");
+const { startAlertScheduler } = require("./alerts/scheduler");
+const { startRetentionJob } = require("./retention");
+const healthRouter = require("./routes/health");
+const watchesRouter = require("./routes/watches");
+const resultsRouter = require("./routes/results");
+const adminRouter = require("./routes/admin");
+const authRouter = require("./routes/auth");
+const accountRouter = require("./routes/account");
+const offersRouter = require("./routes/offers");
+const { attachUser } = require("./accounts/sessions");
+const { apiLimiter, searchLimiter, searchAllowance } = require("./quota/rateLimit");
+const { normalizeSearchParams, recordRecentSearch } = require("./accounts/searches");
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-app.use(cors());
+// Behind a proxy / load balancer: TRUST_PROXY=1 (hops) so req.ip is the caller
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Cross-origin callers must be listed in CORS_ORIGINS ("*" allows any);
+// the bundled frontend is same-origin and needs no entry
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+
+app.use(
+  cors({
+    origin: CORS_ORIGINS.includes("*") ? true : CORS_ORIGINS,
+    exposedHeaders: ["X-Request-Id", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
+  })
+);
+
+/* ----------------------------------------------------------
+   REQUEST CONTEXT: id, access log, HTTP metrics
+---------------------------------------------------------- */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId = REQUEST_ID_PATTERN.test(incoming || "") ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    // Label by matched route, not raw URL, so ids in paths don't explode the series
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+
+    if (req.path.startsWith("/api/")) {
+      log.info("Request finished", {
+        requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        ms: Math.round(seconds * 1000),
+      });
+    }
+  });
+
+  log.withLogContext({ requestId }, next);
+});
+
 app.use(express.json());
 
-// Serve frontend
+// Serve frontend, plus the validation rules it shares with the API
 app.use(express.static(path.join(__dirname, "..", "frontend")));
+app.use("/shared", express.static(path.join(__dirname, "..", "shared")));
 
 /* ----------------------------------------------------------
-   HEALTH
+   HEALTH (liveness + readiness)
 ---------------------------------------------------------- */
-app.get("/api/health", async (req, res) => {
-  res.json({
-    status: "ok",
-    service: "313flight",
-    db: process.env.DATABASE_URL ? "Postgres (Neon)" : "No DB",
-  });
+app.use("/api/health", healthRouter);
+
+/* ----------------------------------------------------------
+   RATE LIMITS (everything under /api except health checks)
+---------------------------------------------------------- */
+app.use("/api", apiLimiter);
+
+/* ----------------------------------------------------------
+   METRICS (Prometheus text format)
+---------------------------------------------------------- */
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const given = Buffer.from((req.get("Authorization") || "").replace(/^Bearer\s+/i, ""));
+    const expected = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return sendError(res, 401, "Invalid metrics token.");
+    }
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
 });
 
 /* ----------------------------------------------------------
    LOCATIONS (autocomplete)
 ---------------------------------------------------------- */
-app.get("/api/locations", async (req, res) => {
-  const q = req.query.q;
+app.get("/api/locations", validateQuery(schemas.LOCATIONS_QUERY), async (req, res) => {
+  const { q } = req.valid;
 
   if (!q || q.length < 2) {
     return res.json({ locations: [] });
@@ -50,22 +142,19 @@ app.get("/api/locations", async (req, res) => {
     // Run both in parallel
     const [amadeusLocations, localLocations] = await Promise.all([
       searchLocations(q).catch((e) => {
-        console.error(
-          "Amadeus location error:",
-          e.response?.status,
-          e.response?.data || e.message
-        );
+        log.error("Amadeus location error", { err: e, response: e.response?.data });
         return []; // fail soft, don’t kill the whole request
       }),
       Promise.resolve(searchLocalAirports(q)),
     ]);
 
-    // Merge & dedupe by IATA code + city
+    // Merge & dedupe by IATA code + city + type (Dubai the city and DXB
+    // the airport share a code)
     const combinedMap = new Map();
 
     function addList(list) {
       for (const loc of list) {
-        const key = `${loc.iataCode || ""}-${(loc.cityName || "").toLowerCase()}`;
+        const key = `${loc.iataCode || ""}-${(loc.cityName || "").toLowerCase()}-${loc.type || ""}`;
         if (!combinedMap.has(key)) {
           combinedMap.set(key, loc);
         }
@@ -75,413 +164,313 @@ app.get("/api/locations", async (req, res) => {
     addList(amadeusLocations);
     addList(localLocations);
 
-    const locations = Array.from(combinedMap.values());
+    // Cities list the airports a search for them covers, when we know them
+    const locations = Array.from(combinedMap.values()).map((loc) =>
+      loc.type === "CITY" && !loc.airports
+        ? { ...loc, airports: airportsInCity(loc.iataCode).map((a) => a.iataCode) }
+        : loc
+    );
 
     res.json({ locations });
   } catch (err) {
-    console.error("Location error:", err.message);
+    log.error("Location error", { err });
     res.json({ locations: [] });
   }
 });
 
-/* ----------------------------------------------------------
-   Normalize Amadeus Flight
----------------------------------------------------------- */
-function normalizeAmadeus(offer, origin, dest, currency) {
-  try {
-    const itin = offer.itineraries[0];
-    const segs = itin.segments;
-    const first = segs[0];
-    const last = segs[segs.length - 1];
-
-    const carrier = first.carrierCode;
-    const airline = airlineNameFromCode(carrier);
-
-    return {
-      airline,
-      flightNumber: `${carrier} ${first.number}`,
-      departTime: first.departure.at,
-      arrivalTime: last.arrival.at,
-      duration: formatDuration(itin.duration),
-      nonstop: segs.length === 1,
-      stops: segs.length - 1,
-      price: parseFloat(offer.price.grandTotal || offer.price.total || 0),
-      currency,
-      carrierCode: carrier,
-      bookingUrl: `https://www.google.com/search?q=${encodeURIComponent(
-        `Flights from ${origin} to ${dest} on ${first.departure.at.substring(0, 10)}`
-      )}`,
-    };
-  } catch (err) {
-    console.error("Normalize Amadeus failed:", err.message);
-    return null;
-  }
-}
-
-/* ----------------------------------------------------------
-   Merge + dedupe
----------------------------------------------------------- */
-function dedupeFlights(flights) {
-  const map = new Map();
-  for (const f of flights) {
-    if (!f) continue; // skip invalid entries
-
-    const key = `${f.carrierCode}-${f.flightNumber}-${f.departTime}-${f.arrivalTime}`;
-    if (!map.has(key) || f.price < map.get(key).price) {
-      map.set(key, f);
-    }
-  }
-  return Array.from(map.values());
-}
-
-/* ----------------------------------------------------------
-   Postgres history + seasonal update
----------------------------------------------------------- */
-async function saveHistory({
-  origin,
-  destination,
-  departureDate,
-  currency,
-  flights,
-}) {
-  try {
-    if (!process.env.DATABASE_URL) return;
-    if (!flights.length) return;
-
-    const prices = flights.map((f) => f.price);
-    const min = Math.min(...prices);
-    const max = Math.max(...prices);
-    const avg = prices.reduce((a, b) => a + b, 0) / prices.length;
-
-    const today = new Date();
-    const search_date = today.toISOString().slice(0, 10);
-
-    const diffDays = Math.round(
-      (new Date(departureDate) - today) / (1000 * 60 * 60 * 24)
-    );
-
-    // prune old
-    await run(`
-      DELETE FROM price_history
-      WHERE search_date < CURRENT_DATE - INTERVAL '90 days'
-    `);
-
-    // insert
-    await run(
-      `
-      INSERT INTO price_history
-        (origin, destination, departure_date, search_date,
-         days_until_departure, min_price, avg_price, max_price, currency)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-    `,
-      [
-        origin,
-        destination,
-        departureDate,
-        search_date,
-        diffDays,
-        min,
-        avg,
-        max,
-        currency,
-      ]
-    );
-
-    // Update seasonal model
-    await updateSeasonalStats({
-      origin,
-      destination,
-      departureDate,
-      daysUntilDeparture: diffDays,
-      avgPrice: avg,
-    });
-
-    return { min, avg, max };
-  } catch (err) {
-    console.error("History saving failed:", err.message);
-  }
-}
-
-/* ----------------------------------------------------------
-   FLEXIBLE DATES: build suggestions from history (±3 days)
----------------------------------------------------------- */
-async function getFlexibleDateSuggestions({
-  origin,
-  destination,
-  baseDepartureDate,
-  currency,
-  baseMinPrice,
-}) {
-  try {
-    if (!process.env.DATABASE_URL) return [];
-
-    const base = new Date(baseDepartureDate);
-    if (isNaN(base)) return [];
-
-    const suggestions = [];
-
-    for (let offset = -3; offset <= 3; offset++) {
-      const d = new Date(base);
-      d.setDate(d.getDate() + offset);
-      const dateStr = d.toISOString().slice(0, 10);
-
-      // ✅ Only use rows that match the current currency
-      const rows = await all(
-        `
-        SELECT MIN(min_price) AS min_price
-        FROM price_history
-        WHERE origin = $1
-          AND destination = $2
-          AND departure_date = $3
-          AND currency = $4
-      `,
-        [origin, destination, dateStr, currency]
-      );
-
-      const row = rows[0];
-      if (!row || row.min_price === null) continue;
-
-      const minPrice = Number(row.min_price);
-
-      suggestions.push({
-        date: dateStr,
-        offset,
-        minPrice,
-        // ✅ Always report in the current search currency
-        currency,
-        cheaperThanBase:
-          typeof baseMinPrice === "number" && baseMinPrice > 0
-            ? minPrice < baseMinPrice
-            : false,
-      });
-    }
-
-    // sort by date offset
-    suggestions.sort((a, b) => a.offset - b.offset);
-    return suggestions;
-  } catch (err) {
-    console.error("Flexible dates suggestion failed:", err.message);
-    return [];
-  }
-}
-
-
 /* ----------------------------------------------------------
    HISTORY ENDPOINT for Trends & History tab
 ---------------------------------------------------------- */
-app.get("/api/history", async (req, res) => {
+app.get("/api/history", validateQuery(schemas.HISTORY_QUERY), async (req, res) => {
   try {
-    const { origin, destination, departDate } = req.query;
-
-    if (!origin || !destination || !departDate) {
-      return res.json({ history: [] });
-    }
+    const { origin, destination, departDate } = req.valid;
 
     if (!process.env.DATABASE_URL) {
       // No DB configured → no history, but respond OK so UI shows friendly message
       return res.json({ history: [] });
     }
 
+    const conv = await getConverter();
+    const currency = req.valid.currency || conv.canonicalCurrency;
+
     const rows = await all(
       `
       SELECT
         days_until_departure,
-        avg_price,
-        currency
+        avg_price_canonical,
+        canonical_currency
       FROM price_history
       WHERE origin = $1
         AND destination = $2
         AND departure_date = $3
+        AND canonical_currency IS NOT NULL
       ORDER BY days_until_departure ASC
     `,
       [origin, destination, departDate]
     );
 
-    // Frontend expects data.history
-    res.json({ history: rows });
+    // Frontend expects data.history; every point in the requested currency
+    const history = rows.map((r) => ({
+      days_until_departure: r.days_until_departure,
+      avg_price: conv.convert(Number(r.avg_price_canonical), r.canonical_currency, currency),
+      currency,
+    }));
+
+    res.json({
+      history,
+      currency,
+      rate: { source: conv.source, asOf: conv.asOf },
+    });
   } catch (err) {
-    console.error("History load failed:", err.message);
+    log.error("History load failed", { err });
     // Return empty array instead of 500 so UI doesn't show "endpoint missing"
     res.json({ history: [] });
   }
 });
 
+/**
+ * GET /api/history/route?origin=DEL&destination=DXB[&from&to&currency]
+ * Route explorer: fares across departure dates, weekdays and months
+ * (routeExplorer.js).
+ */
+app.get("/api/history/route", validateQuery(schemas.ROUTE_HISTORY_QUERY), async (req, res) => {
+  const errors = [];
+  await checkCurrency(errors, req.valid.currency);
+  if (errors.length) return sendValidationError(res, errors);
+
+  if (!process.env.DATABASE_URL) {
+    return sendError(res, 503, "The route explorer needs a database (DATABASE_URL).");
+  }
+
+  try {
+    res.json(await exploreRoute(req.valid));
+  } catch (err) {
+    log.error("Route explorer failed", { err });
+    sendError(res, 500, "Unable to load route history");
+  }
+});
+
 /* ----------------------------------------------------------
    FLIGHT SEARCH
 ---------------------------------------------------------- */
-app.post("/api/flights", async (req, res) => {
-  try {
-    const {
-      originCode,
-      destinationCode,
-      departureDate,
-      returnDate,
-      tripType,
-      travelers,
-      cabin,
-      currency,
-      flexibleDates,
-    } = req.body;
-
-    if (!originCode || !destinationCode) {
-      return res
-        .status(400)
-        .json({ error: "Origin and destination required." });
-    }
-
-    const adults = Math.min(Math.max(parseInt(travelers, 10) || 1, 1), 9);
-
-    /** Amadeus */
-    let amaFlights = [];
-    try {
-      const ama = await searchFlights({
-        originCode,
-        destinationCode,
-        departureDate,
-        returnDate: tripType === "round" ? returnDate : undefined,
-        adults,
-        cabin,
-        currency,
-      });
+/**
+ * Validate a search body (POST /api/flights and /api/flights/stream) with
+ * the form's rules (shared/validation.js), plus supported currencies.
+ * Returns { errors } (field errors) or { search, query, passengers }:
+ * `search` goes to runFlightSearch, `query` (filters / sort / page size) to
+ * the result set.
+ */
+async function parseFlightRequest(req) {
+  const body = req.body || {};
+  const { values, errors } = validateFlightSearch(body);
+
+  // Filters / sort / page size apply to the stored result set below;
+  // check them before spending a provider call
+  const { query, errors: queryErrors } = parseResultQuery({
+    ...body.filters,
+    sort: body.sort,
+    limit: body.limit,
+  });
+  for (const e of queryErrors) {
+    errors.push(...(["sort", "limit"].includes(e.field) ? [e] : prefixErrors([e], "filters.")));
+  }
 
-      amaFlights =
-        (ama.data || [])
-          .map((o) =>
-            normalizeAmadeus(o, originCode, destinationCode, currency)
-          )
-          .filter(Boolean) || [];
-    } catch (err) {
-      console.warn("Amadeus fail:", err.message);
-    }
+  await checkCurrency(errors, values.currency);
+  if (errors.length) return { errors };
+
+  const { passengers, legs } = values;
+  return {
+    query,
+    passengers,
+    search: {
+      originCode: values.originCode,
+      destinationCode: values.destinationCode,
+      departureDate: values.departureDate,
+      returnDate: values.returnDate,
+      tripType: values.tripType,
+      legs,
+      ...passengers,
+      cabin: values.cabin,
+      currency: values.currency,
+      flexibleDates: values.flexibleDates,
+      nearbyAirports: values.nearbyAirports,
+      // Bypass the result cache: { refresh: true } or Cache-Control: no-cache
+      refresh: values.refresh || /no-cache/i.test(req.get("Cache-Control") || ""),
+    },
+  };
+}
 
-    /** SerpApi */
-    let serpFlights = [];
-    try {
-      serpFlights = await searchSerpFlights({
-        originCode,
-        destinationCode,
-        departureDate,
-        returnDate: tripType === "round" ? returnDate : undefined,
-        adults,
-        cabin,
-        currency,
-      });
-    } catch (err) {
-      console.warn("SerpApi fail:", err.message);
-    }
+/** First page of `flights` under `query`, with facets (no stored set yet) */
+function previewPage(flights, query, passengers) {
+  const { flights: pageFlights, page } = queryResultSet(flights, query, {
+    travelers: seatedCount(passengers),
+  });
+  return {
+    flights: pageFlights,
+    page: { resultId: null, expiresAt: null, ...page, nextCursor: null },
+    facets: buildFacets(flights),
+  };
+}
 
-    const flights = dedupeFlights([...amaFlights, ...serpFlights]);
-
-    if (!flights.length) {
-      return res.json({
-        flights: [],
-        model: null,
-        flexibleDates: [],
-        meta: {
-          originCode,
-          destinationCode,
-          departureDate,
-          returnDate,
-          currency,
-        },
-      });
+/** Record the recent search, store the result set, build the response body */
+async function finishFlightSearch(req, result, { query, passengers }) {
+  // Signed in → remember the route (with the labels the form showed)
+  if (req.user) {
+    const { errors: paramErrors, params } = normalizeSearchParams({ ...req.body, passengers });
+    if (!paramErrors.length) {
+      recordRecentSearch(req.user.id, params).catch((err) =>
+        log.error("Recording recent search failed", { err })
+      );
     }
+  }
 
-    /** If SerpApi has a Google Flights URL, override bookingUrl */
-    const serpUrl = serpFlights[0]?.bookingUrl;
-    if (serpUrl) {
-      flights.forEach((f) => (f.bookingUrl = serpUrl));
-    }
+  // Keep the full list server-side and answer with the first page
+  const stored = result.flights.length
+    ? await saveResultSet({ flights: result.flights, meta: result.meta })
+    : null;
+  const { flights, page } = queryResultSet(result.flights, query, {
+    travelers: seatedCount(passengers),
+  });
 
-    /** Price stats */
-    const prices = flights.map((f) => f.price);
-    const minPrice = Math.min(...prices);
-    const maxPrice = Math.max(...prices);
-    const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
+  return {
+    ...result,
+    flights,
+    page: {
+      resultId: stored?.resultId || null,
+      expiresAt: stored?.expiresAt || null,
+      ...page,
+      // Without a stored set there is nothing to page through
+      nextCursor: stored ? page.nextCursor : null,
+    },
+    facets: buildFacets(result.flights),
+  };
+}
 
-    const bestFlight = flights.reduce(
-      (p, c) => (c.price < p.price ? c : p),
-      flights[0]
-    );
+app.post("/api/flights", searchLimiter, attachUser, async (req, res) => {
+  const parsed = await parseFlightRequest(req);
+  if (parsed.errors) return sendValidationError(res, parsed.errors);
 
-    // Save history + seasonal stats
-    await saveHistory({
-      origin: originCode,
-      destination: destinationCode,
-      departureDate,
-      currency,
-      flights,
-    });
+  try {
+    const result = await runFlightSearch({ ...parsed.search, takeSearch: searchAllowance(req) });
+    res.json(await finishFlightSearch(req, result, parsed));
+  } catch (err) {
+    log.error("Search error", { err });
+    sendError(res, 500, "Unable to load flights");
+  }
+});
 
-    // Flexible date suggestions (if user toggled it)
-    let flexibleSuggestions = [];
-    if (flexibleDates) {
-      flexibleSuggestions = await getFlexibleDateSuggestions({
-        origin: originCode,
-        destination: destinationCode,
-        baseDepartureDate: departureDate,
-        currency,
-        baseMinPrice: minPrice,
-      });
-    }
+/**
+ * Streaming search: same body and final answer as POST /api/flights, sent as
+ * NDJSON (one JSON event per line) while providers answer:
+ *   { type: "start", providers: [name], routes: ["DEL-DXB"] }
+ *        each provider answers once per route
+ *   { type: "flights", provider, flights, page, facets }   per provider; the
+ *        first page of everything merged so far, filtered and sorted
+ *   { type: "done", ...POST /api/flights response }        stats, model, page
+ *   { type: "error", error }
+ * A cached route answers every provider at once from the cached run; a route
+ * over the search quota answers each as skipped (reason "search_quota").
+ */
+app.post("/api/flights/stream", searchLimiter, attachUser, async (req, res) => {
+  const parsed = await parseFlightRequest(req);
+  if (parsed.errors) return sendValidationError(res, parsed.errors);
+
+  res.status(200).set({
+    "Content-Type": "application/x-ndjson; charset=utf-8",
+    "Cache-Control": "no-cache",
+    "X-Accel-Buffering": "no", // keep proxies from buffering the stream
+  });
+  res.flushHeaders();
 
-    // AI blended model
-    const model = await blendedAdvice({
-      origin: originCode,
-      destination: destinationCode,
-      departureDate,
-      todayStr: new Date().toISOString().slice(0, 10),
-      minPrice,
-      avgPrice,
-      maxPrice,
-      bestFlight,
-    });
+  const send = (event) => {
+    if (!res.writableEnded) res.write(`${JSON.stringify(event)}\n`);
+  };
 
-    res.json({
-      flights,
-      model,
-      flexibleDates: flexibleSuggestions,
-      meta: {
-        originCode,
-        destinationCode,
-        departureDate,
-        returnDate,
-        currency,
-      },
+  try {
+    const result = await runFlightSearch({
+      ...parsed.search,
+      takeSearch: searchAllowance(req),
+      onStart: ({ routes }) =>
+        send({ type: "start", providers: getEnabledProviders().map((p) => p.name), routes }),
+      onProgress: ({ provider, flights }) =>
+        send({
+          type: "flights",
+          provider,
+          ...previewPage(flights, parsed.query, parsed.passengers),
+        }),
     });
+    send({ type: "done", ...(await finishFlightSearch(req, result, parsed)) });
   } catch (err) {
-    console.error("Search error:", err.message);
-    res.status(500).json({ error: "Unable to load flights" });
+    log.error("Search error", { err });
+    send({ type: "error", error: "Unable to load flights" });
   }
+  res.end();
 });
 
 /* ----------------------------------------------------------
-   DEBUG SERP
+   RESULT SETS (filter / sort / page a stored search)
 ---------------------------------------------------------- */
-app.get("/api/debug-serp", async (req, res) => {
-  try {
-    const flights = await searchSerpFlights({
-      originCode: "DEL",
-      destinationCode: "DXB",
-      departureDate: "2025-12-01",
-      adults: 1,
-      cabin: "ECONOMY",
-      currency: "INR",
-    });
+app.use("/api/flights/results", resultsRouter);
 
-    res.json({ count: flights.length, sample: flights.slice(0, 3) });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+/* ----------------------------------------------------------
+   STORED OFFERS (per-flight fare trajectories)
+---------------------------------------------------------- */
+app.use("/api/offers", offersRouter);
+
+/* ----------------------------------------------------------
+   ACCOUNTS (sign-in, saved searches, preferences)
+---------------------------------------------------------- */
+app.use("/api/auth", authRouter);
+app.use("/api/account", accountRouter);
 
 /* ----------------------------------------------------------
-   FALLBACK → serve SPA
+   ADMIN (backtests; needs ADMIN_TOKEN)
 ---------------------------------------------------------- */
+app.use("/api/admin", adminRouter);
+
+/* ----------------------------------------------------------
+   PRICE ALERTS (watches CRUD)
+---------------------------------------------------------- */
+app.use("/api/watches", watchesRouter);
+
+/* ----------------------------------------------------------
+   FALLBACK → 404 for unknown API routes, SPA for everything else
+---------------------------------------------------------- */
+app.use("/api", apiNotFound);
+
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "..", "frontend", "index.html"));
 });
 
-app.listen(PORT, () =>
-  console.log(`313flight backend running on port ${PORT}`)
-);
+// Malformed JSON and uncaught route errors, in the same error shape
+app.use(errorHandler);
+
+/* ----------------------------------------------------------
+   STARTUP: migrate schema, then listen
+---------------------------------------------------------- */
+async function start() {
+  if (process.env.MIGRATE_ON_START !== "false") {
+    try {
+      await migrate({ log: (msg) => log.info(msg) });
+    } catch (err) {
+      // Keep serving searches even if the DB is unreachable
+      log.error("Startup migration failed", { err });
+    }
+  }
+
+  if (process.env.DATABASE_URL) {
+    try {
+      const converted = await backfillCanonicalPrices();
+      if (converted) log.info("Converted history to the canonical currency", { currencies: converted });
+    } catch (err) {
+      log.error("History currency backfill failed", { err });
+    }
+  }
+
+  app.listen(PORT, () => log.info("313flight backend running", { port: Number(PORT) }));
+
+  startAlertScheduler();
+  startRetentionJob();
+}
+
+start();
@@ -0,0 +1,65 @@
+// backend/validation.js
+// Server side of shared/validation.js: the same schemas the search form
+// checks, plus what only the server knows (which currencies we have an
+// exchange rate for) and an Express middleware for query strings.
+
+const shared = require("../shared/validation");
+const { getConverter } = require("./rates");
+const { sendValidationError } = require("./errors");
+const log = require("./logger");
+
+/**
+ * Field error when `currency` has no exchange rate, else null. When rates
+ * can't be loaded at all the check is skipped rather than failing searches.
+ */
+async function currencyError(currency, field = "currency") {
+  if (!currency) return null;
+  let conv;
+  try {
+    conv = await getConverter();
+  } catch (err) {
+    log.warn("Currency check skipped, rates unavailable", { err });
+    return null;
+  }
+  if (conv.rate(conv.canonicalCurrency, currency)) return null;
+  return shared.fieldError(field, "unsupported_currency", `${currency} is not a supported currency.`);
+}
+
+/** Append currencyError() to `errors` unless the request already failed */
+async function checkCurrency(errors, currency, field = "currency") {
+  if (errors.length) return errors;
+  const err = await currencyError(currency, field);
+  if (err) errors.push(err);
+  return errors;
+}
+
+/**
+ * Middleware: validate req.query against `schema`; on success the parsed
+ * values are on req.valid, otherwise the request ends with a 400.
+ * Currency fields are also checked against the exchange rates.
+ */
+function validateQuery(schema) {
+  const currencyFields = Object.entries(schema.fields)
+    .filter(([, spec]) => spec.type === "currency")
+    .map(([name]) => name);
+
+  return async (req, res, next) => {
+    try {
+      const { values, errors } = shared.validate(schema, req.query);
+      for (const name of currencyFields) await checkCurrency(errors, values[name], name);
+      if (errors.length) return sendValidationError(res, errors);
+
+      req.valid = values;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  ...shared,
+  currencyError,
+  checkCurrency,
+  validateQuery,
+};
@@ -4,9 +4,17 @@ const state = {
   tripType: 'oneway',
   origin: null,
   destination: null,
-  flightsRaw: [],
+  flights: [], // pages loaded so far (the full set stays on the server)
+  resultId: null,
+  nextCursor: null,
+  facets: null,
   lastSearchMeta: null,
+  lastSearchParams: null,
   historyChart: null,
+  routeCharts: [],
+  user: null,
+  favourites: [],
+  routeField: 'origin', // which route input a favourite-airport pick fills
 };
 
 const apiBase = ''; // same origin
@@ -17,6 +25,7 @@ const $ = (id) => document.getElementById(id);
 const form = $('flightForm');
 const tripButtons = document.querySelectorAll('.trip-toggle');
 const flexibleToggle = $('flexibleToggle');
+const nearbyToggle = $('nearbyToggle');
 const originInput = $('originInput');
 const originCodeInput = $('originCode');
 const originSuggestions = $('originSuggestions');
@@ -25,7 +34,13 @@ const destinationCodeInput = $('destinationCode');
 const destinationSuggestions = $('destinationSuggestions');
 const departureDateInput = $('departureDate');
 const returnDateInput = $('returnDate');
-const travelerInput = $('travelerCount');
+const travelerPicker = $('travelerPicker');
+const travelerSummary = $('travelerSummary');
+const adultCount = $('adultCount');
+const childCount = $('childCount');
+const infantSeatCount = $('infantSeatCount');
+const infantLapCount = $('infantLapCount');
+const travelerError = $('travelerError');
 const cabinSelect = $('cabinSelect');
 const currencySelect = $('currencySelect');
 
@@ -35,18 +50,38 @@ const destinationError = $('destinationError');
 const departError = $('departError');
 const returnError = $('returnError');
 
+// Multi-city
+const simpleRoute = $('simpleRoute');
+const multiCityLegs = $('multiCityLegs');
+const multiLegsList = $('multiLegsList');
+const addLegButton = $('addLegButton');
+const legsError = $('legsError');
+// Limits and form rules shared with the API (shared/validation.js)
+const { MIN_LEGS, MAX_LEGS } = window.FlightValidation;
+
 const loadingState = $('loadingState');
+const loadingText = $('loadingText');
 const emptyState = $('emptyState');
 const flightsContainer = $('flightsContainer');
 const resultsError = $('resultsError');
+const resultsMeta = $('resultsMeta');
+const resultsMetaText = $('resultsMetaText');
+const refreshResults = $('refreshResults');
 const globalError = $('globalError');
 
 const sortSelect = $('sortSelect');
 const stopsSelect = $('stopsSelect');
 const airlineFilter = $('airlineFilter');
+const departWindowSelect = $('departWindowSelect');
+const maxPriceInput = $('maxPriceInput');
+const includeBagsToggle = $('includeBagsToggle');
+const resultsPager = $('resultsPager');
+const resultsCount = $('resultsCount');
+const loadMoreResults = $('loadMoreResults');
 
 const flexStrip = $('flexStrip');
 const flexStripInner = $('flexStripInner');
+const flexTitle = $('flexTitle');
 
 // AI panel elements
 const aiBadge = $('aiBadge');
@@ -54,20 +89,74 @@ const aiSummary = $('aiSummary');
 const aiConfidenceText = $('aiConfidenceText');
 const aiConfidenceBar = $('aiConfidenceBar');
 const aiHeuristic = $('aiHeuristic');
-const aiLearning = $('aiLearning');
+const aiForecast = $('aiForecast');
 const aiBestDeal = $('aiBestDeal');
 
 // Tabs
 const tabSearch = $('tab-search');
 const tabHistory = $('tab-history');
+const tabAlerts = $('tab-alerts');
 const tabAbout = $('tab-about');
 const panelSearch = $('panel-search');
 const panelHistory = $('panel-history');
+const panelAlerts = $('panel-alerts');
 const panelAbout = $('panel-about');
 
 // History
 const historyStatus = $('historyStatus');
 const historyCommentary = $('historyCommentary');
+const routeStatus = $('routeStatus');
+const routeSummary = $('routeSummary');
+const routePatterns = $('routePatterns');
+const routeCalendar = $('routeCalendar');
+const routeCalendarWrap = $('routeCalendarWrap');
+
+// Price alerts
+const alertRoute = $('alertRoute');
+const alertForm = $('alertForm');
+const alertTarget = $('alertTarget');
+const alertDrop = $('alertDrop');
+const alertChannel = $('alertChannel');
+const alertTargetAddress = $('alertTargetAddress');
+const alertError = $('alertError');
+const alertsStatus = $('alertsStatus');
+const alertsList = $('alertsList');
+
+// Account
+const accountButton = $('accountButton');
+const accountEmail = $('accountEmail');
+const tabAccount = $('tab-account');
+const panelAccount = $('panel-account');
+const authCard = $('authCard');
+const authForm = $('authForm');
+const authEmail = $('authEmail');
+const authPassword = $('authPassword');
+const authError = $('authError');
+const registerButton = $('registerButton');
+const accountContent = $('accountContent');
+const accountSignedInAs = $('accountSignedInAs');
+const signOutButton = $('signOutButton');
+const savedSearchesStatus = $('savedSearchesStatus');
+const savedSearchesList = $('savedSearchesList');
+const recentSearchesStatus = $('recentSearchesStatus');
+const recentSearchesList = $('recentSearchesList');
+const clearRecentButton = $('clearRecentButton');
+const favouriteAirportsList = $('favouriteAirportsList');
+const favouriteInput = $('favouriteInput');
+const favouriteCode = $('favouriteCode');
+const favouriteSuggestions = $('favouriteSuggestions');
+const addFavouriteButton = $('addFavouriteButton');
+const favouriteError = $('favouriteError');
+const preferencesSummary = $('preferencesSummary');
+const savePreferencesButton = $('savePreferencesButton');
+const clearPreferencesButton = $('clearPreferencesButton');
+const quickPicks = $('quickPicks');
+const favouritePicks = $('favouritePicks');
+const recentPicks = $('recentPicks');
+const saveSearchButton = $('saveSearchButton');
+const saveSearchForm = $('saveSearchForm');
+const saveSearchName = $('saveSearchName');
+const saveSearchStatus = $('saveSearchStatus');
 
 function setTripType(type) {
   state.tripType = type;
@@ -91,6 +180,19 @@ function setTripType(type) {
     returnDateInput.classList.add('bg-slate-900/40', 'text-slate-400');
     returnDateInput.classList.remove('bg-slate-900/70', 'text-slate-100');
   }
+
+  // Multi-city swaps the single route for the legs editor. Flexible dates
+  // and nearby airports only make sense for a single origin/destination pair.
+  const multi = type === 'multi';
+  simpleRoute.classList.toggle('hidden', multi);
+  multiCityLegs.classList.toggle('hidden', !multi);
+  flexibleToggle.disabled = multi;
+  nearbyToggle.disabled = multi;
+  if (multi) {
+    flexibleToggle.checked = false;
+    nearbyToggle.checked = false;
+    if (!multiLegsList.children.length) initMultiCityLegs();
+  }
 }
 
 tripButtons.forEach((btn) => {
@@ -142,6 +244,9 @@ function renderSuggestions(container, list, onSelect) {
       'w-full text-left px-3 py-2 hover:bg-slate-800/70 border-b border-slate-800 last:border-0';
     btn.textContent =
       loc.label || `${loc.cityName}, ${loc.countryName} (${loc.iataCode})`;
+    if (loc.type === 'CITY' && loc.airports?.length > 1) {
+      btn.textContent += ` · ${loc.airports.join(', ')}`;
+    }
     btn.addEventListener('click', () => {
       onSelect(loc);
       container.classList.add('hidden');
@@ -151,61 +256,238 @@ function renderSuggestions(container, list, onSelect) {
   container.classList.remove('hidden');
 }
 
-// origin
-originInput.addEventListener(
-  'input',
-  debounce(async () => {
-    const q = originInput.value.trim();
-    if (!q) {
-      originSuggestions.classList.add('hidden');
-      state.origin = null;
-      originCodeInput.value = '';
-      return;
-    }
-    const locs = await fetchLocations(q);
-    renderSuggestions(originSuggestions, locs, (loc) => {
-      originInput.value =
-        loc.label || `${loc.cityName}, ${loc.countryName} (${loc.iataCode})`;
-      originCodeInput.value = loc.iataCode;
-      state.origin = loc;
-    });
-  }, 350)
-);
+// Wire one text input + hidden code input to the suggestions dropdown
+function attachAutocomplete(input, codeInput, suggestions, onChange = () => {}) {
+  input.addEventListener(
+    'input',
+    debounce(async () => {
+      const q = input.value.trim();
+      if (!q) {
+        suggestions.classList.add('hidden');
+        codeInput.value = '';
+        onChange(null);
+        return;
+      }
+      const locs = await fetchLocations(q);
+      renderSuggestions(suggestions, locs, (loc) => {
+        input.value =
+          loc.label || `${loc.cityName}, ${loc.countryName} (${loc.iataCode})`;
+        codeInput.value = loc.iataCode;
+        onChange(loc);
+      });
+    }, 350)
+  );
 
-// destination
-destinationInput.addEventListener(
-  'input',
-  debounce(async () => {
-    const q = destinationInput.value.trim();
-    if (!q) {
-      destinationSuggestions.classList.add('hidden');
-      state.destination = null;
-      destinationCodeInput.value = '';
-      return;
+  // Hide suggestions on blur
+  document.addEventListener('click', (e) => {
+    if (!suggestions.contains(e.target) && e.target !== input) {
+      suggestions.classList.add('hidden');
     }
-    const locs = await fetchLocations(q);
-    renderSuggestions(destinationSuggestions, locs, (loc) => {
-      destinationInput.value =
-        loc.label || `${loc.cityName}, ${loc.countryName} (${loc.iataCode})`;
-      destinationCodeInput.value = loc.iataCode;
-      state.destination = loc;
-    });
-  }, 350)
-);
+  });
+}
 
-// Hide suggestions on blur
-document.addEventListener('click', (e) => {
-  if (!originSuggestions.contains(e.target) && e.target !== originInput) {
-    originSuggestions.classList.add('hidden');
+// A whole city ("all airports") is searched as its airports
+const pickCity = (loc) => {
+  if (loc?.type === 'CITY' && !nearbyToggle.disabled) nearbyToggle.checked = true;
+};
+attachAutocomplete(originInput, originCodeInput, originSuggestions, (loc) => {
+  state.origin = loc;
+  pickCity(loc);
+});
+attachAutocomplete(destinationInput, destinationCodeInput, destinationSuggestions, (loc) => {
+  state.destination = loc;
+  pickCity(loc);
+});
+originInput.addEventListener('focus', () => (state.routeField = 'origin'));
+destinationInput.addEventListener('focus', () => (state.routeField = 'destination'));
+
+// MULTI-CITY LEGS
+const inputClass =
+  'w-full rounded-xl bg-slate-900/70 border border-slate-700 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-sky-500';
+
+function airportField(label, placeholder) {
+  const wrap = document.createElement('div');
+  wrap.className = 'relative';
+
+  const lbl = document.createElement('label');
+  lbl.className = 'block text-xs text-slate-400 mb-1';
+  lbl.textContent = label;
+
+  const input = document.createElement('input');
+  input.autocomplete = 'off';
+  input.className = inputClass;
+  input.placeholder = placeholder;
+
+  const code = document.createElement('input');
+  code.type = 'hidden';
+
+  const suggestions = document.createElement('div');
+  suggestions.className =
+    'absolute z-20 mt-1 w-full max-h-56 overflow-auto rounded-xl glass text-xs hidden scrollbar-thin';
+
+  wrap.append(lbl, input, code, suggestions);
+  attachAutocomplete(input, code, suggestions);
+  return { wrap, input, code };
+}
+
+function addLegRow(prefill = {}) {
+  if (multiLegsList.children.length >= MAX_LEGS) return;
+
+  const row = document.createElement('div');
+  row.className = 'leg-row rounded-xl border border-slate-800 p-3 space-y-2';
+
+  const header = document.createElement('div');
+  header.className = 'flex items-center justify-between text-xs text-slate-400';
+  const title = document.createElement('span');
+  title.className = 'leg-title font-medium text-slate-300';
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'leg-remove text-slate-500 hover:text-red-300';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => {
+    row.remove();
+    renumberLegs();
+  });
+  header.append(title, remove);
+
+  const grid = document.createElement('div');
+  grid.className = 'grid md:grid-cols-3 gap-3';
+
+  const from = airportField('From', 'City or airport');
+  const to = airportField('To', 'City or airport');
+
+  const dateWrap = document.createElement('div');
+  const dateLabel = document.createElement('label');
+  dateLabel.className = 'block text-xs text-slate-400 mb-1';
+  dateLabel.textContent = 'Date';
+  const date = document.createElement('input');
+  date.type = 'date';
+  date.className = inputClass;
+  date.min = new Date().toISOString().slice(0, 10);
+  dateWrap.append(dateLabel, date);
+
+  if (prefill.from) {
+    from.input.value = prefill.from.label;
+    from.code.value = prefill.from.code;
   }
-  if (!destinationSuggestions.contains(e.target) && e.target !== destinationInput) {
-    destinationSuggestions.classList.add('hidden');
+  if (prefill.to) {
+    to.input.value = prefill.to.label;
+    to.code.value = prefill.to.code;
+  }
+  if (prefill.date) date.value = prefill.date;
+
+  grid.append(from.wrap, to.wrap, dateWrap);
+  row.append(header, grid);
+  row.leg = { from, to, date };
+  multiLegsList.appendChild(row);
+  renumberLegs();
+}
+
+function renumberLegs() {
+  const rows = [...multiLegsList.children];
+  rows.forEach((row, i) => {
+    row.querySelector('.leg-title').textContent = `Flight ${i + 1}`;
+    row.querySelector('.leg-remove').classList.toggle('hidden', rows.length <= MIN_LEGS);
+  });
+  addLegButton.classList.toggle('hidden', rows.length >= MAX_LEGS);
+}
+
+// Start from whatever the one-way form already has
+function initMultiCityLegs() {
+  addLegRow({
+    from: originCodeInput.value
+      ? { label: originInput.value, code: originCodeInput.value }
+      : null,
+    date: departureDateInput.value,
+  });
+  addLegRow({
+    from: destinationCodeInput.value
+      ? { label: destinationInput.value, code: destinationCodeInput.value }
+      : null,
+  });
+}
+
+addLegButton.addEventListener('click', () => {
+  // Chain the new leg from the previous leg's destination
+  const last = multiLegsList.lastElementChild?.leg;
+  addLegRow({
+    from: last?.to.code.value
+      ? { label: last.to.input.value, code: last.to.code.value }
+      : null,
+  });
+});
+
+function readLegs() {
+  return [...multiLegsList.children].map((row) => ({
+    originCode: row.leg.from.code.value.trim(),
+    destinationCode: row.leg.to.code.value.trim(),
+    originLabel: row.leg.from.input.value,
+    destinationLabel: row.leg.to.input.value,
+    departureDate: row.leg.date.value,
+  }));
+}
+
+// TRAVELERS
+const TRAVELER_LABELS = {
+  ADULT: ['adult', 'adults'],
+  CHILD: ['child', 'children'],
+  SEATED_INFANT: ['infant in seat', 'infants in seat'],
+  HELD_INFANT: ['infant on lap', 'infants on lap'],
+};
+
+function travelerLabel(type, n) {
+  const [one, many] = TRAVELER_LABELS[type] || [type, type];
+  return `${n} ${n === 1 ? one : many}`;
+}
+
+function readPassengers() {
+  const n = (el) => parseInt(el.value, 10) || 0;
+  return {
+    adults: n(adultCount),
+    children: n(childCount),
+    infantsInSeat: n(infantSeatCount),
+    infantsOnLap: n(infantLapCount),
+  };
+}
+
+function passengerCount(p) {
+  return p.adults + p.children + p.infantsInSeat + p.infantsOnLap;
+}
+
+function describePassengers(p) {
+  const parts = [travelerLabel('ADULT', p.adults)];
+  if (p.children) parts.push(travelerLabel('CHILD', p.children));
+  const infants = p.infantsInSeat + p.infantsOnLap;
+  if (infants) parts.push(`${infants} infant${infants === 1 ? '' : 's'}`);
+  return parts.join(', ');
+}
+
+function updateTravelerSummary() {
+  travelerSummary.textContent = describePassengers(readPassengers());
+}
+
+document.querySelectorAll('.passenger-count').forEach((el) => {
+  el.addEventListener('input', updateTravelerSummary);
+});
+
+// Close the picker when clicking elsewhere
+document.addEventListener('click', (e) => {
+  if (travelerPicker.open && !travelerPicker.contains(e.target)) {
+    travelerPicker.open = false;
   }
 });
 
 // FORM VALIDATION
 function resetErrors() {
-  [formError, originError, destinationError, departError, returnError].forEach((el) => {
+  [
+    formError,
+    originError,
+    destinationError,
+    departError,
+    returnError,
+    legsError,
+    travelerError,
+  ].forEach((el) => {
     el.classList.add('hidden');
     el.textContent = '';
   });
@@ -218,53 +500,76 @@ function showError(el, msg) {
   el.classList.remove('hidden');
 }
 
-function validateForm() {
-  resetErrors();
-
-  const originCode = originCodeInput.value.trim();
-  const destinationCode = destinationCodeInput.value.trim();
-  const depart = departureDateInput.value;
-  const ret = returnDateInput.value;
-  const today = new Date().toISOString().slice(0, 10);
-
-  let ok = true;
+// Field path from the validator / API → the message slot under that field
+function errorElementFor(field) {
+  if (field.startsWith('legs')) return legsError;
+  if (field.startsWith('passengers')) return travelerError;
+  return (
+    {
+      originCode: originError,
+      destinationCode: destinationError,
+      departureDate: departError,
+      returnDate: returnError,
+    }[field] || formError
+  );
+}
 
-  if (!originCode) {
-    showError(originError, 'Please choose a valid origin from suggestions.');
-    ok = false;
+// The form picks airports from suggestions, so say that rather than "required"
+function formMessage({ field, code, message }) {
+  if (code === 'required' && field === 'originCode') {
+    return 'Please choose a valid origin from suggestions.';
   }
-  if (!destinationCode) {
-    showError(destinationError, 'Please choose a valid destination from suggestions.');
-    ok = false;
+  if (code === 'required' && field === 'destinationCode') {
+    return 'Please choose a valid destination from suggestions.';
   }
-  if (originCode && destinationCode && originCode === destinationCode) {
-    showError(destinationError, 'Origin and destination must be different.');
-    ok = false;
+  if (code === 'required' && /^legs\[\d+\]\.(origin|destination)Code$/.test(field)) {
+    return `Flight ${Number(field.match(/\d+/)[0]) + 1}: choose both airports from suggestions.`;
   }
+  return message;
+}
 
-  if (!depart) {
-    showError(departError, 'Departure date is required.');
-    ok = false;
-  } else if (depart < today) {
-    showError(departError, 'Departure cannot be in the past.');
-    ok = false;
-  }
+// One message per slot (the first problem), plus the summary line
+function showFieldErrors(fields) {
+  const shown = new Set();
+  fields.forEach((f) => {
+    const el = errorElementFor(f.field);
+    if (shown.has(el)) return;
+    shown.add(el);
+    showError(el, formMessage(f));
+  });
+  if (!shown.has(formError)) showError(formError, 'Please fix the highlighted fields.');
+}
 
-  if (state.tripType === 'round') {
-    if (!ret) {
-      showError(returnError, 'Return date is required for round trips.');
-      ok = false;
-    } else if (ret <= depart) {
-      showError(returnError, 'Return date must be after departure date.');
-      ok = false;
-    }
-  }
+function validateForm() {
+  resetErrors();
 
-  if (!ok) {
-    showError(formError, 'Please fix the highlighted fields.');
+  const { errors } = window.FlightValidation.validateFlightSearch(currentSearchParams());
+  if (errors.length) {
+    showFieldErrors(errors);
+    return false;
   }
+  return true;
+}
+
+// "Cheaper than 85% of fares we've seen" (historical percentile)
+const PRICE_SCORE_TONES = {
+  GREAT: 'bg-emerald-500/20 border-emerald-400/60 text-emerald-200',
+  GOOD: 'bg-sky-500/15 border-sky-400/50 text-sky-200',
+  FAIR: 'bg-slate-800/80 border-slate-600 text-slate-300',
+  HIGH: 'bg-rose-500/15 border-rose-400/50 text-rose-200',
+};
 
-  return ok;
+function priceScoreBadge(score) {
+  if (!score) return null;
+  const badge = document.createElement('span');
+  badge.className = `inline-block px-2 py-0.5 rounded-full border text-[0.6rem] ${
+    PRICE_SCORE_TONES[score.tier] || PRICE_SCORE_TONES.FAIR
+  }`;
+  badge.textContent = score.label;
+  badge.title = `Compared with ${score.samples} stored fares per adult for this route in the same month, ${
+    score.basis.daysBeforeDeparture
+  } before departure${score.confidence === 'low' ? ' (few fares so far, so this is rough)' : ''}`;
+  return badge;
 }
 
 // RENDER FLIGHTS
@@ -280,17 +585,6 @@ function formatPrice(amount, currency) {
   }
 }
 
-function durationToMinutes(d) {
-  if (!d) return Infinity;
-  let h = 0,
-    m = 0;
-  const matchH = d.match(/(\d+)h/);
-  const matchM = d.match(/(\d+)m/);
-  if (matchH) h = parseInt(matchH[1], 10);
-  if (matchM) m = parseInt(matchM[1], 10);
-  return h * 60 + m;
-}
-
 function renderFlights(list) {
   flightsContainer.innerHTML = '';
   if (!list.length) {
@@ -300,6 +594,10 @@ function renderFlights(list) {
   }
   emptyState.classList.add('hidden');
 
+  // Nearby airports / a whole city: say which airports each flight uses
+  const showAirports =
+    new Set(list.map((f) => `${f.origin}-${f.destination}`)).size > 1;
+
   list.forEach((f) => {
     const card = document.createElement('div');
     card.className =
@@ -335,10 +633,18 @@ function renderFlights(list) {
     titleRow.appendChild(airline);
     titleRow.appendChild(fn);
 
+    if (showAirports && f.origin && f.destination) {
+      const airports = document.createElement('span');
+      airports.className =
+        'px-2 py-0.5 rounded-full bg-sky-500/15 text-[0.65rem] text-sky-200';
+      airports.textContent = `${f.origin} → ${f.destination}`;
+      titleRow.appendChild(airports);
+    }
+
     const timeline = document.createElement('div');
     timeline.className = 'flex items-center gap-3 text-[0.7rem] text-slate-300';
     const dep = document.createElement('span');
-    dep.textContent = f.departTime ? f.departTime.slice(11, 16) : '–';
+    dep.textContent = formatTime(f.departTime);
     const line = document.createElement('div');
     line.className = 'flex-1 h-px bg-slate-600 relative';
     const plane = document.createElement('span');
@@ -346,7 +652,7 @@ function renderFlights(list) {
     plane.className = 'absolute -top-3 left-1/2 -translate-x-1/2 text-base';
     line.appendChild(plane);
     const arr = document.createElement('span');
-    arr.textContent = f.arrivalTime ? f.arrivalTime.slice(11, 16) : '–';
+    arr.textContent = formatTime(f.arrivalTime);
 
     timeline.appendChild(dep);
     timeline.appendChild(line);
@@ -372,14 +678,78 @@ stops.textContent =
     ? 'Non-stop'
     : `${stopCount} stop${stopCount === 1 ? '' : 's'}`;
 
+    // Connection airports of the outbound leg, e.g. "via DOH, IST"
+    const outbound = f.itineraries?.[0];
+    const via = (outbound?.layovers || []).map((l) => l.airport).filter(Boolean);
+    if (via.length) {
+      stops.textContent += ` · via ${via.join(', ')}`;
+    }
 
     metaRow.appendChild(dur);
     metaRow.appendChild(stops);
 
+    const bagText = formatBags(f.fare?.checkedBags);
+    if (bagText) {
+      const bags = document.createElement('span');
+      bags.className =
+        'px-2 py-0.5 rounded-full text-[0.65rem] ' +
+        (f.fare.checkedBags.quantity > 0
+          ? 'bg-emerald-900/50 text-emerald-200'
+          : 'bg-slate-800 text-slate-400');
+      bags.textContent = `🧳 ${bagText}`;
+      metaRow.appendChild(bags);
+    }
+
     main.appendChild(titleRow);
     main.appendChild(timeline);
     main.appendChild(metaRow);
 
+    // Later legs: the return of a round trip, or flights 2..n of a multi-city trip
+    (f.itineraries || []).slice(1).forEach((leg) => {
+      const legRow = document.createElement('div');
+      legRow.className = 'text-[0.7rem] text-slate-400';
+      legRow.textContent = `${legLabel(leg)}: ${
+        leg.direction === 'leg' ? `${leg.origin} → ${leg.destination} ` : ''
+      }${formatTime(leg.departTime)} → ${formatTime(leg.arrivalTime)} · ${
+        leg.duration || ''
+      } · ${
+        leg.stops === 0
+          ? 'Non-stop'
+          : `${leg.stops} stop${leg.stops === 1 ? '' : 's'}`
+      }`;
+      main.appendChild(legRow);
+    });
+
+    if (f.pendingLegs) {
+      const legRow = document.createElement('div');
+      legRow.className = 'text-[0.7rem] text-slate-500';
+      legRow.textContent = `The next ${
+        f.pendingLegs === 1 ? 'flight is' : `${f.pendingLegs} flights are`
+      } chosen on the booking site.`;
+      main.appendChild(legRow);
+    } else if (f.returnPending && !f.itineraries?.[1]) {
+      const retRow = document.createElement('div');
+      retRow.className = 'text-[0.7rem] text-slate-500';
+      retRow.textContent = 'Return options are chosen on the booking site.';
+      main.appendChild(retRow);
+    }
+
+    // Expandable per-segment timeline
+    let details = null;
+    if (f.itineraries?.length) {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'text-[0.65rem] text-sky-300 hover:text-sky-200';
+      toggle.textContent = 'Flight details ▾';
+      metaRow.appendChild(toggle);
+
+      details = renderItineraryDetails(f);
+      toggle.addEventListener('click', () => {
+        const open = details.classList.toggle('hidden') === false;
+        toggle.textContent = open ? 'Flight details ▴' : 'Flight details ▾';
+      });
+    }
+
     left.appendChild(badge);
     left.appendChild(main);
 
@@ -403,25 +773,246 @@ stops.textContent =
     bookBtn.appendChild(arrow);
 
     right.appendChild(price);
+
+    const scoreBadge = priceScoreBadge(f.priceScore);
+    if (scoreBadge) right.appendChild(scoreBadge);
+
+    if (f.bagEstimate?.estimated) {
+      const withBags = document.createElement('div');
+      withBags.className = 'text-[0.65rem] text-amber-200/80';
+      withBags.textContent = `≈ ${formatPrice(f.bagEstimate.priceWithBags, f.currency)} with bags`;
+      right.appendChild(withBags);
+    }
+
+    // Per-traveler-type lines (Amadeus), or just the party size
+    const searched = state.lastSearchMeta?.passengers;
+    const party = f.priceBreakdown?.length
+      ? f.priceBreakdown.reduce((n, l) => n + l.count, 0)
+      : searched
+        ? passengerCount(searched)
+        : 1;
+    if (party > 1) {
+      const breakdown = document.createElement('div');
+      breakdown.className = 'text-[0.65rem] text-slate-400 leading-snug';
+      breakdown.textContent = f.priceBreakdown?.length
+        ? f.priceBreakdown
+            .map(
+              (l) =>
+                `${travelerLabel(l.travelerType, l.count)} × ${formatPrice(
+                  l.perTraveler,
+                  f.currency
+                )}`
+            )
+            .join(' · ')
+        : `Total for ${party} travelers`;
+      right.appendChild(breakdown);
+    }
+
     right.appendChild(bookBtn);
 
     card.appendChild(left);
     card.appendChild(right);
 
-    flightsContainer.appendChild(card);
+    if (details) {
+      // Card is a flex row on desktop; wrap so details span the full width
+      const wrapper = document.createElement('div');
+      wrapper.className = 'space-y-0';
+      wrapper.appendChild(card);
+      wrapper.appendChild(details);
+      flightsContainer.appendChild(wrapper);
+    } else {
+      flightsContainer.appendChild(card);
+    }
+  });
+}
+
+function legLabel(it) {
+  if (it.direction === 'leg') return `Flight ${(it.legIndex ?? 0) + 1}`;
+  return it.direction === 'return' ? 'Return' : 'Outbound';
+}
+
+function formatTime(t) {
+  return t ? t.slice(11, 16) : '–';
+}
+
+function formatDay(t) {
+  if (!t) return '';
+  const d = new Date(`${t.slice(0, 10)}T00:00:00`);
+  if (isNaN(d)) return t.slice(0, 10);
+  return d.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+// Per-segment timeline for every itinerary (outbound + return, or each leg)
+function renderItineraryDetails(f) {
+  const box = document.createElement('div');
+  box.className =
+    'hidden -mt-2 rounded-b-2xl bg-slate-950/60 border border-t-0 border-slate-700/70 px-4 pt-4 pb-3 space-y-3 text-[0.7rem]';
+
+  f.itineraries.forEach((it) => {
+    const section = document.createElement('div');
+    section.className = 'space-y-1';
+
+    const heading = document.createElement('p');
+    heading.className = 'font-semibold text-slate-200';
+    heading.textContent = `${legLabel(it)} · ${
+      it.origin || ''
+    } → ${it.destination || ''} · ${formatDay(it.departTime)}${
+      it.duration ? ` · ${it.duration}` : ''
+    }`;
+    section.appendChild(heading);
+
+    const list = document.createElement('ol');
+    list.className = 'border-l border-slate-700 ml-1 pl-3 space-y-2';
+
+    it.segments.forEach((seg, i) => {
+      const item = document.createElement('li');
+      item.className = 'text-slate-300';
+
+      const route = document.createElement('div');
+      route.className = 'flex flex-wrap gap-x-2';
+      const times = document.createElement('span');
+      times.className = 'text-slate-100';
+      times.textContent = `${formatTime(seg.departTime)} ${seg.from || ''} → ${formatTime(
+        seg.arrivalTime
+      )} ${seg.to || ''}`;
+      const info = document.createElement('span');
+      info.className = 'text-slate-400';
+      info.textContent = [seg.flightNumber, seg.duration, seg.aircraft]
+        .filter(Boolean)
+        .join(' · ');
+      route.appendChild(times);
+      route.appendChild(info);
+      item.appendChild(route);
+
+      if (seg.operatingAirline && seg.operatingAirline !== seg.airline) {
+        const op = document.createElement('div');
+        op.className = 'text-slate-500';
+        op.textContent = `Operated by ${seg.operatingAirline}`;
+        item.appendChild(op);
+      }
+
+      list.appendChild(item);
+
+      const layover = it.layovers?.[i];
+      if (layover) {
+        const lay = document.createElement('li');
+        lay.className = 'text-amber-200/80';
+        lay.textContent = `${layover.duration || '?'} layover in ${
+          layover.airportName || layover.airport || 'connection airport'
+        }${layover.overnight ? ' · overnight' : ''}${
+          layover.changeOfAirport ? ' · change of airport' : ''
+        }`;
+        list.appendChild(lay);
+      }
+    });
+
+    section.appendChild(list);
+    box.appendChild(section);
   });
+
+  if (f.fare) box.appendChild(renderFareDetails(f));
+
+  return box;
+}
+
+function formatBags(bags) {
+  if (!bags) return '';
+  if (bags.weight) return `${bags.weight} ${String(bags.weightUnit || 'kg').toLowerCase()} checked`;
+  if (bags.quantity === 0) return 'No checked bag';
+  return `${bags.quantity} checked bag${bags.quantity === 1 ? '' : 's'}`;
+}
+
+function titleCaseWords(str) {
+  return String(str)
+    .toLowerCase()
+    .replace(/_/g, ' ')
+    .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+// Fare section of the details drawer: price split, brand, bags, extras
+function renderFareDetails(f) {
+  const fare = f.fare;
+  const section = document.createElement('div');
+  section.className = 'space-y-1 border-t border-slate-800 pt-3';
+
+  const heading = document.createElement('p');
+  heading.className = 'font-semibold text-slate-200';
+  heading.textContent = `Fare${fare.brand ? ` · ${titleCaseWords(fare.brand)}` : ''}${
+    fare.cabin ? ` · ${titleCaseWords(fare.cabin)}` : ''
+  }`;
+  section.appendChild(heading);
+
+  const lines = [];
+  if (fare.base !== null && fare.taxes !== null) {
+    lines.push(
+      `Base ${formatPrice(fare.base, fare.currency)} + taxes & fees ${formatPrice(
+        fare.taxes,
+        fare.currency
+      )}`
+    );
+  }
+  if (fare.fareBasis) lines.push(`Fare basis ${fare.fareBasis}`);
+  if (fare.checkedBags) lines.push(`Checked: ${formatBags(fare.checkedBags)}`);
+  if (fare.cabinBags) lines.push(`Cabin: ${fare.cabinBags.quantity} bag${fare.cabinBags.quantity === 1 ? '' : 's'}`);
+  if (f.bagEstimate?.estimated) {
+    lines.push(
+      `Estimated bag fees ${formatPrice(f.bagEstimate.fee, f.currency)} (${f.bagEstimate.missingBags} bag${
+        f.bagEstimate.missingBags === 1 ? '' : 's'
+      })`
+    );
+  }
+  if (fare.emissions?.grams) {
+    const kg = Math.round(fare.emissions.grams / 1000);
+    const diff = fare.emissions.differencePercent;
+    lines.push(
+      `CO₂ ≈ ${kg} kg${
+        typeof diff === 'number' && diff !== 0 ? ` (${diff > 0 ? '+' : ''}${diff}% vs typical)` : ''
+      }`
+    );
+  }
+
+  lines.forEach((text) => {
+    const p = document.createElement('p');
+    p.className = 'text-slate-300';
+    p.textContent = text;
+    section.appendChild(p);
+  });
+
+  if (fare.amenities?.length) {
+    const list = document.createElement('p');
+    list.className = 'text-slate-400';
+    list.textContent = fare.amenities
+      .map((a) => `${a.description}${a.chargeable ? ' (fee)' : ''}`)
+      .join(' · ');
+    section.appendChild(list);
+  }
+
+  // Legroom / extras are per segment (Google Flights)
+  fare.segments
+    .filter((s) => s.legroom || s.extensions?.length)
+    .forEach((s) => {
+      const p = document.createElement('p');
+      p.className = 'text-slate-400';
+      p.textContent = `${s.flightNumber || `${s.from} → ${s.to}`}: ${[s.legroom, ...s.extensions]
+        .filter(Boolean)
+        .join(' · ')}`;
+      section.appendChild(p);
+    });
+
+  return section;
 }
 
 // FILTERS
-function buildAirlineChips() {
+// Chips come from the server's facets so they cover the whole result set,
+// not just the pages loaded so far
+function buildAirlineChips(facets) {
   airlineFilter.innerHTML = '';
-  const airlines = new Set(state.flightsRaw.map((f) => f.airline).filter(Boolean));
-  airlines.forEach((name) => {
+  (facets?.airlines || []).forEach(({ code, name }) => {
     const chip = document.createElement('button');
     chip.type = 'button';
     chip.className =
       'airline-chip px-2 py-1 rounded-full border border-slate-600 text-[0.65rem] text-slate-300 hover:bg-slate-800';
-    chip.dataset.airline = name;
+    chip.dataset.airline = code;
     chip.textContent = name;
     chip.addEventListener('click', () => {
       chip.classList.toggle('bg-sky-500/80');
@@ -439,50 +1030,99 @@ function getActiveAirlines() {
   );
 }
 
-function applyFiltersAndRender() {
-  if (!state.flightsRaw.length) return;
+// Filter bar → /api/flights filter params
+function currentFilters() {
+  const filters = {};
 
-  let list = [...state.flightsRaw];
+  if (stopsSelect.value === 'nonstop') filters.maxStops = 0;
+  if (stopsSelect.value === 'stops') filters.minStops = 1;
 
-  // stops filter
-const stopsFilter = stopsSelect.value;
-list = list.filter((f) => {
-  const stopCount =
-    typeof f.stops === 'number' ? f.stops : 0;
+  const airlines = getActiveAirlines();
+  if (airlines.length) filters.airlines = airlines.join(',');
 
-  if (stopsFilter === 'nonstop') return stopCount === 0;
-  if (stopsFilter === 'stops') return stopCount > 0;
-  return true;
-});
+  if (departWindowSelect.value) {
+    const [after, before] = departWindowSelect.value.split('-');
+    filters.departAfter = after;
+    filters.departBefore = before;
+  }
 
+  if (Number(maxPriceInput.value) > 0) filters.maxPrice = Number(maxPriceInput.value);
 
-  // airline filter
-  const activeAirlines = getActiveAirlines();
-  if (activeAirlines.length) {
-    list = list.filter((f) => activeAirlines.includes(f.airline));
+  if (includeBagsToggle.checked) filters.includeBags = true;
+
+  return filters;
+}
+
+function renderPager(page) {
+  if (!page || !page.total) {
+    resultsPager.classList.add('hidden');
+    return;
   }
+  resultsCount.textContent =
+    page.matched === page.total
+      ? `Showing ${state.flights.length} of ${page.total} flights`
+      : `Showing ${state.flights.length} of ${page.matched} matching flights (${page.total} total)`;
+  loadMoreResults.classList.toggle('hidden', !state.nextCursor);
+  resultsPager.classList.remove('hidden');
+}
 
-  // sort
-  const sortKey = sortSelect.value;
-  if (sortKey === 'price') {
-    list.sort((a, b) => a.price - b.price);
-  } else if (sortKey === 'depart') {
-    list.sort(
-      (a, b) =>
-        new Date(a.departTime || 0).getTime() -
-        new Date(b.departTime || 0).getTime()
-    );
-  } else if (sortKey === 'duration') {
-    list.sort(
-      (a, b) => durationToMinutes(a.duration) - durationToMinutes(b.duration)
-    );
+// Show one page from the server; `append` keeps the pages already shown
+function showResultsPage(data, { append = false } = {}) {
+  state.flights = append ? [...state.flights, ...(data.flights || [])] : data.flights || [];
+  state.nextCursor = data.page?.nextCursor || null;
+
+  if (!state.flights.length && data.page?.total) {
+    flightsContainer.innerHTML = '';
+    emptyState.textContent = 'No flights match these filters.';
+    emptyState.classList.remove('hidden');
+  } else {
+    renderFlights(state.flights);
   }
+  renderPager(data.page);
+}
+
+async function fetchResults(params) {
+  const res = await fetch(
+    `${apiBase}/api/flights/results/${state.resultId}?${new URLSearchParams(params)}`
+  );
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Unable to load results');
+  return data;
+}
 
-  renderFlights(list);
+// Filters and sort are applied server-side over the stored result set
+async function applyFiltersAndRender() {
+  if (!state.resultId) return;
+
+  try {
+    const data = await fetchResults({ ...currentFilters(), sort: sortSelect.value });
+    showResultsPage(data);
+  } catch (err) {
+    resultsError.textContent = err.message;
+    resultsError.classList.remove('hidden');
+  }
 }
 
+loadMoreResults.addEventListener('click', async () => {
+  if (!state.resultId || !state.nextCursor) return;
+  try {
+    const data = await fetchResults({
+      ...currentFilters(),
+      sort: sortSelect.value,
+      cursor: state.nextCursor,
+    });
+    showResultsPage(data, { append: true });
+  } catch (err) {
+    resultsError.textContent = err.message;
+    resultsError.classList.remove('hidden');
+  }
+});
+
 sortSelect.addEventListener('change', applyFiltersAndRender);
 stopsSelect.addEventListener('change', applyFiltersAndRender);
+departWindowSelect.addEventListener('change', applyFiltersAndRender);
+maxPriceInput.addEventListener('input', debounce(applyFiltersAndRender, 400));
+includeBagsToggle.addEventListener('change', applyFiltersAndRender);
 
 // AI PANEL
 function setBadge(action) {
@@ -510,7 +1150,7 @@ function updateAI(model) {
     aiConfidenceText.textContent = '0%';
     aiConfidenceBar.style.width = '0%';
     aiHeuristic.textContent = '–';
-    aiLearning.textContent = '–';
+    aiForecast.textContent = '–';
     aiBestDeal.textContent =
       'Best deal will appear here after a search.';
     return;
@@ -525,7 +1165,7 @@ function updateAI(model) {
   )}%`;
 
   aiHeuristic.textContent = model.heuristic?.reason || '–';
-  aiLearning.textContent = model.learning?.reason || '–';
+  aiForecast.textContent = model.forecast?.reason || '–';
 
   if (model.bestDeal) {
     const bd = model.bestDeal;
@@ -536,38 +1176,124 @@ function updateAI(model) {
       bd.currency
     )} (${bd.nonstop ? 'non-stop' : `${bd.stops} stop${
       bd.stops === 1 ? '' : 's'
-    }`} ).`;
+    }`} ).${bd.priceScore ? ` ${bd.priceScore.label}.` : ''}`;
   } else {
     aiBestDeal.textContent =
       'Best deal will appear here after a search.';
   }
 }
 
-// FLEXIBLE DATES (backend currently returns [], but we support it if added)
-function renderFlexibleDates(flexData, baseCurrency) {
+// FLEXIBLE DATES — clickable price grid; a click reruns the search
+function flexCellButton(cell, currency) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  const tone = cell.cheapest
+    ? 'bg-emerald-500/20 border-emerald-400 text-emerald-100'
+    : cell.isBase
+    ? 'bg-sky-500/20 border-sky-400 text-sky-100'
+    : cell.cheaperThanBase
+    ? 'bg-slate-900/70 border-emerald-700 text-emerald-200'
+    : 'bg-slate-900/70 border-slate-700 text-slate-300';
+  btn.className = `w-full px-2 py-1 rounded-lg border text-[0.65rem] hover:brightness-125 ${tone}`;
+
+  if (cell.minPrice === null) {
+    btn.textContent = '–';
+    btn.disabled = true;
+    btn.classList.add('opacity-50');
+    return btn;
+  }
+
+  btn.textContent = `${formatPrice(cell.minPrice, cell.currency || currency)}${
+    cell.source === 'history' ? '*' : ''
+  }`;
+  btn.title =
+    cell.source === 'history'
+      ? 'Cheapest fare we have seen for this date (not live)'
+      : 'Search these dates';
+  btn.addEventListener('click', () => {
+    departureDateInput.value = cell.departureDate;
+    if (cell.returnDate) returnDateInput.value = cell.returnDate;
+    runSearch();
+  });
+  return btn;
+}
+
+function shortDate(dateStr) {
+  const d = new Date(`${dateStr}T00:00:00`);
+  return d.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+function renderFlexibleDates(matrix, baseCurrency) {
   flexStripInner.innerHTML = '';
-  if (!flexData || !flexData.length) {
+  if (!matrix || !matrix.cells || !matrix.cells.some((c) => c.minPrice !== null)) {
     flexStrip.classList.add('hidden');
     return;
   }
+  const currency = matrix.currency || baseCurrency;
+
+  const table = document.createElement('table');
+  table.className = 'w-full border-separate border-spacing-1 text-[0.65rem]';
+
+  if (matrix.tripType === 'round') {
+    flexTitle.textContent = 'Flexible dates: cheapest round trips (rows = departure, columns = return)';
+    const cellAt = (dep, ret) =>
+      matrix.cells.find((c) => c.departureDate === dep && c.returnDate === ret);
+
+    const head = document.createElement('tr');
+    head.appendChild(document.createElement('th'));
+    matrix.returnDates.forEach((ret) => {
+      const th = document.createElement('th');
+      th.className = 'font-normal text-slate-400';
+      th.textContent = shortDate(ret);
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    matrix.departureDates.forEach((dep) => {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.className = 'font-normal text-slate-400 text-left pr-1 whitespace-nowrap';
+      th.textContent = shortDate(dep);
+      tr.appendChild(th);
+      matrix.returnDates.forEach((ret) => {
+        const td = document.createElement('td');
+        const cell = cellAt(dep, ret);
+        if (cell) td.appendChild(flexCellButton(cell, currency));
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+  } else {
+    flexTitle.textContent = 'Flexible dates: cheapest one-way fares nearby';
+    const head = document.createElement('tr');
+    const row = document.createElement('tr');
+    matrix.cells.forEach((cell) => {
+      const th = document.createElement('th');
+      th.className = 'font-normal text-slate-400';
+      th.textContent = shortDate(cell.departureDate);
+      head.appendChild(th);
+      const td = document.createElement('td');
+      td.appendChild(flexCellButton(cell, currency));
+      row.appendChild(td);
+    });
+    table.appendChild(head);
+    table.appendChild(row);
+  }
 
-  flexData.forEach((item) => {
-    const chip = document.createElement('div');
-    chip.className =
-      'px-2 py-1 rounded-xl bg-slate-900/70 border border-slate-700 text-[0.65rem]';
-    const dateLabel = item.date;
-    const offsetStr =
-      item.offset > 0 ? `+${item.offset} days` : `${item.offset} days`;
-    const priceStr = formatPrice(
-      item.minPrice,
-      item.currency || baseCurrency
-    );
+  flexStripInner.appendChild(table);
 
-    chip.textContent = `${dateLabel} (${offsetStr}) · ${priceStr}${
-      item.cheaperThanBase ? ' 💰' : ''
-    }`;
-    flexStripInner.appendChild(chip);
-  });
+  if (matrix.cells.some((c) => c.source === 'history')) {
+    const note = document.createElement('p');
+    note.className = 'mt-1 text-[0.6rem] text-slate-500';
+    note.textContent = '* from earlier searches, not a live price';
+    flexStripInner.appendChild(note);
+  }
+  if (matrix.partial) {
+    const note = document.createElement('p');
+    note.className = 'mt-1 text-[0.6rem] text-slate-500';
+    note.textContent = '– some dates were not searched this time; click Refresh or try again shortly';
+    flexStripInner.appendChild(note);
+  }
 
   flexStrip.classList.remove('hidden');
 }
@@ -582,14 +1308,23 @@ function destroyHistoryChart() {
 
 async function loadHistory() {
   destroyHistoryChart();
+  resetRouteExplorer();
   historyCommentary.textContent = '';
   const meta = state.lastSearchMeta;
+  if (meta?.tripType === 'multi') {
+    historyStatus.textContent =
+      'Price history is tracked per route, so it is not available for multi-city trips.';
+    routeStatus.textContent = 'The route explorer is not available for multi-city trips.';
+    return;
+  }
   if (!meta || !meta.originCode || !meta.destinationCode || !meta.departureDate) {
     historyStatus.textContent =
       'Run a search first to load price history for that exact route and date.';
+    routeStatus.textContent = 'Run a search first to see when it is generally cheapest to fly that route.';
     return;
   }
   historyStatus.textContent = 'Loading history...';
+  loadRouteExplorer(meta);
 
   try {
     const params = new URLSearchParams({
@@ -597,6 +1332,7 @@ async function loadHistory() {
       destination: meta.destinationCode,
       departDate: meta.departureDate,
     });
+    if (meta.currency) params.set('currency', meta.currency);
     const res = await fetch(`${apiBase}/api/history?${params.toString()}`);
     if (!res.ok) throw new Error('No history endpoint or error');
 
@@ -615,6 +1351,10 @@ async function loadHistory() {
     const prices = history.map((h) =>
       Number(h.avg_price || h.avgPrice)
     );
+    // Searches in other currencies are converted server-side
+    const priceLabel = data.currency
+      ? `Average price (${data.currency})`
+      : 'Average price';
 
     const ctx = $('historyChart').getContext('2d');
     state.historyChart = new Chart(ctx, {
@@ -623,7 +1363,7 @@ async function loadHistory() {
         labels,
         datasets: [
           {
-            label: 'Average price',
+            label: priceLabel,
             data: prices,
             tension: 0.2,
           },
@@ -641,7 +1381,7 @@ async function loadHistory() {
           y: {
             title: {
               display: true,
-              text: 'Average price',
+              text: priceLabel,
             },
           },
         },
@@ -649,6 +1389,9 @@ async function loadHistory() {
     });
 
     historyStatus.textContent = `History for ${meta.originCode} → ${meta.destinationCode} on ${meta.departureDate}`;
+    if (data.rate?.asOf) {
+      historyStatus.textContent += ` · converted at rates as of ${data.rate.asOf.slice(0, 10)}`;
+    }
 
     const first = prices[0];
     const last = prices[prices.length - 1];
@@ -670,119 +1413,1056 @@ async function loadHistory() {
   }
 }
 
+// ROUTE EXPLORER — fares across departure dates, weekdays and months
+function resetRouteExplorer() {
+  state.routeCharts.forEach((chart) => chart.destroy());
+  state.routeCharts = [];
+  routeSummary.textContent = '';
+  routeCalendar.innerHTML = '';
+  routePatterns.classList.add('hidden');
+  routeCalendarWrap.classList.add('hidden');
+}
+
+/** p10–p90 as floating bars with the median as a dot */
+function renderBandChart(canvasId, groups, currency) {
+  const ctx = $(canvasId).getContext('2d');
+  const chart = new Chart(ctx, {
+    data: {
+      labels: groups.map((g) => g.name),
+      datasets: [
+        {
+          type: 'bar',
+          label: 'p10–p90',
+          data: groups.map((g) => [g.p10, g.p90]),
+          backgroundColor: 'rgba(56, 189, 248, 0.3)',
+          borderRadius: 4,
+        },
+        {
+          type: 'line',
+          label: 'Median',
+          data: groups.map((g) => g.median),
+          showLine: false,
+          pointRadius: 4,
+          borderColor: '#34d399',
+          backgroundColor: '#34d399',
+        },
+      ],
+    },
+    options: {
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (item) => {
+              const g = groups[item.dataIndex];
+              return item.datasetIndex === 0
+                ? `${formatPrice(g.p10, currency)} – ${formatPrice(g.p90, currency)} (${g.observations} searches)`
+                : `Median ${formatPrice(g.median, currency)}`;
+            },
+          },
+        },
+      },
+      scales: {
+        y: { title: { display: true, text: `Fare (${currency})` } },
+      },
+    },
+  });
+  state.routeCharts.push(chart);
+}
+
+/** One mini month grid per month with data, Monday first */
+function renderRouteCalendar(data) {
+  const byMonth = new Map();
+  data.calendar.forEach((d) => {
+    const key = d.date.slice(0, 7);
+    if (!byMonth.has(key)) byMonth.set(key, new Map());
+    byMonth.get(key).set(d.date, d);
+  });
+
+  byMonth.forEach((days, key) => {
+    const [year, month] = key.split('-').map(Number);
+    const box = document.createElement('div');
+    box.className = 'rounded-xl bg-slate-900/60 p-2';
+
+    const title = document.createElement('p');
+    title.className = 'text-[0.7rem] font-semibold mb-1';
+    title.textContent = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, {
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC',
+    });
+    box.appendChild(title);
+
+    const grid = document.createElement('div');
+    grid.className = 'grid grid-cols-7 gap-0.5 text-[0.6rem] text-center';
+    ['M', 'T', 'W', 'T', 'F', 'S', 'S'].forEach((letter) => {
+      const head = document.createElement('span');
+      head.className = 'text-slate-500';
+      head.textContent = letter;
+      grid.appendChild(head);
+    });
+
+    const firstWeekday = (new Date(Date.UTC(year, month - 1, 1)).getUTCDay() + 6) % 7;
+    for (let i = 0; i < firstWeekday; i += 1) grid.appendChild(document.createElement('span'));
+
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    for (let day = 1; day <= daysInMonth; day += 1) {
+      const date = `${key}-${String(day).padStart(2, '0')}`;
+      const entry = days.get(date);
+      if (!entry) {
+        const empty = document.createElement('span');
+        empty.className = 'py-0.5 text-slate-600';
+        empty.textContent = day;
+        grid.appendChild(empty);
+        continue;
+      }
+
+      const tone =
+        entry.cheapest <= data.bands.p10
+          ? 'bg-emerald-500/60 text-emerald-50'
+          : entry.cheapest >= data.bands.p90
+          ? 'bg-rose-500/60 text-rose-50'
+          : 'bg-sky-500/25 text-sky-100';
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = `py-0.5 rounded hover:brightness-125 ${tone}`;
+      btn.textContent = day;
+      btn.title = `${shortDate(date)}: cheapest ${formatPrice(entry.cheapest, data.currency)}, median ${formatPrice(
+        entry.median,
+        data.currency
+      )} (${entry.observations} searches)`;
+      btn.addEventListener('click', () => {
+        departureDateInput.value = date;
+        activateTab('search');
+        runSearch();
+      });
+      grid.appendChild(btn);
+    }
+
+    box.appendChild(grid);
+    routeCalendar.appendChild(box);
+  });
+}
+
+async function loadRouteExplorer(meta) {
+  routeStatus.textContent = 'Loading route patterns...';
+
+  try {
+    const params = new URLSearchParams({
+      origin: meta.originCode,
+      destination: meta.destinationCode,
+    });
+    if (meta.currency) params.set('currency', meta.currency);
+    const res = await fetch(`${apiBase}/api/history/route?${params.toString()}`);
+    if (!res.ok) throw new Error('Route explorer unavailable');
+
+    const data = await res.json();
+    if (!data.bands) {
+      routeStatus.textContent = `No fares stored for ${meta.originCode} → ${meta.destinationCode} yet.`;
+      return;
+    }
+
+    routeStatus.textContent = `${meta.originCode} → ${meta.destinationCode}, departures ${data.from} to ${
+      data.to
+    } · ${data.observations} searches · typical fare ${formatPrice(data.bands.median, data.currency)} (${formatPrice(
+      data.bands.p10,
+      data.currency
+    )}–${formatPrice(data.bands.p90, data.currency)})`;
+
+    const tips = [];
+    const { dayOfWeek, month, date } = data.cheapest;
+    if (dayOfWeek && dayOfWeek.belowMedianPercent > 0) {
+      tips.push(`${dayOfWeek.name} departures run ${dayOfWeek.belowMedianPercent}% below the route's median`);
+    }
+    if (month && month.belowMedianPercent > 0) {
+      tips.push(`${month.name} is the cheapest month (${month.belowMedianPercent}% below median)`);
+    }
+    if (date) tips.push(`the cheapest fare seen was ${formatPrice(date.price, data.currency)} on ${shortDate(date.date)}`);
+    routeSummary.textContent = tips.length
+      ? `${tips.join('; ')}.`.replace(/^./, (c) => c.toUpperCase())
+      : 'Not enough searches yet to tell which days or months are cheaper.';
+
+    routePatterns.classList.remove('hidden');
+    renderBandChart('routeWeekdayChart', data.dayOfWeek, data.currency);
+    renderBandChart('routeMonthChart', data.months, data.currency);
+
+    renderRouteCalendar(data);
+    routeCalendarWrap.classList.remove('hidden');
+  } catch (err) {
+    console.error('Route explorer error', err);
+    routeStatus.textContent = 'Unable to load route patterns.';
+  }
+}
+
+// PRICE ALERTS
+// Anonymous owner id for watches, kept in this browser only
+function getClientId() {
+  let id = localStorage.getItem('313flight.clientId');
+  if (!id) {
+    id = crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    localStorage.setItem('313flight.clientId', id);
+  }
+  return id;
+}
+
+async function watchesApi(path = '', options = {}) {
+  const res = await fetch(`${apiBase}/api/watches${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Client-Id': getClientId(),
+      ...(options.headers || {}),
+    },
+  });
+  if (res.status === 204) return {};
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+async function loadAlertChannels() {
+  try {
+    const { channels } = await watchesApi('/channels');
+    const labels = { log: 'In-app log', smtp: 'E-mail', webhook: 'Webhook' };
+    alertChannel.innerHTML = '';
+    channels.forEach((c) => {
+      const opt = document.createElement('option');
+      opt.value = c;
+      opt.textContent = labels[c] || c;
+      alertChannel.appendChild(opt);
+    });
+  } catch {
+    // keep the default "log" option
+  }
+}
+
+function describeWatchRule(w) {
+  const parts = [];
+  if (w.targetPrice !== null) parts.push(`≤ ${formatPrice(w.targetPrice, w.currency)}`);
+  if (w.dropPercent !== null) parts.push(`drops ${w.dropPercent}%`);
+  return parts.join(' or ');
+}
+
+function renderWatches(watches) {
+  alertsList.innerHTML = '';
+  if (!watches.length) {
+    alertsStatus.textContent = 'No alerts yet.';
+    return;
+  }
+  alertsStatus.textContent = `${watches.length} alert${watches.length === 1 ? '' : 's'}`;
+
+  watches.forEach((w) => {
+    const row = document.createElement('div');
+    row.className =
+      'rounded-xl bg-slate-900/70 border border-slate-700/70 px-3 py-2 flex flex-wrap items-center gap-2 justify-between' +
+      (w.active ? '' : ' opacity-60');
+
+    const info = document.createElement('div');
+    info.className = 'space-y-0.5';
+    const title = document.createElement('p');
+    title.className = 'font-semibold text-slate-100';
+    title.textContent = `${w.origin} → ${w.destination} · ${w.departureDate}${
+      w.returnDate ? ` – ${w.returnDate}` : ''
+    } · ${describePassengers(w)}`;
+    const rule = document.createElement('p');
+    rule.className = 'text-slate-400';
+    rule.textContent = `Alert when ${describeWatchRule(w)} · via ${w.notifyChannel}`;
+    const last = document.createElement('p');
+    last.className = 'text-slate-500';
+    last.textContent =
+      w.lastPrice !== null
+        ? `Last seen ${formatPrice(w.lastPrice, w.currency)}${
+            w.lastCheckedAt ? ` · ${new Date(w.lastCheckedAt).toLocaleString()}` : ''
+          }`
+        : 'Not checked yet';
+    info.appendChild(title);
+    info.appendChild(rule);
+    info.appendChild(last);
+
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-1';
+    const button = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className =
+        'px-2 py-1 rounded-lg border border-slate-600 text-[0.65rem] text-slate-300 hover:bg-slate-800';
+      btn.textContent = label;
+      btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        try {
+          await onClick();
+        } catch (err) {
+          alertsStatus.textContent = err.message;
+        }
+        loadWatches();
+      });
+      return btn;
+    };
+
+    actions.appendChild(
+      button('Check now', () => watchesApi(`/${w.id}/check`, { method: 'POST' }))
+    );
+    actions.appendChild(
+      button(w.active ? 'Pause' : 'Resume', () =>
+        watchesApi(`/${w.id}`, {
+          method: 'PATCH',
+          body: JSON.stringify({ active: !w.active }),
+        })
+      )
+    );
+    actions.appendChild(
+      button('Delete', () => watchesApi(`/${w.id}`, { method: 'DELETE' }))
+    );
+
+    row.appendChild(info);
+    row.appendChild(actions);
+    alertsList.appendChild(row);
+  });
+}
+
+async function loadWatches() {
+  try {
+    const { watches } = await watchesApi();
+    renderWatches(watches || []);
+  } catch (err) {
+    alertsList.innerHTML = '';
+    alertsStatus.textContent = err.message;
+  }
+}
+
+function refreshAlertForm() {
+  const meta = state.lastSearchMeta;
+  // Watches re-run a single route, so multi-city searches can't be watched
+  if (!meta || !meta.originCode || !meta.destinationCode || meta.tripType === 'multi') {
+    alertForm.classList.add('hidden');
+    return;
+  }
+  const cheapest = state.facets?.price?.min ?? null;
+  alertRoute.textContent = `${meta.originCode} → ${meta.destinationCode} · ${
+    meta.departureDate
+  }${meta.returnDate ? ` – ${meta.returnDate}` : ''}${
+    meta.passengers ? ` · ${describePassengers(meta.passengers)}` : ''
+  }${
+    cheapest !== null ? ` · cheapest now ${formatPrice(cheapest, meta.currency)}` : ''
+  }`;
+  alertForm.classList.remove('hidden');
+}
+
+alertForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  alertError.classList.add('hidden');
+  const meta = state.lastSearchMeta;
+
+  if (!alertTarget.value && !alertDrop.value) {
+    showError(alertError, 'Set a target price or a drop percentage.');
+    return;
+  }
+
+  const cheapest = state.facets?.price?.min ?? null;
+
+  try {
+    await watchesApi('', {
+      method: 'POST',
+      body: JSON.stringify({
+        originCode: meta.originCode,
+        destinationCode: meta.destinationCode,
+        departureDate: meta.departureDate,
+        returnDate: meta.returnDate || undefined,
+        ...(meta.passengers || { adults: meta.adults }),
+        cabin: meta.cabin,
+        currency: meta.currency,
+        targetPrice: alertTarget.value || null,
+        dropPercent: alertDrop.value || null,
+        baselinePrice: cheapest,
+        notifyChannel: alertChannel.value,
+        notifyTarget: alertTargetAddress.value.trim() || undefined,
+      }),
+    });
+    alertTarget.value = '';
+    alertDrop.value = '';
+    loadWatches();
+  } catch (err) {
+    showError(alertError, err.message);
+  }
+});
+
+// ACCOUNTS
+// Session token from /api/auth, kept in this browser only
+const SESSION_KEY = '313flight.session';
+
+function authHeaders() {
+  const token = localStorage.getItem(SESSION_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+async function accountApi(path, options = {}) {
+  const res = await fetch(`${apiBase}/api${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+      ...(options.headers || {}),
+    },
+  });
+  if (res.status === 204) return {};
+  const data = await res.json();
+  if (res.status === 401 && path !== '/auth/login') setUser(null);
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+function setUser(user, token) {
+  if (token) localStorage.setItem(SESSION_KEY, token);
+  if (!user) localStorage.removeItem(SESSION_KEY);
+  state.user = user;
+
+  accountEmail.textContent = user ? user.email : '';
+  accountEmail.classList.toggle('hidden', !user);
+  accountButton.textContent = user ? 'My trips' : 'Sign in';
+  authCard.classList.toggle('hidden', !!user);
+  accountContent.classList.toggle('hidden', !user);
+  accountSignedInAs.textContent = user ? `Signed in as ${user.email}` : '';
+  quickPicks.classList.toggle('hidden', !user);
+  if (!user) {
+    state.favourites = [];
+    favouritePicks.innerHTML = '';
+    recentPicks.innerHTML = '';
+  }
+  renderPreferencesSummary();
+  renderSaveSearch();
+}
+
+async function restoreSession() {
+  if (!localStorage.getItem(SESSION_KEY)) return;
+  try {
+    const { user } = await accountApi('/auth/me');
+    setUser(user);
+    applyPreferences(user.preferences);
+    loadFavourites();
+    loadRecentSearches();
+  } catch {
+    // expired or accounts unavailable → stay anonymous
+  }
+}
+
+async function authenticate(mode) {
+  authError.classList.add('hidden');
+  try {
+    const { user, token } = await accountApi(`/auth/${mode}`, {
+      method: 'POST',
+      body: JSON.stringify({ email: authEmail.value, password: authPassword.value }),
+    });
+    authPassword.value = '';
+    setUser(user, token);
+    applyPreferences(user.preferences);
+    loadAccountData();
+  } catch (err) {
+    showError(authError, err.message);
+  }
+}
+
+authForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  authenticate('login');
+});
+registerButton.addEventListener('click', () => authenticate('register'));
+
+signOutButton.addEventListener('click', async () => {
+  try {
+    await accountApi('/auth/logout', { method: 'POST' });
+  } catch {
+    // signing out locally is enough
+  }
+  setUser(null);
+});
+
+accountButton.addEventListener('click', () => activateTab('account'));
+
+function loadAccountData() {
+  if (!state.user) return;
+  loadSavedSearches();
+  loadRecentSearches();
+  loadFavourites();
+}
+
+// Put a stored search back into the form
+function applySearchParams(p) {
+  setTripType(p.tripType || 'oneway');
+
+  if (p.tripType === 'multi') {
+    multiLegsList.innerHTML = '';
+    (p.legs || []).forEach((leg) =>
+      addLegRow({
+        from: { label: leg.originLabel || leg.originCode, code: leg.originCode },
+        to: { label: leg.destinationLabel || leg.destinationCode, code: leg.destinationCode },
+        date: leg.departureDate,
+      })
+    );
+  } else {
+    originInput.value = p.originLabel || p.originCode || '';
+    originCodeInput.value = p.originCode || '';
+    destinationInput.value = p.destinationLabel || p.destinationCode || '';
+    destinationCodeInput.value = p.destinationCode || '';
+    departureDateInput.value = p.departureDate || '';
+    if (p.tripType === 'round') returnDateInput.value = p.returnDate || '';
+    flexibleToggle.checked = !!p.flexibleDates;
+    nearbyToggle.checked = !!p.nearbyAirports;
+  }
+
+  applyPreferences({ cabin: p.cabin, currency: p.currency, passengers: p.passengers });
+}
+
+function applyPreferences(prefs = {}) {
+  if (prefs.cabin) cabinSelect.value = prefs.cabin;
+  if (prefs.currency && [...currencySelect.options].some((o) => o.value === prefs.currency)) {
+    currencySelect.value = prefs.currency;
+  }
+  if (prefs.passengers) {
+    adultCount.value = prefs.passengers.adults ?? 1;
+    childCount.value = prefs.passengers.children ?? 0;
+    infantSeatCount.value = prefs.passengers.infantsInSeat ?? 0;
+    infantLapCount.value = prefs.passengers.infantsOnLap ?? 0;
+    updateTravelerSummary();
+  }
+}
+
+function describeSearch(p) {
+  const route =
+    p.tripType === 'multi'
+      ? [p.legs[0].originCode, ...p.legs.map((l) => l.destinationCode)].join(' → ')
+      : `${p.originCode} ${p.tripType === 'round' ? '⇄' : '→'} ${p.destinationCode}`;
+  const dates =
+    p.tripType === 'round' && p.returnDate
+      ? `${p.departureDate} – ${p.returnDate}`
+      : p.departureDate || '';
+  return [route, dates, p.passengers ? describePassengers(p.passengers) : '']
+    .filter(Boolean)
+    .join(' · ');
+}
+
+function smallButton(label, onClick, extra = '') {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = `px-2 py-1 rounded-lg border border-slate-600 text-[0.65rem] text-slate-300 hover:bg-slate-800 ${extra}`;
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// Saved searches
+async function loadSavedSearches() {
+  try {
+    const { savedSearches } = await accountApi('/account/saved-searches');
+    renderSavedSearches(savedSearches || []);
+  } catch (err) {
+    savedSearchesStatus.textContent = err.message;
+  }
+}
+
+function renderSavedSearches(list) {
+  savedSearchesList.innerHTML = '';
+  savedSearchesStatus.textContent = list.length
+    ? ''
+    : 'Nothing saved yet. Run a search and use “Save search”.';
+
+  list.forEach((saved) => {
+    const row = document.createElement('div');
+    row.className =
+      'rounded-xl bg-slate-900/70 border border-slate-700/70 px-3 py-2 flex flex-wrap items-center gap-2 justify-between';
+
+    const info = document.createElement('div');
+    const title = document.createElement('p');
+    title.className = 'font-semibold text-slate-100';
+    title.textContent = saved.name;
+    const detail = document.createElement('p');
+    detail.className = 'text-slate-400';
+    detail.textContent = describeSearch(saved.params);
+    info.append(title, detail);
+
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-1';
+    actions.append(
+      smallButton('Search', () => {
+        applySearchParams(saved.params);
+        activateTab('search');
+        runSearch();
+      }),
+      smallButton('Edit', () => {
+        applySearchParams(saved.params);
+        activateTab('search');
+      }),
+      smallButton('Delete', async () => {
+        try {
+          await accountApi(`/account/saved-searches/${saved.id}`, { method: 'DELETE' });
+        } catch (err) {
+          savedSearchesStatus.textContent = err.message;
+        }
+        loadSavedSearches();
+      })
+    );
+
+    row.append(info, actions);
+    savedSearchesList.appendChild(row);
+  });
+}
+
+function renderSaveSearch() {
+  const canSave = !!(state.user && state.lastSearchParams);
+  saveSearchButton.classList.toggle('hidden', !canSave);
+  if (!canSave) saveSearchForm.classList.add('hidden');
+}
+
+saveSearchButton.addEventListener('click', () => {
+  saveSearchName.value = describeSearch(state.lastSearchParams).slice(0, 80);
+  saveSearchStatus.textContent = '';
+  saveSearchForm.classList.toggle('hidden');
+  saveSearchName.focus();
+});
+
+saveSearchForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    await accountApi('/account/saved-searches', {
+      method: 'POST',
+      body: JSON.stringify({ name: saveSearchName.value, params: state.lastSearchParams }),
+    });
+    saveSearchStatus.textContent = 'Saved ✓';
+    setTimeout(() => saveSearchForm.classList.add('hidden'), 1200);
+  } catch (err) {
+    saveSearchStatus.textContent = err.message;
+  }
+});
+
+// Recent routes
+async function loadRecentSearches() {
+  try {
+    const { recentSearches } = await accountApi('/account/recent-searches');
+    renderRecentSearches(recentSearches || []);
+  } catch (err) {
+    recentSearchesStatus.textContent = err.message;
+  }
+}
+
+function renderRecentSearches(list) {
+  recentSearchesList.innerHTML = '';
+  recentPicks.innerHTML = '';
+  recentSearchesStatus.textContent = list.length ? '' : 'Routes you search will show up here.';
+
+  if (list.length) {
+    const lead = document.createElement('span');
+    lead.className = 'text-slate-500';
+    lead.textContent = 'Recent:';
+    recentPicks.appendChild(lead);
+  }
+
+  list.forEach((r) => {
+    const row = document.createElement('div');
+    row.className =
+      'rounded-xl bg-slate-900/70 border border-slate-700/70 px-3 py-2 flex items-center gap-2 justify-between';
+    const text = document.createElement('p');
+    text.className = 'text-slate-200';
+    text.textContent = `${r.originLabel || r.origin} → ${r.destinationLabel || r.destination}`;
+    const count = document.createElement('span');
+    count.className = 'text-slate-500';
+    count.textContent = `${r.searchCount}× · ${new Date(r.searchedAt).toLocaleDateString()}`;
+    row.append(
+      text,
+      count,
+      smallButton('Use', () => {
+        applySearchParams(r.params);
+        activateTab('search');
+      })
+    );
+    recentSearchesList.appendChild(row);
+
+    if (recentPicks.children.length <= 5) {
+      recentPicks.appendChild(
+        smallButton(`${r.origin} → ${r.destination}`, () => applySearchParams(r.params))
+      );
+    }
+  });
+}
+
+clearRecentButton.addEventListener('click', async () => {
+  try {
+    await accountApi('/account/recent-searches', { method: 'DELETE' });
+  } catch (err) {
+    recentSearchesStatus.textContent = err.message;
+  }
+  loadRecentSearches();
+});
+
+// Favourite airports
+async function loadFavourites() {
+  try {
+    const { favouriteAirports } = await accountApi('/account/favourite-airports');
+    state.favourites = favouriteAirports || [];
+  } catch {
+    state.favourites = [];
+  }
+  renderFavourites();
+}
+
+function renderFavourites() {
+  favouriteAirportsList.innerHTML = '';
+  favouritePicks.innerHTML = '';
+
+  if (state.favourites.length) {
+    const lead = document.createElement('span');
+    lead.className = 'text-slate-500';
+    lead.textContent = 'Favourites:';
+    favouritePicks.appendChild(lead);
+  } else {
+    favouriteAirportsList.textContent = 'No favourite airports yet.';
+  }
+
+  state.favourites.forEach((fav) => {
+    favouriteAirportsList.appendChild(
+      smallButton(`${fav.label || fav.code} ✕`, async () => {
+        try {
+          await accountApi(`/account/favourite-airports/${fav.code}`, { method: 'DELETE' });
+        } catch (err) {
+          showError(favouriteError, err.message);
+        }
+        loadFavourites();
+      })
+    );
+
+    // Fills the route field last focused, then moves on to the other one
+    favouritePicks.appendChild(
+      smallButton(`★ ${fav.code}`, () => {
+        if (state.tripType === 'multi') return;
+        const toOrigin = state.routeField === 'origin';
+        (toOrigin ? originInput : destinationInput).value = fav.label || fav.code;
+        (toOrigin ? originCodeInput : destinationCodeInput).value = fav.code;
+        state.routeField = toOrigin ? 'destination' : 'origin';
+      })
+    );
+  });
+}
+
+attachAutocomplete(favouriteInput, favouriteCode, favouriteSuggestions);
+
+addFavouriteButton.addEventListener('click', async () => {
+  favouriteError.classList.add('hidden');
+  if (!favouriteCode.value) {
+    showError(favouriteError, 'Choose an airport from the suggestions.');
+    return;
+  }
+  try {
+    await accountApi(`/account/favourite-airports/${favouriteCode.value}`, {
+      method: 'PUT',
+      body: JSON.stringify({ label: favouriteInput.value }),
+    });
+    favouriteInput.value = '';
+    favouriteCode.value = '';
+  } catch (err) {
+    showError(favouriteError, err.message);
+  }
+  loadFavourites();
+});
+
+// Search defaults
+function renderPreferencesSummary() {
+  const prefs = state.user?.preferences || {};
+  const parts = [
+    prefs.currency,
+    prefs.cabin && titleCaseWords(prefs.cabin),
+    prefs.passengers && describePassengers(prefs.passengers),
+  ].filter(Boolean);
+  preferencesSummary.textContent = parts.length
+    ? `New searches start with: ${parts.join(' · ')}`
+    : 'No defaults saved; the form starts empty.';
+}
+
+async function savePreferences(body) {
+  try {
+    const { preferences } = await accountApi('/account/preferences', {
+      method: 'PUT',
+      body: JSON.stringify(body),
+    });
+    state.user.preferences = preferences;
+  } catch (err) {
+    preferencesSummary.textContent = err.message;
+    return;
+  }
+  renderPreferencesSummary();
+}
+
+savePreferencesButton.addEventListener('click', () =>
+  savePreferences({
+    currency: currencySelect.value,
+    cabin: cabinSelect.value,
+    passengers: readPassengers(),
+  })
+);
+clearPreferencesButton.addEventListener('click', () =>
+  savePreferences({ currency: null, cabin: null, passengers: null })
+);
+
 // TABS
+const tabs = {
+  search: [tabSearch, panelSearch],
+  history: [tabHistory, panelHistory],
+  alerts: [tabAlerts, panelAlerts],
+  account: [tabAccount, panelAccount],
+  about: [tabAbout, panelAbout],
+};
+
 function activateTab(tab) {
-  if (tab === 'search') {
-    panelSearch.classList.remove('hidden');
-    panelHistory.classList.add('hidden');
-    panelAbout.classList.add('hidden');
-
-    tabSearch.classList.add('bg-slate-800/80', 'text-sky-300');
-    tabHistory.classList.remove('bg-slate-800/80', 'text-sky-300');
-    tabAbout.classList.remove('bg-slate-800/80', 'text-sky-300');
-  } else if (tab === 'history') {
-    panelSearch.classList.add('hidden');
-    panelHistory.classList.remove('hidden');
-    panelAbout.classList.add('hidden');
-
-    tabSearch.classList.remove('bg-slate-800/80', 'text-sky-300');
-    tabHistory.classList.add('bg-slate-800/80', 'text-sky-300');
-    tabAbout.classList.remove('bg-slate-800/80', 'text-sky-300');
+  Object.entries(tabs).forEach(([name, [button, panel]]) => {
+    const active = name === tab;
+    panel.classList.toggle('hidden', !active);
+    if (button) {
+      button.classList.toggle('bg-slate-800/80', active);
+      button.classList.toggle('text-sky-300', active);
+    }
+  });
 
+  if (tab === 'history') {
     loadHistory();
-  } else if (tab === 'about') {
-    panelSearch.classList.add('hidden');
-    panelHistory.classList.add('hidden');
-    panelAbout.classList.remove('hidden');
-
-    tabSearch.classList.remove('bg-slate-800/80', 'text-sky-300');
-    tabHistory.classList.remove('bg-slate-800/80', 'text-sky-300');
-    tabAbout.classList.add('bg-slate-800/80', 'text-sky-300');
+  } else if (tab === 'alerts') {
+    refreshAlertForm();
+    loadAlertChannels();
+    loadWatches();
+  } else if (tab === 'account') {
+    loadAccountData();
   }
 }
 
-tabSearch.addEventListener('click', () => activateTab('search'));
-tabHistory.addEventListener('click', () => activateTab('history'));
-if (tabAbout) {
-  tabAbout.addEventListener('click', () => activateTab('about'));
+Object.entries(tabs).forEach(([name, [button]]) => {
+  if (button) button.addEventListener('click', () => activateTab(name));
+});
+
+// Providers that didn't answer, e.g. "serpapi timed out"
+const PROVIDER_STATUS_TEXT = {
+  timeout: 'timed out',
+  auth_failed: 'rejected our credentials',
+  rate_limited: 'is rate limiting us',
+  error: 'failed',
+};
+
+function providerIssues(meta) {
+  return (meta?.providers || [])
+    .map((p) =>
+      p.reason === 'circuit_open'
+        ? `${p.name} is paused after repeated failures`
+        : p.reason === 'budget_exhausted'
+        ? `${p.name} has reached its daily limit`
+        : PROVIDER_STATUS_TEXT[p.status] && `${p.name} ${PROVIDER_STATUS_TEXT[p.status]}`
+    )
+    .filter(Boolean)
+    .join(', ');
+}
+
+// RESULTS META (cache status + refresh)
+function renderResultsMeta(meta) {
+  const cache = meta?.cache;
+  if (!cache) {
+    resultsMeta.classList.add('hidden');
+    return;
+  }
+
+  if (cache.hit && cache.storedAt) {
+    const mins = Math.max(
+      0,
+      Math.round((Date.now() - new Date(cache.storedAt).getTime()) / 60000)
+    );
+    resultsMetaText.textContent = `Prices from ${
+      mins < 1 ? 'less than a minute' : `${mins} min`
+    } ago (cached).`;
+  } else {
+    resultsMetaText.textContent = 'Live prices just fetched.';
+  }
+  if (meta.routes?.length > 1) {
+    resultsMetaText.textContent += ` Searched ${meta.routes.join(', ').replace(/-/g, '→')}.`;
+  }
+  const issues = providerIssues(meta);
+  if (issues) resultsMetaText.textContent += ` Some sources are missing: ${issues}.`;
+  resultsMeta.classList.remove('hidden');
 }
 
+refreshResults.addEventListener('click', () => runSearch({ refresh: true }));
+
 // FORM SUBMIT
-form.addEventListener('submit', async (e) => {
+form.addEventListener('submit', (e) => {
   e.preventDefault();
-  if (!validateForm()) return;
+  runSearch();
+});
+
+// The search as POST /api/flights (and saved searches) take it
+function currentSearchParams() {
+  const legs = state.tripType === 'multi' ? readLegs() : null;
+  return {
+    originCode: legs ? legs[0].originCode : originCodeInput.value.trim(),
+    destinationCode: legs
+      ? legs[legs.length - 1].destinationCode
+      : destinationCodeInput.value.trim(),
+    originLabel: legs ? legs[0].originLabel : originInput.value,
+    destinationLabel: legs
+      ? legs[legs.length - 1].destinationLabel
+      : destinationInput.value,
+    departureDate: legs ? legs[0].departureDate : departureDateInput.value,
+    returnDate: legs ? null : returnDateInput.value || null,
+    tripType: state.tripType,
+    legs: legs || undefined,
+    passengers: readPassengers(),
+    cabin: cabinSelect.value,
+    currency: currencySelect.value,
+    flexibleDates: flexibleToggle.checked,
+    nearbyAirports: nearbyToggle.checked,
+  };
+}
+
+// POST /api/flights/stream: calls onEvent for each NDJSON line as it arrives
+async function streamSearch(body, onEvent) {
+  const res = await fetch(`${apiBase}/api/flights/stream`, {
+    method: 'POST',
+    // Signed in → the route lands in "Recent routes"
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    const err = new Error(data.error || 'Unknown error');
+    err.status = res.status;
+    err.fields = data.fields;
+    throw err;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter((l) => l.trim()).forEach((l) => onEvent(JSON.parse(l)));
+    if (done) break;
+  }
+}
 
-  const originCode = originCodeInput.value.trim();
-  const destinationCode = destinationCodeInput.value.trim();
-  const departureDate = departureDateInput.value;
-  const returnDate = returnDateInput.value || null;
-  const travelers = travelerInput.value || 1;
-  const cabin = cabinSelect.value;
-  const currency = currencySelect.value;
-  const flexibleDates = flexibleToggle.checked;
+const LOADING_TEXT = 'Fetching live fares… analysing prices & predictions.';
 
+async function runSearch({ refresh = false } = {}) {
+  if (!validateForm()) return;
+
+  const params = currentSearchParams();
+  const {
+    originCode,
+    destinationCode,
+    departureDate,
+    returnDate,
+    legs,
+    passengers,
+    currency,
+  } = params;
+
+  loadingText.textContent = LOADING_TEXT;
   loadingState.classList.remove('hidden');
   emptyState.classList.add('hidden');
   flightsContainer.innerHTML = '';
   resultsError.classList.add('hidden');
+  resultsMeta.classList.add('hidden');
+  resultsPager.classList.add('hidden');
+  saveSearchForm.classList.add('hidden');
+  // Airline chips belong to the previous result set
+  airlineFilter.innerHTML = '';
+
+  // Providers answer one by one: show each batch (re-sorted with the ones
+  // before it) while the rest are still searching
+  state.resultId = null;
+  let data = null;
+  // Each provider answers once per route (several with nearby airports)
+  let expected = 0;
+  let answered = 0;
 
   try {
-    const res = await fetch(`${apiBase}/api/flights`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        originCode,
-        destinationCode,
-        originLabel: originInput.value,
-        destinationLabel: destinationInput.value,
-        departureDate,
-        returnDate,
-        tripType: state.tripType,
-        travelers,
-        cabin,
-        currency,
-        flexibleDates,
-      }),
-    });
+    await streamSearch(
+      {
+        ...params,
+        refresh,
+        filters: currentFilters(),
+        sort: sortSelect.value,
+      },
+      (event) => {
+        if (event.type === 'start') {
+          expected = event.providers.length * (event.routes?.length || 1);
+        } else if (event.type === 'flights') {
+          answered += 1;
+          if (answered < expected) {
+            loadingText.textContent = `${answered} of ${expected} sources in… waiting for the rest.`;
+          } else {
+            loadingText.textContent = 'All sources in… analysing prices & predictions.';
+          }
+          if (event.page?.total) {
+            buildAirlineChips(event.facets);
+            showResultsPage(event);
+          }
+        } else if (event.type === 'done') {
+          data = event;
+        } else if (event.type === 'error') {
+          throw new Error(event.error);
+        }
+      }
+    );
+    if (!data) throw new Error('The search ended early');
 
-    const data = await res.json();
-    if (!res.ok) {
-      throw new Error(data.error || 'Unknown error');
-    }
+    state.lastSearchParams = params;
+    renderSaveSearch();
+    if (state.user) loadRecentSearches();
 
-    state.flightsRaw = data.flights || [];
+    state.resultId = data.page?.resultId || null;
+    state.facets = data.facets || null;
     state.lastSearchMeta =
       data.meta || {
         originCode,
         destinationCode,
         departureDate,
         returnDate,
+        tripType: params.tripType,
+        legs,
+        passengers,
         currency,
       };
-
-    if (!state.flightsRaw.length) {
-      emptyState.textContent = 'No flights found for this search.';
+    renderResultsMeta(data.meta);
+
+    if (!data.page?.total) {
+      state.flights = [];
+      const issues = providerIssues(data.meta);
+      emptyState.textContent = issues
+        ? `No flights found — ${issues}. Please try again in a moment.`
+        : 'No flights found for this search.';
       emptyState.classList.remove('hidden');
       updateAI(null);
-      renderFlexibleDates([], currency);
+      renderFlexibleDates(null, currency);
     } else {
-      buildAirlineChips();
-      applyFiltersAndRender();
+      buildAirlineChips(data.facets);
+      showResultsPage(data);
       updateAI(data.model || null);
-      renderFlexibleDates(data.flexibleDates || [], currency);
+      renderFlexibleDates(data.flexibleDates, currency);
     }
   } catch (err) {
     console.error('Search error', err);
+    // Rules the form can't check itself (e.g. an unsupported currency)
+    if (err.fields?.length) showFieldErrors(err.fields);
+    // 429 (too many searches) and 400 explain themselves
     resultsError.textContent =
-      'We couldn’t load flights right now. Please try again in a moment.';
+      err.status === 429 || err.status === 400
+        ? err.message
+        : 'We couldn’t load flights right now. Please try again in a moment.';
     resultsError.classList.remove('hidden');
     updateAI(null);
-    renderFlexibleDates([], currencySelect.value);
+    renderFlexibleDates(null, currencySelect.value);
   } finally {
     loadingState.classList.add('hidden');
   }
-});
+}
 
 // Initial UI
 activateTab('search');
 emptyState.classList.remove('hidden');
+restoreSession();
@@ -0,0 +1,398 @@
+// shared/validation.js
+// Request schemas shared by the backend (require("../shared/validation"))
+// and the browser (<script src="/shared/validation.js">, as
+// window.FlightValidation), so the search form and the API apply the same
+// rules.
+//
+// validate(schema, input) → { values, errors }
+//   values   the fields, trimmed / upper-cased / converted, defaults applied
+//   errors   [{ field, code, message }]
+//              field    path in the request, e.g. "returnDate",
+//                       "legs[1].departureDate", "passengers.infantsOnLap"
+//              code     required | invalid_format | invalid_value |
+//                       out_of_range | in_past | before_departure |
+//                       same_airport | out_of_order
+//              message  for people
+//
+// A schema is { fields: { name: spec }, checks: [fn] }. A spec has a `type`
+// (iata, flightNumber, date, currency, enum, int, number, boolean, string)
+// plus optional label, required (boolean or fn(input)), default, values
+// (enum), min / max (numbers; string length), notPast (dates). Checks run
+// when every field parsed: check(values, addError).
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.FlightValidation = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const CABINS = ["ECONOMY", "PREMIUM_ECONOMY", "BUSINESS", "FIRST"];
+  const TRIP_TYPES = ["oneway", "round", "multi"];
+  const MAX_SEATED = 9;
+  const MIN_LEGS = 2;
+  const MAX_LEGS = 6;
+
+  const IATA = /^[A-Z]{3}$/;
+  const FLIGHT_NUMBER = /^([A-Z0-9]{2})\s*(\d{1,4}[A-Z]?)$/;
+  const CURRENCY = /^[A-Z]{3}$/;
+  const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+  const blank = (v) => v === undefined || v === null || v === "";
+  const todayUtc = () => new Date().toISOString().slice(0, 10);
+
+  function fieldError(field, code, message) {
+    return { field, code, message };
+  }
+
+  /** The same errors with `prefix` on each field path (a nested body) */
+  function prefixErrors(errors, prefix) {
+    return errors.map((e) => ({ ...e, field: prefix + e.field }));
+  }
+
+  /** "2026-02-30" is well-formed but not a day */
+  function isDate(s) {
+    if (!DATE.test(s)) return false;
+    const d = new Date(`${s}T00:00:00Z`);
+    return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+  }
+
+  /* ----------------------------------------------------------
+     Field types: parse(value, spec) → { value } | { code, message }
+  ---------------------------------------------------------- */
+  const TYPES = {
+    iata(v, { label }) {
+      const code = String(v).trim().toUpperCase();
+      return IATA.test(code)
+        ? { value: code }
+        : { code: "invalid_format", message: `${label} must be a 3-letter airport code.` };
+    },
+    /** "ek 511" → "EK511" */
+    flightNumber(v, { label }) {
+      const m = FLIGHT_NUMBER.exec(String(v).trim().toUpperCase());
+      return m
+        ? { value: m[1] + m[2] }
+        : { code: "invalid_format", message: `${label} must be a flight number like EK 511.` };
+    },
+    currency(v, { label }) {
+      const code = String(v).trim().toUpperCase();
+      return CURRENCY.test(code)
+        ? { value: code }
+        : { code: "invalid_format", message: `${label} must be a 3-letter currency code.` };
+    },
+    date(v, { label, notPast, today }) {
+      const s = String(v).trim();
+      if (!isDate(s)) {
+        return { code: "invalid_format", message: `${label} must be a date (YYYY-MM-DD).` };
+      }
+      if (notPast && s < today) {
+        return { code: "in_past", message: `${label} can't be in the past.` };
+      }
+      return { value: s };
+    },
+    enum(v, { label, values }) {
+      const s = String(v).trim();
+      return values.includes(s)
+        ? { value: s }
+        : { code: "invalid_value", message: `${label} must be one of ${values.join(", ")}.` };
+    },
+    int(v, { label, min, max }) {
+      const n = Number(v);
+      if (!Number.isInteger(n)) {
+        return { code: "invalid_format", message: `${label} must be a whole number.` };
+      }
+      if ((min !== undefined && n < min) || (max !== undefined && n > max)) {
+        return { code: "out_of_range", message: `${label} must be between ${min ?? "…"} and ${max ?? "…"}.` };
+      }
+      return { value: n };
+    },
+    number(v, { label, min, max }) {
+      const n = Number(v);
+      if (!Number.isFinite(n)) {
+        return { code: "invalid_format", message: `${label} must be a number.` };
+      }
+      if ((min !== undefined && n < min) || (max !== undefined && n > max)) {
+        return { code: "out_of_range", message: `${label} must be between ${min ?? "…"} and ${max ?? "…"}.` };
+      }
+      return { value: n };
+    },
+    boolean(v, { label }) {
+      if (v === true || v === "true" || v === "1") return { value: true };
+      if (v === false || v === "false" || v === "0") return { value: false };
+      return { code: "invalid_format", message: `${label} must be true or false.` };
+    },
+    string(v, { label, min = 0, max = Infinity }) {
+      const s = String(v).trim();
+      if (s.length < min || s.length > max) {
+        return {
+          code: "out_of_range",
+          message: `${label} must be ${min}–${max === Infinity ? "…" : max} characters.`,
+        };
+      }
+      return { value: s };
+    },
+  };
+
+  /**
+   * Validate `input` against `schema`. `prefix` is prepended to field paths
+   * (nested objects); `today` overrides the date used by notPast.
+   */
+  function validate(schema, input, { prefix = "", today = todayUtc() } = {}) {
+    const source = input && typeof input === "object" ? input : {};
+    const values = {};
+    const errors = [];
+    const add = (field, code, message) => errors.push(fieldError(prefix + field, code, message));
+
+    for (const [name, spec] of Object.entries(schema.fields)) {
+      const label = spec.label || name;
+      const raw = source[name];
+      const required = typeof spec.required === "function" ? spec.required(source) : spec.required;
+
+      if (blank(raw)) {
+        if (required) add(name, "required", `${label} is required.`);
+        else if (spec.default !== undefined) values[name] = spec.default;
+        continue;
+      }
+
+      const parsed = TYPES[spec.type](raw, { ...spec, label, today });
+      if (parsed.code) add(name, parsed.code, parsed.message);
+      else values[name] = parsed.value;
+    }
+
+    if (!errors.length) {
+      for (const check of schema.checks || []) check(values, add, { today });
+    }
+    return { values, errors };
+  }
+
+  /* ----------------------------------------------------------
+     Schemas
+  ---------------------------------------------------------- */
+  const PASSENGERS = {
+    fields: {
+      adults: { type: "int", label: "Adults", min: 0, max: MAX_SEATED, default: 1 },
+      children: { type: "int", label: "Children", min: 0, max: MAX_SEATED, default: 0 },
+      infantsInSeat: { type: "int", label: "Infants in seat", min: 0, max: MAX_SEATED, default: 0 },
+      infantsOnLap: { type: "int", label: "Infants on lap", min: 0, max: MAX_SEATED, default: 0 },
+    },
+    checks: [
+      (p, add) => {
+        if (p.adults < 1) add("adults", "out_of_range", "At least one adult is required.");
+        if (p.adults + p.children + p.infantsInSeat > MAX_SEATED) {
+          add("adults", "out_of_range", `At most ${MAX_SEATED} seated travelers (adults, children and infants in seat).`);
+        }
+        if (p.infantsOnLap > p.adults) {
+          add("infantsOnLap", "out_of_range", "Each infant on lap needs its own adult.");
+        }
+        if (p.infantsInSeat + p.infantsOnLap > p.adults * 2) {
+          add("infantsInSeat", "out_of_range", "At most two infants per adult.");
+        }
+      },
+    ],
+  };
+
+  const LEG = {
+    fields: {
+      originCode: { type: "iata", label: "Origin", required: true },
+      destinationCode: { type: "iata", label: "Destination", required: true },
+      departureDate: { type: "date", label: "Date", required: true, notPast: true },
+    },
+    checks: [
+      (leg, add) => {
+        if (leg.originCode === leg.destinationCode) {
+          add("destinationCode", "same_airport", "Origin and destination must be different.");
+        }
+      },
+    ],
+  };
+
+  const notMulti = (input) => input.tripType !== "multi";
+
+  const FLIGHT_SEARCH = {
+    fields: {
+      tripType: { type: "enum", label: "Trip type", values: TRIP_TYPES, default: "oneway" },
+      originCode: { type: "iata", label: "Origin", required: notMulti },
+      destinationCode: { type: "iata", label: "Destination", required: notMulti },
+      departureDate: { type: "date", label: "Departure date", required: notMulti, notPast: true },
+      returnDate: {
+        type: "date",
+        label: "Return date",
+        required: (input) => input.tripType === "round",
+        notPast: true,
+      },
+      cabin: { type: "enum", label: "Cabin", values: CABINS },
+      currency: { type: "currency", label: "Currency" },
+      flexibleDates: { type: "boolean", label: "Flexible dates", default: false },
+      nearbyAirports: { type: "boolean", label: "Nearby airports", default: false },
+      refresh: { type: "boolean", label: "Refresh", default: false },
+    },
+    checks: [
+      (s, add) => {
+        if (s.tripType === "multi") return;
+        if (s.originCode === s.destinationCode) {
+          add("destinationCode", "same_airport", "Origin and destination must be different.");
+        }
+        if (s.tripType === "round" && s.returnDate <= s.departureDate) {
+          add("returnDate", "before_departure", "Return date must be after the departure date.");
+        }
+      },
+    ],
+  };
+
+  /** Route, dates and currency of a price watch (POST / PATCH /api/watches) */
+  const WATCH_ROUTE = {
+    fields: {
+      originCode: { type: "iata", label: "Origin", required: true },
+      destinationCode: { type: "iata", label: "Destination", required: true },
+      departureDate: { type: "date", label: "Departure date", required: true, notPast: true },
+      returnDate: { type: "date", label: "Return date", notPast: true },
+      cabin: { type: "enum", label: "Cabin", values: CABINS },
+      currency: { type: "currency", label: "Currency", required: true },
+    },
+    checks: [
+      (w, add) => {
+        if (w.originCode === w.destinationCode) {
+          add("destinationCode", "same_airport", "Origin and destination must be different.");
+        }
+        if (w.returnDate && w.returnDate <= w.departureDate) {
+          add("returnDate", "before_departure", "Return date must be after the departure date.");
+        }
+      },
+    ],
+  };
+
+  /** Multi-city legs: 2–6, each valid, in date order */
+  function validateLegs(legs, options) {
+    if (!Array.isArray(legs) || legs.length < MIN_LEGS || legs.length > MAX_LEGS) {
+      return {
+        values: [],
+        errors: [fieldError("legs", "out_of_range", `Multi-city trips need ${MIN_LEGS} to ${MAX_LEGS} flights.`)],
+      };
+    }
+    const values = [];
+    const errors = [];
+    legs.forEach((leg, i) => {
+      const result = validate(LEG, leg, { ...options, prefix: `legs[${i}].` });
+      errors.push(...result.errors.map((e) => ({ ...e, message: `Flight ${i + 1}: ${e.message}` })));
+      values.push(result.values);
+    });
+    if (!errors.length) {
+      values.forEach((leg, i) => {
+        if (i && leg.departureDate < values[i - 1].departureDate) {
+          errors.push(
+            fieldError(`legs[${i}].departureDate`, "out_of_order", `Flight ${i + 1} departs before flight ${i}.`)
+          );
+        }
+      });
+    }
+    return { values, errors };
+  }
+
+  /** Passenger mix; field paths start with `prefix` */
+  function validatePassengers(input, { prefix = "passengers." } = {}) {
+    return validate(PASSENGERS, input, { prefix });
+  }
+
+  /**
+   * A flight search as POST /api/flights takes it. Fields the trip type
+   * doesn't use (a one-way trip's stale return date) are ignored; multi-city
+   * trips run from the first leg's origin to the last leg's destination.
+   */
+  function validateFlightSearch(input, options = {}) {
+    const body = { ...(input && typeof input === "object" ? input : {}) };
+    if (body.tripType !== "round") delete body.returnDate;
+    if (body.tripType === "multi") {
+      delete body.originCode;
+      delete body.destinationCode;
+      delete body.departureDate;
+      delete body.flexibleDates;
+      delete body.nearbyAirports;
+    }
+
+    const { values, errors } = validate(FLIGHT_SEARCH, body, options);
+
+    // Older clients only send `travelers` (adults)
+    const passengers = validatePassengers(body.passengers || { adults: body.travelers });
+    errors.push(...passengers.errors);
+    values.passengers = passengers.values;
+
+    if (values.tripType === "multi") {
+      const legs = validateLegs(body.legs, options);
+      errors.push(...legs.errors);
+      if (!legs.errors.length) {
+        values.legs = legs.values;
+        values.originCode = legs.values[0].originCode;
+        values.destinationCode = legs.values[legs.values.length - 1].destinationCode;
+        values.departureDate = legs.values[0].departureDate;
+      }
+    }
+
+    return { values, errors };
+  }
+
+  const HISTORY_QUERY = {
+    fields: {
+      origin: { type: "iata", label: "origin", required: true },
+      destination: { type: "iata", label: "destination", required: true },
+      departDate: { type: "date", label: "departDate", required: true },
+      currency: { type: "currency", label: "currency" },
+    },
+  };
+
+  // Departure-date window of the route explorer (GET /api/history/route)
+  const MAX_ROUTE_HISTORY_DAYS = 731;
+
+  const ROUTE_HISTORY_QUERY = {
+    fields: {
+      origin: { type: "iata", label: "origin", required: true },
+      destination: { type: "iata", label: "destination", required: true },
+      from: { type: "date", label: "from" },
+      to: { type: "date", label: "to" },
+      currency: { type: "currency", label: "currency" },
+    },
+    checks: [
+      (v, add) => {
+        if (v.origin === v.destination) {
+          add("destination", "same_airport", "Origin and destination must be different.");
+        }
+        if (v.from && v.to) {
+          const days = (Date.parse(v.to) - Date.parse(v.from)) / 86400000;
+          if (days < 0) add("to", "out_of_order", "to must not be before from.");
+          else if (days > MAX_ROUTE_HISTORY_DAYS) {
+            add("to", "out_of_range", `At most ${MAX_ROUTE_HISTORY_DAYS} days between from and to.`);
+          }
+        }
+      },
+    ],
+  };
+
+  const LOCATIONS_QUERY = {
+    fields: {
+      q: { type: "string", label: "q", max: 64, default: "" },
+    },
+  };
+
+  return {
+    CABINS,
+    TRIP_TYPES,
+    MAX_SEATED,
+    MIN_LEGS,
+    MAX_LEGS,
+    MAX_ROUTE_HISTORY_DAYS,
+    fieldError,
+    prefixErrors,
+    isDate,
+    validate,
+    validateFlightSearch,
+    validatePassengers,
+    validateLegs,
+    schemas: {
+      PASSENGERS,
+      LEG,
+      FLIGHT_SEARCH,
+      WATCH_ROUTE,
+      HISTORY_QUERY,
+      ROUTE_HISTORY_QUERY,
+      LOCATIONS_QUERY,
+    },
+  };
+});